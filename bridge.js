@@ -0,0 +1,253 @@
+#!/usr/bin/env node
+/**
+ * druid web bridge - local WebSocket relay between druid web and other tools
+ *
+ *   node bridge.js [--port 6666] [--origin https://example.com ...] [--carabiner [17000]]
+ *
+ * The druid web page connects to ws://localhost:<port>/druid; any other path
+ * is a tool (norns, Max, TouchDesigner, a script...). Text a tool sends is
+ * forwarded to the page, which writes it to the active device, and everything
+ * the page sends back (what the device prints) goes to every tool.
+ *
+ * Tools on ws://localhost:<port>/osc speak OSC instead: binary messages are
+ * OSC packets, passed to the page as they are, and the page's OSC replies
+ * go to the OSC tools only.
+ *
+ * ws://localhost:<port>/link carries tempo for the page's tempo sync: text a
+ * client sends there ({"bpm", "beat", "peers"} JSON) goes to the other /link
+ * clients. With --carabiner the relay publishes an Ableton Link session itself,
+ * read from Carabiner (https://github.com/Deep-Symmetry/carabiner).
+ */
+
+const net = require('net');
+const { WebSocketServer } = require('ws');
+
+const PAGE_PATH = '/druid';
+const OSC_PATH = '/osc';
+const LINK_PATH = '/link';
+const CARABINER_PORT = 17000;
+const CARABINER_POLL = 100;    // ms between status requests
+const CARABINER_RETRY = 2000;
+const DEFAULT_PORT = 6666;
+const REPLACED = 4000; // close code for a page that another page took over from
+const LOCAL_HOSTS = new Set(['localhost', '127.0.0.1', '[::1]']);
+
+// Browsers send an Origin; tools outside a browser don't. Only local pages and
+// origins given with --origin may connect, so a website can't drive the device.
+function allowedOrigin(origin, origins) {
+    if (!origin) return true;
+    if (origins.includes(origin)) return true;
+    try {
+        return LOCAL_HOSTS.has(new URL(origin).hostname);
+    } catch (error) {
+        return false;
+    }
+}
+
+function createBridge({ port = DEFAULT_PORT, host = 'localhost', origins = [], log = console.log } = {}) {
+    const server = new WebSocketServer({
+        port,
+        host,
+        verifyClient: ({ origin }) => allowedOrigin(origin, origins)
+    });
+    const tools = new Set();
+    const oscTools = new Set();
+    const linkClients = new Set();
+    let page = null;
+
+    // Send a tempo state to every /link client but the one it came from
+    server.publishLink = (text, from = null) => {
+        for (const client of linkClients) {
+            if (client !== from) client.send(text);
+        }
+    };
+
+    server.on('connection', (socket, request) => {
+        const path = new URL(request.url, 'ws://bridge').pathname;
+
+        if (path === PAGE_PATH) {
+            if (page) {
+                page.close(REPLACED, 'another druid web page took over the bridge');
+            }
+            page = socket;
+            log('druid web connected');
+
+            socket.on('message', (data, isBinary) => {
+                if (isBinary) {
+                    for (const tool of oscTools) {
+                        tool.send(data, { binary: true });
+                    }
+                    return;
+                }
+                for (const tool of tools) {
+                    tool.send(data.toString());
+                }
+            });
+            socket.on('close', () => {
+                if (page === socket) {
+                    page = null;
+                    log('druid web disconnected');
+                }
+            });
+            return;
+        }
+
+        if (path === LINK_PATH) {
+            linkClients.add(socket);
+            socket.on('message', (data, isBinary) => {
+                if (!isBinary) server.publishLink(data.toString(), socket);
+            });
+            socket.on('close', () => linkClients.delete(socket));
+            return;
+        }
+
+        if (path === OSC_PATH) {
+            oscTools.add(socket);
+            log(`osc tool connected (${oscTools.size} connected)`);
+
+            // Packets are dropped while no page is connected; there is no OSC reply to say so
+            socket.on('message', (data, isBinary) => {
+                if (isBinary && page) {
+                    page.send(data, { binary: true });
+                }
+            });
+            socket.on('close', () => {
+                oscTools.delete(socket);
+                log(`osc tool disconnected (${oscTools.size} connected)`);
+            });
+            return;
+        }
+
+        tools.add(socket);
+        log(`tool connected (${tools.size} connected)`);
+
+        socket.on('message', (data, isBinary) => {
+            if (isBinary) return;
+            if (page) {
+                page.send(data.toString());
+            } else {
+                socket.send('no druid web page is connected to the bridge\n');
+            }
+        });
+        socket.on('close', () => {
+            tools.delete(socket);
+            log(`tool disconnected (${tools.size} connected)`);
+        });
+    });
+
+    return server;
+}
+
+// Carabiner answers `status` with `status { :peers 1 :bpm 120.000000 :start 73743731220 :beat 597.737570 }`
+function parseCarabinerStatus(line) {
+    const match = line.match(/^status\s*\{(.*)\}/);
+    if (!match) return null;
+
+    const fields = {};
+    for (const [, key, value] of match[1].matchAll(/:([\w-]+)\s+(\S+)/g)) {
+        fields[key] = Number(value);
+    }
+    if (!Number.isFinite(fields.bpm)) return null;
+    return { bpm: fields.bpm, beat: fields.beat, peers: fields.peers };
+}
+
+// Poll Carabiner and publish its Link session on the /link path, reconnecting until the server closes
+function followCarabiner(server, { host = 'localhost', port = CARABINER_PORT, log = console.log } = {}) {
+    let socket = null;
+    let buffer = '';
+    let retryTimer = null;
+
+    const connect = () => {
+        socket = net.connect(port, host);
+        socket.setEncoding('utf8');
+        socket.on('connect', () => log(`following Link through Carabiner on ${host}:${port}`));
+        socket.on('data', (text) => {
+            buffer += text;
+            let newline;
+            while ((newline = buffer.indexOf('\n')) !== -1) {
+                const status = parseCarabinerStatus(buffer.substring(0, newline));
+                buffer = buffer.substring(newline + 1);
+                if (status) server.publishLink(JSON.stringify(status));
+            }
+        });
+        // 'close' follows and retries
+        socket.on('error', () => {});
+        socket.on('close', () => {
+            socket = null;
+            buffer = '';
+            retryTimer = setTimeout(connect, CARABINER_RETRY);
+        });
+    };
+
+    const pollTimer = setInterval(() => {
+        if (socket && !socket.connecting) socket.write('status\n');
+    }, CARABINER_POLL);
+
+    server.on('close', () => {
+        clearInterval(pollTimer);
+        clearTimeout(retryTimer);
+        if (socket) {
+            socket.removeAllListeners('close');
+            socket.destroy();
+        }
+    });
+    connect();
+}
+
+function parseArgs(argv) {
+    const options = { port: DEFAULT_PORT, origins: [], carabiner: null };
+    for (let i = 0; i < argv.length; i++) {
+        const value = argv[i + 1];
+        if (argv[i] === '--port' && value) {
+            options.port = Number(value);
+            i++;
+        } else if (argv[i] === '--origin' && value) {
+            options.origins.push(value);
+            i++;
+        } else if (argv[i] === '--carabiner') {
+            // The port is optional
+            options.carabiner = CARABINER_PORT;
+            if (/^\d+$/.test(value || '')) {
+                options.carabiner = Number(value);
+                i++;
+            }
+        } else {
+            throw new Error(`unknown option ${argv[i]}`);
+        }
+    }
+    if (!Number.isInteger(options.port)) {
+        throw new Error('--port needs a number');
+    }
+    return options;
+}
+
+if (require.main === module) {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        console.error('usage: node bridge.js [--port 6666] [--origin https://example.com ...] [--carabiner [17000]]');
+        process.exit(1);
+    }
+
+    const server = createBridge(options);
+    if (options.carabiner) {
+        followCarabiner(server, { port: options.carabiner });
+    }
+    server.on('listening', () => {
+        console.log(`druid web bridge on ws://localhost:${options.port}`);
+        console.log(`  druid web connects to ws://localhost:${options.port}${PAGE_PATH}`);
+        console.log(`  tools connect to ws://localhost:${options.port}`);
+        console.log(`  OSC tools connect to ws://localhost:${options.port}${OSC_PATH}`);
+        console.log(`  tempo sources and followers connect to ws://localhost:${options.port}${LINK_PATH}`);
+    });
+    server.on('error', (error) => {
+        console.error(`Error: ${error.message}`);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    createBridge, followCarabiner, parseCarabinerStatus, allowedOrigin, PAGE_PATH, OSC_PATH, LINK_PATH, REPLACED
+};
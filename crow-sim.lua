@@ -0,0 +1,728 @@
+-- crow-sim.lua
+-- The core crow API in plain Lua, loaded by druid web's simulator (SimulatedCrow)
+-- before each script. The host provides:
+--   _sim_send(text)        print a line to the REPL
+--   _sim_now()             seconds since the simulator booted
+--   _sim_schedule(id, s)   call _sim_fire(id) after s seconds
+--   _sim_cancel(id)        forget a scheduled call
+--   _sim_shape(name, x)    slope shape curve, 0..1 -> 0..1
+
+--- timers
+
+local timers, next_timer = {}, 0
+
+local function after(seconds, fn)
+    next_timer = next_timer + 1
+    timers[next_timer] = fn
+    _sim_schedule(next_timer, seconds)
+    return next_timer
+end
+
+local function cancel(id)
+    if id and timers[id] then
+        timers[id] = nil
+        _sim_cancel(id)
+    end
+end
+
+function _sim_fire(id)
+    local fn = timers[id]
+    timers[id] = nil
+    if fn then fn() end
+end
+
+function time()
+    return _sim_now() * 1000
+end
+
+--- printing and the ^^ protocol
+
+local function quote(value)
+    local kind = type(value)
+    if kind == 'string' then
+        return (string.format('%q', value):gsub('\\\n', '\\n'))
+    elseif kind == 'table' then
+        local parts = {}
+        for _, v in ipairs(value) do parts[#parts + 1] = quote(v) end
+        for k, v in pairs(value) do
+            if type(k) == 'string' then parts[#parts + 1] = k .. '=' .. quote(v) end
+        end
+        return '{' .. table.concat(parts, ',') .. '}'
+    end
+    return tostring(value)
+end
+
+function print(...)
+    local parts = {}
+    for i = 1, select('#', ...) do parts[i] = tostring((select(i, ...))) end
+    _sim_send(table.concat(parts, '\t'))
+end
+
+_c = {
+    tell = function(name, ...)
+        local args = {}
+        for i = 1, select('#', ...) do args[i] = quote((select(i, ...))) end
+        _sim_send('^^' .. name .. '(' .. table.concat(args, ',') .. ')')
+    end
+}
+
+tab = {
+    print = function(t, indent)
+        indent = indent or ''
+        for k, v in pairs(t) do
+            if type(v) == 'table' then
+                print(indent .. tostring(k) .. ' = {')
+                tab.print(v, indent .. '  ')
+                print(indent .. '}')
+            else
+                print(indent .. tostring(k) .. ' = ' .. tostring(v))
+            end
+        end
+    end
+}
+
+--- ii: there is no bus, so every device accepts and ignores its commands
+
+ii = setmetatable({
+    help = function() print('the simulator has no ii bus: ii commands are ignored') end,
+    pullup = function() end
+}, {
+    __index = function(t, name)
+        local device = setmetatable({}, { __index = function() return function() end end })
+        rawset(t, name, device)
+        return device
+    end
+})
+
+--- clock: coroutines that yield how long they want to wait
+
+local threads, next_thread = {}, 0
+local tempo, beat_origin, time_origin = 120, 0, 0
+
+local function beats_now()
+    return beat_origin + (_sim_now() - time_origin) * tempo / 60
+end
+
+local function resume(id, ...)
+    local thread = threads[id]
+    if not thread then return end
+    local ok, kind, amount = coroutine.resume(thread.co, ...)
+    if not ok then
+        threads[id] = nil
+        error(kind, 0)
+    end
+    if coroutine.status(thread.co) == 'dead' then
+        threads[id] = nil
+        return
+    end
+
+    local wait = amount or 0
+    if kind == 'sync' then
+        local beats = beats_now()
+        local target = math.floor(beats / amount + 1e-9) * amount + amount
+        wait = (target - beats) * 60 / tempo
+    end
+    thread.timer = after(wait, function() resume(id) end)
+end
+
+clock = setmetatable({
+    transport = {},
+    run = function(fn, ...)
+        next_thread = next_thread + 1
+        threads[next_thread] = { co = coroutine.create(fn) }
+        resume(next_thread, ...)
+        return next_thread
+    end,
+    sleep = function(seconds) coroutine.yield('sleep', seconds) end,
+    sync = function(beats) coroutine.yield('sync', beats or 1) end,
+    cancel = function(id)
+        local thread = threads[id]
+        if thread then
+            cancel(thread.timer)
+            threads[id] = nil
+        end
+    end,
+    cleanup = function()
+        for id in pairs(threads) do clock.cancel(id) end
+    end,
+    get_beats = function() return beats_now() end,
+    get_beat_sec = function() return 60 / tempo end,
+    start = function(beat)
+        if beat then
+            beat_origin, time_origin = beat, _sim_now()
+        end
+        if clock.transport.start then clock.transport.start() end
+    end,
+    stop = function()
+        if clock.transport.stop then clock.transport.stop() end
+    end
+}, {
+    __index = function(_, key)
+        if key == 'tempo' then return tempo end
+    end,
+    __newindex = function(t, key, value)
+        if key == 'tempo' then
+            beat_origin, time_origin = beats_now(), _sim_now()
+            tempo = value
+        else
+            rawset(t, key, value)
+        end
+    end
+})
+
+--- metro
+
+local Metro = {}
+Metro.__index = Metro
+
+function Metro:start(time, count)
+    if type(time) == 'table' then time, count = time.time, time.count end
+    self.time = time or self.time
+    self.count = count or self.count
+    self:stop()
+    local stage = 0
+    local function tick()
+        stage = stage + 1
+        self.timer = nil
+        if self.count < 0 or stage < self.count then
+            self.timer = after(self.time, tick)
+        end
+        if self.event then self.event(stage) end
+    end
+    self.timer = after(self.time, tick)
+end
+
+function Metro:stop()
+    cancel(self.timer)
+    self.timer = nil
+end
+
+metro = {}
+for i = 1, 8 do
+    metro[i] = setmetatable({ id = i, time = 1, count = -1, event = nil }, Metro)
+end
+
+function metro.init(event, time, count)
+    if type(event) == 'table' then event, time, count = event.event, event.time, event.count end
+    for i = 1, 8 do
+        local m = metro[i]
+        if not m.used then
+            m.used = true
+            m.event, m.time, m.count = event, time or 1, count or -1
+            return m
+        end
+    end
+    print('metro.init: no free metros')
+end
+
+function metro.free(id)
+    local m = metro[id]
+    if m then
+        m:stop()
+        m.used = false
+    end
+end
+
+function metro.free_all()
+    for i = 1, 8 do metro.free(i) end
+end
+
+--- dyn: named values an output's action reads each time it gets there
+
+local Dyn = {}
+Dyn.__index = Dyn
+
+function dyn(t)
+    local name, value = next(t)
+    return setmetatable({ name = name, value = value, mutators = {} }, Dyn)
+end
+
+function Dyn:read()
+    local value = self.value
+    for _, mutate in ipairs(self.mutators) do self.value = mutate(self.value) end
+    return value
+end
+
+function Dyn:step(n) table.insert(self.mutators, function(v) return v + n end) return self end
+function Dyn:mul(n) table.insert(self.mutators, function(v) return v * n end) return self end
+function Dyn:wrap(min, max)
+    table.insert(self.mutators, function(v) return min + (v - min) % (max - min) end)
+    return self
+end
+
+local function resolve(value)
+    if type(value) == 'function' then return value() end
+    if getmetatable(value) == Dyn then return value:read() end
+    return value
+end
+
+--- ASL: actions are trees of stages, walked by a coroutine per output
+
+function to(level, time, shape)
+    return { kind = 'to', level = level or 0, time = time or 0, shape = shape or 'linear' }
+end
+
+function loop(items) return { kind = 'loop', items = items } end
+function held(items) return { kind = 'held', items = items } end
+function lock(items) return { kind = 'lock', items = items } end
+function times(count, items) return { kind = 'times', count = count, items = items } end
+
+function lfo(time, level, shape)
+    time, level, shape = time or 1, level or 5, shape or 'sine'
+    return loop{ to(level, time / 2, shape), to(-level, time / 2, shape) }
+end
+
+function oscillate(freq, level, shape)
+    return lfo(1 / (freq or 1), level or 1, shape)
+end
+
+function ramp(time, skew, level)
+    time, skew, level = time or 1, skew or 0, level or 5
+    local rise = time * (1 + skew) / 2
+    return loop{ to(level, rise), to(-level, time - rise) }
+end
+
+function pulse(time, level, polarity)
+    time, level, polarity = time or 0.01, level or 5, polarity or 1
+    local active, rest = level, 0
+    if polarity < 0 then active, rest = 0, level end
+    return { to(active, 0, 'now'), to(active, time, 'now'), to(rest, 0, 'now') }
+end
+
+function ar(attack, release, level, shape)
+    level, shape = level or 7, shape or 'log'
+    return { to(level, attack or 0.05, shape), to(0, release or 0.5, shape) }
+end
+
+function adsr(attack, decay, sustain, release, shape)
+    shape = shape or 'linear'
+    return {
+        held{ to(5, attack or 0.05, shape), to(sustain or 2, decay or 0.3, shape) },
+        to(0, release or 2, shape)
+    }
+end
+
+-- Walk one stage; returns 'release' when the gate dropped inside a held{}
+local function walk(out, stage)
+    if stage.kind == 'to' then
+        local time = resolve(stage.time)
+        out:slew_to(resolve(stage.level), time, resolve(stage.shape))
+        if time > 0 then
+            out.waits = out.waits + 1
+            return coroutine.yield(time)
+        end
+        return
+    end
+
+    local items = stage.items or stage
+    local function pass()
+        for _, item in ipairs(items) do
+            if walk(out, item) == 'release' and stage.kind ~= 'lock' then return 'release' end
+        end
+    end
+
+    if stage.kind == 'held' then
+        out.holding = out.holding + 1
+        local signal = pass()
+        while signal ~= 'release' and out.gate do signal = coroutine.yield('hold') end
+        out.holding = out.holding - 1
+        -- Released part way through a stage: stop where it got to
+        if signal == 'release' then out:slew_to(out:current(), 0) end
+        return
+    elseif stage.kind == 'lock' then
+        out.locked = out.locked + 1
+        pass()
+        out.locked = out.locked - 1
+        return
+    elseif stage.kind == 'loop' then
+        while true do
+            local waits = out.waits
+            if pass() == 'release' then return 'release' end
+            -- A loop of instant stages would never give the clock back
+            if out.waits == waits then return end
+        end
+    elseif stage.kind == 'times' then
+        for _ = 1, resolve(stage.count) do
+            if pass() == 'release' then return 'release' end
+        end
+        return
+    end
+    return pass()
+end
+
+--- outputs
+
+local Output = {}
+
+-- The segment being slewed along is kept in seg_* so it can't clash with
+-- the user-facing slew and shape properties
+function Output:slew_to(level, time, shape)
+    self.seg_from, self.seg_to = self:current(), level
+    self.seg_start, self.seg_time, self.seg_shape = _sim_now(), time or 0, shape or 'linear'
+end
+
+function Output:current()
+    local elapsed = _sim_now() - self.seg_start
+    local v = self.seg_to
+    if self.seg_time > 0 and elapsed < self.seg_time then
+        v = self.seg_from + (self.seg_to - self.seg_from) * _sim_shape(self.seg_shape, elapsed / self.seg_time)
+    end
+    return self:quantize(v)
+end
+
+function Output:quantize(v)
+    local scale = self.scale_notes
+    if not scale or #scale == 0 then return v end
+    local steps = v / self.scaling * self.temperament
+    local octave = math.floor(steps / self.temperament)
+    local best, distance = v, math.huge
+    for o = octave - 1, octave + 1 do
+        for _, note in ipairs(scale) do
+            local candidate = (o * self.temperament + note) * self.scaling / self.temperament
+            if math.abs(candidate - v) < distance then best, distance = candidate, math.abs(candidate - v) end
+        end
+    end
+    return best
+end
+
+function Output:drive(signal)
+    local ok, wait = coroutine.resume(self.co, signal)
+    if not ok then
+        self.co = nil
+        error(wait, 0)
+    end
+    if coroutine.status(self.co) == 'dead' then
+        self.co = nil
+        if self.done then self.done() end
+    elseif wait ~= 'hold' then
+        self.timer = after(wait, function()
+            self.timer = nil
+            self:drive('step')
+        end)
+    end
+end
+
+function Output:run(gate)
+    cancel(self.timer)
+    local action = self.current_action
+    if not action then return end
+    self.gate, self.holding, self.locked, self.waits = gate ~= false, 0, 0, 0
+    self.co = coroutine.create(function() walk(self, action) end)
+    self:drive()
+end
+
+function Output:release()
+    self.gate = false
+    if self.co and self.holding > 0 and self.locked == 0 then
+        cancel(self.timer)
+        self.timer = nil
+        self:drive('release')
+    end
+end
+
+function Output:stop()
+    cancel(self.timer)
+    self.timer, self.co = nil, nil
+end
+
+function Output:query()
+    _c.tell('output', self.channel, self:current())
+end
+
+function Output:clock(division)
+    if self.clock_id then clock.cancel(self.clock_id) end
+    self.clock_id = nil
+    if division == 'none' then return end
+    self.clock_id = clock.run(function()
+        while true do
+            clock.sync(division or 1)
+            self:run(true)
+        end
+    end)
+end
+
+local function new_output(channel)
+    local o = setmetatable({
+        channel = channel, seg_from = 0, seg_to = 0, seg_start = 0, seg_time = 0, seg_shape = 'linear',
+        slew = 0, shape = 'linear', temperament = 12, scaling = 1, holding = 0, locked = 0, waits = 0
+    }, {
+        __index = function(t, key)
+            if key == 'volts' then return Output.current(t) end
+            if key == 'action' then return rawget(t, 'current_action') end
+            if key == 'scale' then
+                return function(notes, temperament, scaling)
+                    if notes == 'none' then notes = nil end
+                    rawset(t, 'scale_notes', notes)
+                    rawset(t, 'temperament', temperament or 12)
+                    rawset(t, 'scaling', scaling or 1)
+                end
+            end
+            if key == 'dyn' then
+                -- Only the dyns of the current action can be changed
+                return setmetatable({}, {
+                    __index = function(_, name)
+                        local found = rawget(t, 'dyns')[name]
+                        return found and found.value
+                    end,
+                    __newindex = function(_, name, value)
+                        local found = rawget(t, 'dyns')[name]
+                        if found then found.value = value end
+                    end
+                })
+            end
+            return Output[key]
+        end,
+        __newindex = function(t, key, value)
+            if key == 'volts' then
+                Output.stop(t)
+                Output.slew_to(t, value, rawget(t, 'slew'), rawget(t, 'shape'))
+            elseif key == 'action' then
+                local dyns = {}
+                local function collect(node)
+                    if type(node) ~= 'table' then return end
+                    if getmetatable(node) == Dyn then dyns[node.name] = node return end
+                    for _, v in pairs(node) do collect(v) end
+                end
+                collect(value)
+                rawset(t, 'dyns', dyns)
+                rawset(t, 'current_action', value)
+            else
+                rawset(t, key, value)
+            end
+        end,
+        __call = function(t, arg)
+            if type(arg) == 'table' then
+                t.action = arg
+                Output.run(t, true)
+            elseif arg == false or arg == 'release' then
+                Output.release(t)
+            else
+                Output.run(t, true)
+            end
+        end
+    })
+    rawset(o, 'dyns', {})
+    return o
+end
+
+output = {}
+for i = 1, 4 do output[i] = new_output(i) end
+
+--- inputs: in the simulator .volts can be set, to stand in for a patch cable
+
+local Input = {}
+
+local function start_stream(self)
+    cancel(self.timer)
+    self.timer = nil
+    if self.mode_name ~= 'stream' then return end
+    local function tick()
+        self.timer = after(self.time, tick)
+        if self.stream then self.stream(self.value) end
+    end
+    self.timer = after(self.time, tick)
+end
+
+function Input:set_mode(mode, ...)
+    local args = { ... }
+    self.mode_name = mode or 'none'
+    if mode == 'stream' then
+        self.time = args[1] or self.time
+    elseif mode == 'change' then
+        self.threshold = args[1] or self.threshold
+        self.hysteresis = args[2] or self.hysteresis
+        self.direction = args[3] or self.direction
+        self.state = self.value > self.threshold
+    elseif mode == 'window' then
+        self.windows = args[1] or {}
+        self.hysteresis = args[2] or self.hysteresis
+        self.window_index = self:window_of(self.value)
+    end
+    start_stream(self)
+end
+
+function Input:window_of(v)
+    local index = 1
+    for i, edge in ipairs(self.windows or {}) do
+        if v > edge then index = i + 1 end
+    end
+    return index
+end
+
+function Input:set_volts(v)
+    self.value = v
+    if self.mode_name == 'change' then
+        local state = self.state
+        if state and v < self.threshold - self.hysteresis then state = false
+        elseif not state and v > self.threshold + self.hysteresis then state = true end
+        if state ~= self.state then
+            self.state = state
+            local wanted = self.direction == 'both'
+                or (self.direction == 'rising' and state)
+                or (self.direction == 'falling' and not state)
+            if wanted and self.change then self.change(state) end
+        end
+    elseif self.mode_name == 'window' then
+        local index = self:window_of(v)
+        if index ~= self.window_index then
+            local rising = index > self.window_index
+            self.window_index = index
+            if self.window then self.window(index, rising) end
+        end
+    end
+end
+
+function Input:query()
+    _c.tell('stream', self.channel, self.value)
+end
+
+local function new_input(channel)
+    local i = {
+        channel = channel, value = 0, mode_name = 'none', time = 0.1,
+        threshold = 1, hysteresis = 0.1, direction = 'both', state = false,
+        stream = function(v) _c.tell('stream', channel, v) end,
+        change = function(s) _c.tell('change', channel, s and 1 or 0) end
+    }
+    local mode = setmetatable({}, {
+        __call = function(_, ...) Input.set_mode(i, ...) end,
+        __tostring = function() return i.mode_name end
+    })
+    return setmetatable(i, {
+        __index = function(t, key)
+            if key == 'volts' then return rawget(t, 'value') end
+            if key == 'mode' then return mode end
+            return Input[key]
+        end,
+        __newindex = function(t, key, value)
+            if key == 'volts' then
+                Input.set_volts(t, value)
+            elseif key == 'mode' then
+                Input.set_mode(t, value)
+            else
+                rawset(t, key, value)
+            end
+        end,
+        __call = function(t, args)
+            local mode_name = args.mode or rawget(t, 'mode_name')
+            for k, v in pairs(args) do
+                if k ~= 'mode' then rawset(t, k, v) end
+            end
+            Input.set_mode(t, mode_name)
+        end
+    })
+end
+
+input = {}
+for i = 1, 2 do input[i] = new_input(i) end
+
+--- sequins
+
+local Sequins = {}
+
+function sequins(values)
+    if type(values) == 'string' then
+        local chars = {}
+        for c in values:gmatch('.') do chars[#chars + 1] = c end
+        values = chars
+    end
+    return setmetatable({ data = values, ix = 0, n = 1 }, Sequins)
+end
+
+Sequins.__index = function(s, key)
+    if type(key) == 'number' then return rawget(s, 'data')[key] end
+    return Sequins[key]
+end
+
+Sequins.__newindex = function(s, key, value)
+    if type(key) == 'number' then rawget(s, 'data')[key] = value else rawset(s, key, value) end
+end
+
+Sequins.__len = function(s) return #rawget(s, 'data') end
+
+Sequins.__call = function(s) return s:next() end
+
+function Sequins:next()
+    local length = #self.data
+    if length == 0 then return nil end
+    self.ix = (self.ix + resolve(self.n) - 1) % length + 1
+    local value = self.data[self.ix]
+    if getmetatable(value) == Sequins then return value:next() end
+    return value
+end
+
+function Sequins:peek() return self.data[self.ix] end
+function Sequins:step(n) self.n = n return self end
+function Sequins:select(ix) self.ix = ix - self.n return self end
+function Sequins:reset() self.ix = 0 return self end
+function Sequins:settable(values) self.data = values return self end
+
+--- public
+
+local params, param_list = {}, {}
+
+local function declare(name, value, typeinfo, action)
+    local param = { name = name, value = value, typeinfo = typeinfo, on_change = action }
+    if not params[name] then param_list[#param_list + 1] = name end
+    params[name] = param
+
+    local proxy = {}
+    function proxy:range(min, max) param.typeinfo = { min, max, 'float' } return self end
+    function proxy:type(kind)
+        param.typeinfo = param.typeinfo or {}
+        param.typeinfo[3] = kind
+        return self
+    end
+    function proxy:options(options) param.typeinfo = options return self end
+    function proxy:action(fn) param.on_change = fn return self end
+    return proxy
+end
+
+public = setmetatable({
+    add = function(name, value, typeinfo, action) return declare(name, value, typeinfo, action) end,
+    discover = function()
+        for _, name in ipairs(param_list) do
+            local param = params[name]
+            if param.typeinfo then
+                _c.tell('pub', name, param.value, param.typeinfo)
+            else
+                _c.tell('pub', name, param.value)
+            end
+        end
+        _c.tell('pub', '_end')
+    end
+}, {
+    __call = function(_, t)
+        local name, value = next(t)
+        return declare(name, value)
+    end,
+    __index = function(_, name)
+        local param = params[name]
+        return param and param.value
+    end,
+    __newindex = function(t, name, value)
+        local param = params[name]
+        if not param then
+            rawset(t, name, value)
+            return
+        end
+        param.value = value
+        if param.on_change then param.on_change(value) end
+        _c.tell('pupdate', name, value)
+    end
+})
+
+--- misc crow globals
+
+function delay(action, seconds, repeats)
+    repeats = repeats or 0
+    local function fire()
+        action()
+        if repeats > 0 then
+            repeats = repeats - 1
+            after(seconds, fire)
+        end
+    end
+    after(seconds, fire)
+end
+
+function unique_id() return 0, 0, 0 end
@@ -4,55 +4,109 @@
  */
 
 class CrowConnection {
-    constructor() {
+    // serial is the transport: navigator.serial, or anything with the same
+    // requestPort / getPorts / connect and disconnect events (see test/fake-crow.js)
+    constructor(serial = CrowConnection.defaultSerial()) {
+        this.serial = serial;
         this.port = null;
         this.reader = null;
         this.writer = null;
         this.isConnected = false;
+        this.isReconnecting = false;
+        this.shouldReconnect = false;
+        this.reconnectTimer = null;
         this.readableStreamClosed = null;
         this.writableStreamClosed = null;
         this.onDataReceived = null;
         this.onConnectionChange = null;
+
+        // Reattach when a previously opened device is unplugged and comes back
+        if (this.serial) {
+            this.serial.addEventListener('connect', (e) => this.handlePortConnect(e.target));
+            this.serial.addEventListener('disconnect', (e) => this.handlePortDisconnect(e.target));
+        }
+    }
+
+    static defaultSerial() {
+        return 'serial' in navigator ? navigator.serial : null;
+    }
+
+    static isCrowPort(port) {
+        const info = port.getInfo();
+        return info.usbVendorId === CrowConnection.USB_FILTER.usbVendorId &&
+            info.usbProductId === CrowConnection.USB_FILTER.usbProductId;
     }
 
     async connect() {
         try {
-            this.port = await navigator.serial.requestPort({
-                filters: [{ usbVendorId: 0xCAFE, usbProductId: 0x1101 }]
+            if (!this.serial) {
+                throw new Error('Web Serial API not supported in this browser');
+            }
+            const port = await this.serial.requestPort({
+                filters: [CrowConnection.USB_FILTER]
             });
+            return await this.openPort(port);
+        } catch (error) {
+            console.error('Connection error:', error);
+            if (this.onConnectionChange) {
+                this.onConnectionChange(false, error.message);
+            }
+            return false;
+        }
+    }
 
-            await this.port.open({
-                baudRate: 115200,
-                dataBits: 8,
-                stopBits: 1,
-                parity: 'none',
-                flowControl: 'none'
-            });
+    // Reopen a port the user already granted in an earlier session, without a picker
+    async autoConnect() {
+        if (!this.serial || this.isConnected) return false;
 
-            this.isConnected = true;
+        const ports = await this.serial.getPorts();
+        const port = ports.find(p => CrowConnection.isCrowPort(p) && !CrowConnection.openPorts.has(p));
+        if (!port) return false;
 
-            const textDecoder = new TextDecoderStream();
-            this.readableStreamClosed = this.port.readable.pipeTo(textDecoder.writable);
-            this.reader = textDecoder.readable.getReader();
+        try {
+            return await this.openPort(port);
+        } catch (error) {
+            console.error('Auto-connect error:', error);
+            return false;
+        }
+    }
 
-            const textEncoder = new TextEncoderStream();
-            this.writableStreamClosed = textEncoder.readable.pipeTo(this.port.writable);
-            this.writer = textEncoder.writable.getWriter();
+    async openPort(port) {
+        if (CrowConnection.openPorts.has(port)) {
+            throw new Error('Device is already connected');
+        }
 
-            this.startReading();
+        this.port = port;
 
-            if (this.onConnectionChange) {
-                this.onConnectionChange(true);
-            }
+        await this.port.open({
+            baudRate: 115200,
+            dataBits: 8,
+            stopBits: 1,
+            parity: 'none',
+            flowControl: 'none'
+        });
+        CrowConnection.openPorts.add(port);
 
-            return true;
-        } catch (error) {
-            console.error('Connection error:', error);
-            if (this.onConnectionChange) {
-                this.onConnectionChange(false, error.message);
-            }
-            return false;
+        this.isConnected = true;
+        this.isReconnecting = false;
+        this.shouldReconnect = true;
+        this.cancelReconnect();
+
+        const textDecoder = new TextDecoderStream();
+        this.readableStreamClosed = this.port.readable.pipeTo(textDecoder.writable);
+        this.reader = textDecoder.readable.getReader();
+
+        const textEncoder = new TextEncoderStream();
+        this.writableStreamClosed = textEncoder.readable.pipeTo(this.port.writable);
+        this.writer = textEncoder.writable.getWriter();
+
+        this.startReading();
+
+        if (this.onConnectionChange) {
+            this.onConnectionChange(true);
         }
+
+        return true;
     }
 
     async startReading() {
@@ -67,30 +121,111 @@ class CrowConnection {
         } catch (error) {
             console.error('Read error:', error);
             if (this.isConnected) {
-                // Close streams but keep port reference
-                this.isConnected = false;
-                this.shouldReconnect = false;
+                await this.handleConnectionLost();
+            }
+        }
+    }
 
-                if (this.reader) {
-                    await this.reader.cancel().catch(() => {});
-                }
-                if (this.writer) {
-                    await this.writer.close().catch(() => {});
-                }
+    // Tear down the streams after a cable glitch and wait for the device to return
+    async handleConnectionLost() {
+        this.isConnected = false;
+
+        if (this.reader) {
+            await this.reader.cancel().catch(() => {});
+            await this.readableStreamClosed.catch(() => {});
+        }
+        if (this.writer) {
+            await this.writer.close().catch(() => {});
+            await this.writableStreamClosed.catch(() => {});
+        }
 
-                this.reader = null;
-                this.writer = null;
+        this.reader = null;
+        this.writer = null;
 
-                if (this.port) {
-                    await this.port.close().catch(() => {});
-                    this.port = null;
-                }
+        if (this.port) {
+            await this.port.close().catch(() => {});
+            CrowConnection.openPorts.delete(this.port);
+        }
 
-                if (this.onConnectionChange) {
-                    this.onConnectionChange(false, 'device disconnected. please reconnect > ' );
-                }
+        if (this.shouldReconnect) {
+            this.isReconnecting = true;
+            if (this.onConnectionChange) {
+                this.onConnectionChange(false, 'reconnecting...');
+            }
+            this.scheduleReconnect();
+        } else {
+            this.port = null;
+            if (this.onConnectionChange) {
+                this.onConnectionChange(false, 'device disconnected. please reconnect > ');
+            }
+        }
+    }
+
+    // Retry a few times in case the port survived the glitch and no connect event follows
+    scheduleReconnect(attempt = 1) {
+        this.cancelReconnect();
+        if (attempt > CrowConnection.RECONNECT_ATTEMPTS) {
+            // Give up; the device is connected again by hand
+            this.isReconnecting = false;
+            this.port = null;
+            if (this.onConnectionChange) {
+                this.onConnectionChange(false, 'device disconnected. please reconnect > ');
+            }
+            return;
+        }
+
+        this.reconnectTimer = setTimeout(async () => {
+            this.reconnectTimer = null;
+            if (!this.isReconnecting || this.isConnected) return;
+
+            const reopened = await this.reopen();
+            if (!reopened) {
+                this.scheduleReconnect(attempt + 1);
             }
+        }, CrowConnection.RECONNECT_INTERVAL);
+    }
+
+    cancelReconnect() {
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
+    }
+
+    async reopen() {
+        const ports = await this.serial.getPorts();
+        const port = ports.includes(this.port)
+            ? this.port
+            : ports.find(p => CrowConnection.isCrowPort(p) && !CrowConnection.openPorts.has(p));
+        if (!port) return false;
+
+        try {
+            return await this.openPort(port);
+        } catch (error) {
+            console.error('Reconnect error:', error);
+            return false;
+        }
+    }
+
+    async handlePortConnect(port) {
+        if (!this.isReconnecting || this.isConnected || !CrowConnection.isCrowPort(port)) return;
+        if (CrowConnection.openPorts.has(port)) return;
+
+        try {
+            await this.openPort(port);
+        } catch (error) {
+            console.error('Reconnect error:', error);
+        }
+    }
+
+    async handlePortDisconnect(port) {
+        if (port !== this.port) return;
+
+        if (this.isConnected) {
+            await this.handleConnectionLost();
         }
+        // The port object is gone for good; the device comes back as a new one
+        this.cancelReconnect();
     }
 
     async write(data) {
@@ -112,6 +247,9 @@ class CrowConnection {
 
     async disconnect() {
         this.isConnected = false;
+        this.isReconnecting = false;
+        this.shouldReconnect = false;
+        this.cancelReconnect();
 
         if (this.reader) {
             await this.reader.cancel().catch(() => {});
@@ -125,6 +263,7 @@ class CrowConnection {
 
         if (this.port) {
             await this.port.close().catch(() => {});
+            CrowConnection.openPorts.delete(this.port);
         }
 
         this.port = null;
@@ -137,102 +276,4559 @@ class CrowConnection {
     }
 }
 
-class DruidApp {
+CrowConnection.USB_FILTER = { usbVendorId: 0xCAFE, usbProductId: 0x1101 };
+CrowConnection.openPorts = new Set(); // Ports held by any connection on this page
+CrowConnection.RECONNECT_ATTEMPTS = 5;
+CrowConnection.RECONNECT_INTERVAL = 1000;
+
+/**
+ * A crow in software, for writing scripts with no hardware attached
+ * Runs scripts in a Fengari Lua VM with crow-sim.lua providing the core crow
+ * API, and speaks the same ^^ protocol as CrowConnection so the REPL,
+ * run/upload, monitor and params work against it unchanged.
+ */
+class SimulatedCrow {
     constructor() {
-        this.crow = new CrowConnection();
-        this.editor = null;
-        this.replEditor = null;
-        this.replAutocompleteEnabled = true;
-        this.scriptName = 'untitled.lua';
-        this.scriptModified = false;
-        this.currentFile = null;
+        this.isConnected = false;
+        this.isReconnecting = false;
+        this.onDataReceived = null;
+        this.onConnectionChange = null;
 
-        // Command history for REPL
-        this.commandHistory = [];
-        this.historyIndex = -1;
-        this.currentInput = '';
-        this.isNavigatingHistory = false; // Flag to prevent history reset during navigation
-        this.commandHistory = [];
-        this.historyIndex = -1;
-        this.currentInput = '';
+        this.L = null;
+        this.timers = new Map();
+        this.bootTime = 0;
+        this.callStarted = 0;
+        this.preludeSource = '';
+        this.incoming = '';
+        this.outgoing = '';
+        this.flushTimer = null;
+        this.upload = null;     // lines of a script between ^^s and ^^e / ^^w
+        this.multiline = null;  // lines of a ``` block typed at the REPL
+        this.flash = null;      // the stored userscript; kept until the page is closed
+    }
 
-        this.initializeUI();
-        this.checkBrowserSupport();
-        this.setupEventListeners();
-        this.initializeEditor();
-        this.setupSplitPane();
+    // The Lua half of the simulator, fetched once per page
+    static loadPrelude() {
+        if (!SimulatedCrow.prelude) {
+            SimulatedCrow.prelude = fetch(SimulatedCrow.PRELUDE_URL).then((response) => {
+                if (!response.ok) {
+                    throw new Error(`${SimulatedCrow.PRELUDE_URL}: ${response.status}`);
+                }
+                return response.text();
+            });
+            SimulatedCrow.prelude.catch(() => {
+                SimulatedCrow.prelude = null;
+            });
+        }
+        return SimulatedCrow.prelude;
     }
 
-    initializeUI() {
-        this.elements = {
-            // Header
-            toggleEditorBtn: document.getElementById('toggleEditorBtn'),
-            scriptName: document.getElementById('scriptName'),
+    // The Lua VM, fetched the first time a simulator starts rather than with the page.
+    // It runs with no AMD define or CommonJS module in scope (Monaco's loader defines
+    // one), so it sets window.fengari.
+    static loadVm() {
+        if (typeof fengari !== 'undefined') return Promise.resolve();
+        if (!SimulatedCrow.vm) {
+            SimulatedCrow.vm = fetch(SimulatedCrow.VM_URL).then(async (response) => {
+                if (!response.ok) {
+                    throw new Error(`${SimulatedCrow.VM_URL}: ${response.status}`);
+                }
+                new Function('define', 'exports', 'module', await response.text())();
+            });
+            SimulatedCrow.vm.catch(() => {
+                SimulatedCrow.vm = null;
+            });
+        }
+        return SimulatedCrow.vm;
+    }
 
-            // Toolbar
-            runBtn: document.getElementById('runBtn'),
-            uploadBtn: document.getElementById('uploadBtn'),
-            newBtn: document.getElementById('newBtn'),
-            openBtn: document.getElementById('openBtn'),
-            boweryBtn: document.getElementById('boweryBtn'),
-            saveBtn: document.getElementById('saveBtn'),
-            renameBtn: document.getElementById('renameBtn'),
-            horizontalLayoutBtn: document.getElementById('horizontalLayoutBtn'),
-            verticalLayoutBtn: document.getElementById('verticalLayoutBtn'),
-            swapPanesBtn: document.getElementById('swapPanesBtn'),
+    async connect() {
+        try {
+            await SimulatedCrow.loadVm().catch((error) => {
+                throw new Error(`simulator unavailable: the Lua VM (fengari) did not load (${error.message})`);
+            });
+            this.preludeSource = await SimulatedCrow.loadPrelude();
+            this.isConnected = true;
+            this.boot(this.flash);
+        } catch (error) {
+            console.error('Simulator error:', error);
+            this.isConnected = false;
+            if (this.onConnectionChange) {
+                this.onConnectionChange(false, error.message);
+            }
+            return false;
+        }
+
+        if (this.onConnectionChange) {
+            this.onConnectionChange(true);
+        }
+        return true;
+    }
+
+    // Nothing to reopen: a simulator is only started on request
+    async autoConnect() {
+        return false;
+    }
+
+    async write(data) {
+        if (!this.isConnected) {
+            throw new Error('Not connected');
+        }
+
+        this.incoming += data;
+        let newline;
+        while ((newline = this.incoming.indexOf('\n')) !== -1) {
+            const line = this.incoming.substring(0, newline).replace(/\r$/, '');
+            this.incoming = this.incoming.substring(newline + 1);
+
+            // A ^^ command can land in the middle of a line that an upload chunk split;
+            // the text before it carries on into the next chunk
+            const command = line.match(/\^\^(\w)\s*$/);
+            if (command) {
+                this.incoming = line.substring(0, command.index) + this.incoming;
+                this.command(command[1]);
+            } else {
+                this.receive(line);
+            }
+        }
+    }
+
+    async writeLine(line) {
+        await this.write(line + '\n');
+    }
+
+    async disconnect() {
+        this.isConnected = false;
+        this.shutdown();
+        this.incoming = '';
+        this.upload = null;
+        this.multiline = null;
+
+        if (this.onConnectionChange) {
+            this.onConnectionChange(false);
+        }
+    }
+
+    command(letter) {
+        switch (letter) {
+            case 'i':
+                this.send(`^^identity('${SimulatedCrow.IDENTITY}')`);
+                break;
+            case 'v':
+                this.send(`^^version('${SimulatedCrow.VERSION}')`);
+                break;
+            case 's':
+                this.upload = [];
+                break;
+            case 'e':
+                if (this.upload) {
+                    const script = this.upload.join('\n');
+                    this.upload = null;
+                    this.boot(script);
+                }
+                break;
+            case 'w':
+                if (this.upload) {
+                    this.flash = this.upload.join('\n');
+                    this.upload = null;
+                    this.send('User script updated.');
+                    this.boot(this.flash);
+                }
+                break;
+            case 'p':
+                this.send(this.flash === null ? 'no user script.' : this.flash);
+                break;
+            case 'c':
+                this.flash = null;
+                this.send('User script cleared.');
+                break;
+            case 'k':
+                this.boot(null);
+                break;
+            case 'r':
+                this.boot(this.flash);
+                break;
+            case 'b':
+                this.send('the simulator has no bootloader');
+                break;
+        }
+    }
+
+    receive(line) {
+        if (this.upload) {
+            this.upload.push(line);
+            return;
+        }
+
+        if (line.trim() === '```') {
+            if (this.multiline) {
+                const chunk = this.multiline.join('\n');
+                this.multiline = null;
+                this.execute(chunk, 'repl');
+            } else {
+                this.multiline = [];
+            }
+            return;
+        }
+
+        if (this.multiline) {
+            this.multiline.push(line);
+        } else if (line.trim()) {
+            this.execute(line, 'repl');
+        }
+    }
+
+    // Start a fresh Lua state, as crow does on reset, and run a userscript in it
+    boot(script) {
+        const { lua, lauxlib, lualib, to_luastring } = fengari;
+
+        this.shutdown();
+        this.bootTime = performance.now();
+        this.L = lauxlib.luaL_newstate();
+        lualib.luaL_openlibs(this.L);
+
+        const L = this.L;
+        const register = (name, fn) => {
+            lua.lua_pushjsfunction(L, fn);
+            lua.lua_setglobal(L, to_luastring(name));
+        };
+        register('_sim_send', (L) => {
+            this.send(lua.lua_tojsstring(L, 1));
+            return 0;
+        });
+        register('_sim_now', (L) => {
+            lua.lua_pushnumber(L, this.now());
+            return 1;
+        });
+        register('_sim_schedule', (L) => {
+            this.schedule(lua.lua_tointeger(L, 1), lua.lua_tonumber(L, 2));
+            return 0;
+        });
+        register('_sim_cancel', (L) => {
+            const id = lua.lua_tointeger(L, 1);
+            clearTimeout(this.timers.get(id));
+            this.timers.delete(id);
+            return 0;
+        });
+        register('_sim_shape', (L) => {
+            lua.lua_pushnumber(L, AslPreview.shape(lua.lua_tojsstring(L, 1), lua.lua_tonumber(L, 2)));
+            return 1;
+        });
+
+        // A script stuck in a loop would freeze the page; crow would need a reset too
+        lua.lua_sethook(L, (L) => {
+            if (performance.now() - this.callStarted > SimulatedCrow.CALL_LIMIT) {
+                lauxlib.luaL_error(L, to_luastring('script took too long (infinite loop?)'));
+            }
+        }, lua.LUA_MASKCOUNT, SimulatedCrow.HOOK_INTERVAL);
+
+        this.execute(this.preludeSource, 'crow-sim');
+        if (script === null) return;
+
+        if (this.execute(script, 'userscript') && this.callGlobal('init')) {
+            this.send('^^ready()');
+        }
+    }
+
+    shutdown() {
+        for (const timer of this.timers.values()) {
+            clearTimeout(timer);
+        }
+        this.timers.clear();
+        this.L = null;
+    }
+
+    now() {
+        return (performance.now() - this.bootTime) / 1000;
+    }
+
+    schedule(id, seconds) {
+        const L = this.L;
+        this.timers.set(id, setTimeout(() => {
+            this.timers.delete(id);
+            if (this.L === L) {
+                this.callGlobal('_sim_fire', id);
+            }
+        }, Math.max(seconds * 1000, SimulatedCrow.MIN_INTERVAL)));
+    }
+
+    // Compile and run a chunk; errors are printed the way crow reports them
+    execute(code, name) {
+        const { lauxlib, to_luastring } = fengari;
+        if (lauxlib.luaL_loadbuffer(this.L, to_luastring(code), null, to_luastring(name)) !== fengari.lua.LUA_OK) {
+            return this.fail();
+        }
+        return this.protectedCall(0);
+    }
+
+    // Call a global function if the script defined one
+    callGlobal(name, ...args) {
+        const { lua, to_luastring } = fengari;
+        if (lua.lua_getglobal(this.L, to_luastring(name)) !== lua.LUA_TFUNCTION) {
+            lua.lua_pop(this.L, 1);
+            return true;
+        }
+        args.forEach(arg => lua.lua_pushnumber(this.L, arg));
+        return this.protectedCall(args.length);
+    }
+
+    protectedCall(nargs) {
+        const { lua } = fengari;
+        this.callStarted = performance.now();
+        if (lua.lua_pcall(this.L, nargs, 0, 0) !== lua.LUA_OK) {
+            return this.fail();
+        }
+        return true;
+    }
+
+    fail() {
+        const { lua } = fengari;
+        const message = lua.lua_tojsstring(this.L, -1);
+        lua.lua_pop(this.L, 1);
+        this.send(`lua error: ${message}`);
+        return false;
+    }
+
+    // Deliver output after the current write returns, as the serial port would
+    send(text) {
+        this.outgoing += text + '\n';
+        if (this.flushTimer) return;
+
+        this.flushTimer = setTimeout(() => {
+            const data = this.outgoing;
+            this.outgoing = '';
+            this.flushTimer = null;
+            if (this.isConnected && this.onDataReceived) {
+                this.onDataReceived(data);
+            }
+        }, 0);
+    }
+}
+
+SimulatedCrow.PRELUDE_URL = 'crow-sim.lua';
+SimulatedCrow.prelude = null;
+SimulatedCrow.VM_URL = 'node_modules/fengari-web/dist/fengari-web.js';
+SimulatedCrow.vm = null;
+SimulatedCrow.IDENTITY = 'sim';
+SimulatedCrow.VERSION = 'v4.0.4-sim';
+SimulatedCrow.CALL_LIMIT = 2000; // ms a single call into Lua may run
+SimulatedCrow.HOOK_INTERVAL = 10000; // instructions between checks of CALL_LIMIT
+SimulatedCrow.MIN_INTERVAL = 1; // ms, so zero-length waits still yield to the page
+
+/**
+ * Link to the companion relay (bridge.js) that lets other software drive the active device
+ * Text the relay forwards from tools arrives through onCommand, and send() passes
+ * the device's output back to them. Keeps retrying while on, as the relay may start later.
+ */
+class WebSocketBridge {
+    constructor() {
+        this.url = WebSocketBridge.DEFAULT_URL;
+        this.enabled = false;
+        this.socket = null;
+        this.retryTimer = null;
+        this.status = 'off';
+        this.onCommand = null;
+        this.onOsc = null;
+        this.onStatus = null;
+    }
+
+    get isOpen() {
+        return this.socket !== null && this.socket.readyState === WebSocket.OPEN;
+    }
+
+    start(url = this.url) {
+        this.stop();
+        this.url = url;
+        this.enabled = true;
+        this.open();
+    }
+
+    stop() {
+        this.enabled = false;
+        clearTimeout(this.retryTimer);
+        if (this.socket) {
+            this.socket.onclose = null;
+            this.socket.close();
+            this.socket = null;
+        }
+        this.setStatus('off');
+    }
+
+    open() {
+        let socket;
+        try {
+            socket = new WebSocket(this.url);
+        } catch (error) {
+            this.enabled = false;
+            this.setStatus(`error: ${error.message}`);
+            return;
+        }
+
+        this.socket = socket;
+        socket.binaryType = 'arraybuffer';
+        this.setStatus('connecting...');
+        socket.onopen = () => this.setStatus(`connected to ${this.url}`);
+        // Text is Lua from a tool; binary messages are OSC packets from an OSC tool
+        socket.onmessage = (event) => {
+            if (typeof event.data === 'string') {
+                if (this.onCommand) this.onCommand(event.data);
+            } else if (this.onOsc) {
+                this.onOsc(new Uint8Array(event.data));
+            }
+        };
+        socket.onclose = (event) => {
+            this.socket = null;
+            if (event.code === WebSocketBridge.REPLACED_CODE) {
+                // Retrying would take the bridge back from the page that just took it
+                this.enabled = false;
+                this.setStatus(event.reason || 'another page took over the bridge');
+                return;
+            }
+            this.setStatus(`waiting for the relay at ${this.url} (node bridge.js)`);
+            this.retryTimer = setTimeout(() => this.open(), WebSocketBridge.RETRY_INTERVAL);
+        };
+    }
+
+    send(text) {
+        if (this.isOpen) {
+            this.socket.send(text);
+        }
+    }
+
+    // An encoded OSC packet, relayed to the OSC tools only
+    sendOsc(packet) {
+        if (this.isOpen) {
+            this.socket.send(packet);
+        }
+    }
+
+    setStatus(status) {
+        this.status = status;
+        if (this.onStatus) {
+            this.onStatus(status);
+        }
+    }
+}
+
+WebSocketBridge.DEFAULT_URL = 'ws://localhost:6666/druid';
+WebSocketBridge.RETRY_INTERVAL = 2000;
+WebSocketBridge.REPLACED_CODE = 4000; // sent by bridge.js when another page connects
+
+/**
+ * Web MIDI bridge: incoming notes, CCs and clock become Lua through user templates,
+ * and ^^change / ^^stream events from the device become MIDI out
+ */
+class MidiBridge {
+    // requestAccess replaces navigator.requestMIDIAccess, e.g. with a fake in tests
+    constructor(requestAccess = MidiBridge.defaultAccess()) {
+        this.requestAccess = requestAccess;
+        this.access = null;
+        this.enabled = false;
+        this.inputId = '';      // '' listens to every input
+        this.outputId = '';     // '' sends nothing
+        this.mappings = [];
+        this.onCommand = null;
+        this.onPortsChange = null;
+        // Called with ('clock' | 'start' | 'stop', time) for tempo sync
+        this.onClock = null;
+        // Recent clock tick times, for the tempo; the measured tempo, and the last one sent and when
+        this.ticks = [];
+        this.bpm = null;
+        this.tempo = null;
+        this.tempoSentAt = 0;
+        // Off while tempo sync follows MIDI clock, which sets the device tempo itself
+        this.clockMappings = true;
+        // Note held by each note-out mapping, so it can be released
+        this.held = new Map();
+    }
+
+    static defaultAccess() {
+        return typeof navigator !== 'undefined' && navigator.requestMIDIAccess
+            ? (options) => navigator.requestMIDIAccess(options)
+            : null;
+    }
+
+    get inputs() {
+        return this.access ? Array.from(this.access.inputs.values()) : [];
+    }
+
+    get outputs() {
+        return this.access ? Array.from(this.access.outputs.values()) : [];
+    }
+
+    async enable() {
+        if (!this.requestAccess) {
+            throw new Error('Web MIDI API not supported in this browser');
+        }
+        if (!this.access) {
+            this.access = await this.requestAccess({ sysex: false });
+            this.access.onstatechange = () => {
+                this.listen();
+                if (this.onPortsChange) {
+                    this.onPortsChange();
+                }
+            };
+        }
+        this.enabled = true;
+        this.listen();
+    }
+
+    disable() {
+        this.releaseAll();
+        this.enabled = false;
+        this.listen();
+    }
+
+    setInput(id) {
+        this.inputId = id;
+        this.ticks = [];
+        this.listen();
+    }
+
+    setOutput(id) {
+        this.releaseAll();
+        this.outputId = id;
+    }
+
+    // (Re)attach the message handler to the chosen input, or all of them
+    listen() {
+        for (const input of this.inputs) {
+            const active = this.enabled && (!this.inputId || input.id === this.inputId);
+            input.onmidimessage = active ? (event) => this.receive(event.data, event.timeStamp) : null;
+        }
+    }
+
+    receive(data, time = performance.now()) {
+        const message = MidiBridge.parse(data);
+        if (!message) return;
+
+        if (message.type === 'clock') {
+            this.tick(time);
+        } else if (message.type === 'start' || message.type === 'stop') {
+            this.ticks = [];
+        }
+        if (this.onClock && (message.type === 'clock' || message.type === 'start' || message.type === 'stop')) {
+            this.onClock(message.type, time);
+        }
+        if (message.type !== 'clock') {
+            this.dispatch(message);
+        }
+    }
+
+    // 24 clock ticks per beat; the tempo is averaged over the last beat and sent
+    // when it moves by a tenth of a bpm, at most every TEMPO_INTERVAL ms
+    tick(time) {
+        this.ticks.push(time);
+        if (this.ticks.length > MidiBridge.TICKS_PER_BEAT + 1) {
+            this.ticks.shift();
+        }
+        if (this.ticks.length <= MidiBridge.TICKS_PER_BEAT) return;
+
+        const beat = this.ticks[this.ticks.length - 1] - this.ticks[0];
+        if (beat <= 0) return;
+        const bpm = Math.round(600000 / beat) / 10;
+        this.bpm = bpm;
+        if (!this.clockMappings) return;
+        if (bpm === this.tempo || time - this.tempoSentAt < MidiBridge.TEMPO_INTERVAL) return;
+
+        this.tempo = bpm;
+        this.tempoSentAt = time;
+        this.dispatch({ type: 'clock', bpm });
+    }
+
+    dispatch(message) {
+        for (const mapping of this.mappings) {
+            if (mapping.direction !== 'in' || !MidiBridge.matches(mapping, message)) continue;
+            const line = MidiBridge.render(mapping.template, message);
+            if (line && this.onCommand) {
+                this.onCommand(line);
+            }
+        }
+    }
+
+    // A device event: ^^change(input, state) or ^^stream(input, volts)
+    handleEvent(event) {
+        if (!this.enabled || (event.type !== 'change' && event.type !== 'stream')) return;
+
+        this.mappings.forEach((mapping, index) => {
+            if (mapping.direction !== 'out' || mapping.event !== event.type || mapping.input !== event.channel) return;
+            for (const bytes of this.translate(index, mapping, event.value)) {
+                this.send(bytes);
+            }
+        });
+    }
+
+    // MIDI messages for one out mapping and event value:
+    // change → note on/off or CC 127/0; stream → CC over 0-10V, or a 1V/oct note from mapping.number at 0V
+    translate(index, mapping, value) {
+        const status = (mapping.type === 'note' ? 0x90 : 0xB0) | (mapping.channel - 1);
+        const number = MidiBridge.clamp(mapping.number, 0, 127);
+
+        if (mapping.type === 'cc') {
+            const level = mapping.event === 'change' ? (value ? 127 : 0) : Math.round(value / 10 * 127);
+            return [[status, number, MidiBridge.clamp(level, 0, 127)]];
+        }
+
+        const note = mapping.event === 'change' ? (value ? number : null) : MidiBridge.clamp(number + Math.round(value * 12), 0, 127);
+        const previous = this.held.has(index) ? this.held.get(index) : null;
+        if (note === previous) return [];
+
+        const messages = [];
+        if (previous !== null) {
+            messages.push([0x80 | (mapping.channel - 1), previous, 0]);
+        }
+        if (note !== null) {
+            messages.push([status, note, MidiBridge.VELOCITY]);
+            this.held.set(index, note);
+        } else {
+            this.held.delete(index);
+        }
+        return messages;
+    }
+
+    send(bytes) {
+        const output = this.outputId && this.access ? this.access.outputs.get(this.outputId) : null;
+        if (output) {
+            output.send(bytes);
+        }
+    }
+
+    // Note off for everything the out mappings are holding
+    releaseAll() {
+        for (const [index, note] of this.held) {
+            const mapping = this.mappings[index];
+            if (mapping) {
+                this.send([0x80 | (mapping.channel - 1), note, 0]);
+            }
+        }
+        this.held.clear();
+    }
+
+    // Replace the mappings, e.g. after an edit; held notes are released first
+    setMappings(mappings) {
+        this.releaseAll();
+        this.mappings = mappings;
+    }
+
+    static parse(data) {
+        const [status, data1, data2] = data;
+        switch (status) {
+            case 0xF8: return { type: 'clock' };
+            case 0xFA:
+            case 0xFB: return { type: 'start' };
+            case 0xFC: return { type: 'stop' };
+        }
+
+        const channel = (status & 0x0F) + 1;
+        switch (status & 0xF0) {
+            case 0x90:
+                // Note on with velocity 0 is a note off
+                return data2 > 0
+                    ? { type: 'note', channel, note: data1, vel: data2 }
+                    : { type: 'note off', channel, note: data1, vel: 0 };
+            case 0x80:
+                return { type: 'note off', channel, note: data1, vel: data2 };
+            case 0xB0:
+                return { type: 'cc', channel, cc: data1, val: data2 };
+        }
+        return null;
+    }
+
+    // channel 0 and a null number match any channel / note / controller
+    static matches(mapping, message) {
+        if (mapping.type !== message.type) return false;
+        if (mapping.channel && message.channel && mapping.channel !== message.channel) return false;
+        if (mapping.number !== null && mapping.number !== undefined) {
+            const number = message.type === 'cc' ? message.cc : message.note;
+            if (number !== undefined && number !== mapping.number) return false;
+        }
+        return true;
+    }
+
+    // The template runs with the message's values as locals, on one REPL line:
+    // note → ch, note, vel; cc → ch, cc, val; clock → bpm
+    static render(template, message) {
+        const code = template.trim().replace(/\s*\n\s*/g, ' ');
+        if (!code) return null;
+
+        const names = MidiBridge.VARIABLES[message.type] || [];
+        if (names.length === 0) return code;
+        const values = { ...message, ch: message.channel };
+        return `local ${names.join(', ')} = ${names.map(name => values[name]).join(', ')}; ${code}`;
+    }
+
+    static clamp(value, min, max) {
+        return Math.min(Math.max(value, min), max);
+    }
+}
+
+MidiBridge.TICKS_PER_BEAT = 24;
+MidiBridge.TEMPO_INTERVAL = 500;
+MidiBridge.VELOCITY = 100;
+MidiBridge.VARIABLES = {
+    'note': ['ch', 'note', 'vel'],
+    'note off': ['ch', 'note', 'vel'],
+    'cc': ['ch', 'cc', 'val'],
+    'clock': ['bpm']
+};
+// Template a new in mapping starts with
+MidiBridge.TEMPLATES = {
+    'note': 'output[1].volts = (note-60)/12',
+    'note off': '',
+    'cc': 'output[2].volts = val/127*10',
+    'clock': 'clock.tempo = bpm',
+    'start': 'clock.start()',
+    'stop': 'clock.stop()'
+};
+
+/**
+ * OSC address space for the active device, carried as binary messages over the WebSocket bridge
+ * /crow/out/N/volts, /crow/in/N/volts, /crow/public/<name> and /crow/eval become Lua;
+ * stream, change, output and pub events are published back as OSC
+ */
+class OscBridge {
+    // Lua for one incoming message; throws with what's wrong with it
+    static toLua({ address, args }) {
+        let match;
+        if ((match = address.match(/^\/crow\/out\/(\d+)\/volts$/))) {
+            if (args.length === 0) return `output[${match[1]}].query()`;
+            return `output[${match[1]}].volts = ${OscBridge.number(args[0], address)}`;
+        }
+        if ((match = address.match(/^\/crow\/in\/(\d+)\/volts$/))) {
+            // Inputs can't be set; any message asks for the current value
+            return `input[${match[1]}].query()`;
+        }
+        if (address === '/crow/public') {
+            return 'public.discover()';
+        }
+        if ((match = address.match(/^\/crow\/public\/([A-Za-z_]\w*)$/))) {
+            if (args.length === 0) {
+                throw new Error(`${address} needs a value`);
+            }
+            return `public.${match[1]} = ${PublicParams.toLua(args.length === 1 ? args[0] : args)}`;
+        }
+        if (address === '/crow/eval') {
+            if (typeof args[0] !== 'string') {
+                throw new Error('/crow/eval needs a string of Lua');
+            }
+            return args[0];
+        }
+        throw new Error(`unknown address ${address}`);
+    }
+
+    static number(value, address) {
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+            throw new Error(`${address} needs a number`);
+        }
+        return value;
+    }
+
+    // The OSC message a device event is published as, or null
+    static fromEvent(event) {
+        switch (event.type) {
+            case 'stream':
+                return { address: `/crow/in/${event.channel}/volts`, args: [event.value] };
+            case 'change':
+                return { address: `/crow/in/${event.channel}/change`, args: [event.value] };
+            case 'output':
+                if (typeof event.args[0] !== 'number') return null;
+                return { address: `/crow/out/${event.args[0]}/volts`, args: [event.args[1]] };
+            case 'pub':
+            case 'pupdate': {
+                const value = Array.isArray(event.value) ? Array.from(event.value) : [event.value];
+                return { address: `/crow/public/${event.name}`, args: value };
+            }
+        }
+        return null;
+    }
+
+    // Numbers are sent as float32, strings as s, booleans as T / F and nil as N
+    static encode(address, args = []) {
+        let tags = ',';
+        const parts = [];
+        for (const arg of args) {
+            if (typeof arg === 'number') {
+                tags += 'f';
+                const bytes = new Uint8Array(4);
+                new DataView(bytes.buffer).setFloat32(0, arg);
+                parts.push(bytes);
+            } else if (typeof arg === 'string') {
+                tags += 's';
+                parts.push(OscBridge.encodeString(arg));
+            } else if (typeof arg === 'boolean') {
+                tags += arg ? 'T' : 'F';
+            } else {
+                tags += 'N';
+            }
+        }
+
+        const chunks = [OscBridge.encodeString(address), OscBridge.encodeString(tags), ...parts];
+        const packet = new Uint8Array(chunks.reduce((size, chunk) => size + chunk.length, 0));
+        let pos = 0;
+        for (const chunk of chunks) {
+            packet.set(chunk, pos);
+            pos += chunk.length;
+        }
+        return packet;
+    }
+
+    // Null-terminated and padded to a multiple of 4 bytes
+    static encodeString(text) {
+        const bytes = new TextEncoder().encode(text);
+        const padded = new Uint8Array((bytes.length + 4) & ~3);
+        padded.set(bytes);
+        return padded;
+    }
+
+    // The messages in a packet; bundles are flattened and their time tags ignored
+    static decode(packet) {
+        const view = new DataView(packet.buffer, packet.byteOffset, packet.byteLength);
+        let pos = 0;
+
+        const need = (size) => {
+            if (pos + size > packet.length) {
+                throw new Error('OSC packet is truncated');
+            }
+        };
+        const readString = () => {
+            const end = packet.indexOf(0, pos);
+            if (end === -1) {
+                throw new Error('OSC string is not terminated');
+            }
+            const text = new TextDecoder().decode(packet.subarray(pos, end));
+            pos = (end + 4) & ~3;
+            return text;
+        };
+        const readInt = () => {
+            need(4);
+            pos += 4;
+            return view.getInt32(pos - 4);
+        };
+
+        if (packet.length >= 8 && readString() === '#bundle') {
+            need(8);
+            pos += 8;
+            const messages = [];
+            while (pos < packet.length) {
+                const size = readInt();
+                need(size);
+                messages.push(...OscBridge.decode(packet.subarray(pos, pos + size)));
+                pos += size;
+            }
+            return messages;
+        }
+
+        pos = 0;
+        const address = readString();
+        if (!address.startsWith('/')) {
+            throw new Error(`OSC address must start with /: ${address}`);
+        }
+
+        const args = [];
+        const tags = pos < packet.length ? readString() : ',';
+        for (const tag of tags.slice(1)) {
+            switch (tag) {
+                case 'i':
+                    args.push(readInt());
+                    break;
+                case 'f':
+                    need(4);
+                    // Trim float32 noise so 0.1 arrives as 0.1
+                    args.push(Number(view.getFloat32(pos).toPrecision(7)));
+                    pos += 4;
+                    break;
+                case 'd':
+                    need(8);
+                    args.push(view.getFloat64(pos));
+                    pos += 8;
+                    break;
+                case 'h':
+                    need(8);
+                    args.push(Number(view.getBigInt64(pos)));
+                    pos += 8;
+                    break;
+                case 's':
+                case 'S':
+                    args.push(readString());
+                    break;
+                case 'b': {
+                    const size = readInt();
+                    need(size);
+                    args.push(packet.slice(pos, pos + size));
+                    pos += (size + 3) & ~3;
+                    break;
+                }
+                case 'T': args.push(true); break;
+                case 'F': args.push(false); break;
+                case 'N': args.push(null); break;
+                case 'I': args.push(Infinity); break;
+                default:
+                    throw new Error(`unsupported OSC type tag '${tag}'`);
+            }
+        }
+        return [{ address, args }];
+    }
+}
+
+/**
+ * Keeps the device's clock in line with an external tempo: tap tempo, MIDI clock
+ * (through MidiBridge) or a Link relay; pushes clock.tempo and nudges the phase
+ */
+class TempoSync {
+    constructor() {
+        this.source = 'off';        // 'off' | 'tap' | 'midi' | 'link'
+        this.bpm = null;
+        // The source's beat position at a moment: { beat, time } with time in ms
+        this.position = null;
+        this.correctPhase = true;
+        this.taps = [];
+        this.ticks = 0;             // MIDI clock ticks since start
+        this.sentTempo = null;
+        this.sentAt = -Infinity;
+        // From the device poll: its tempo and its beat minus the source's, in beats
+        this.deviceTempo = null;
+        this.drift = null;
+        this.polledAt = null;
+        this.pollTimer = null;
+        this.nudgeUntil = 0;
+        this.linkUrl = TempoSync.DEFAULT_LINK_URL;
+        this.linkSocket = null;
+        this.linkRetryTimer = null;
+        this.linkPeers = null;
+        this.linkStatus = '';
+        this.onCommand = null;
+        this.onChange = null;
+    }
+
+    setSource(source) {
+        this.closeLink();
+        clearInterval(this.pollTimer);
+        this.pollTimer = null;
+
+        this.source = source;
+        this.bpm = null;
+        this.position = null;
+        this.taps = [];
+        this.ticks = 0;
+        this.sentTempo = null;
+        this.sentAt = -Infinity;
+        this.deviceTempo = null;
+        this.drift = null;
+        this.nudgeUntil = 0;
+
+        if (source !== 'off') {
+            this.pollTimer = setInterval(() => this.poll(), TempoSync.POLL_INTERVAL);
+        }
+        if (source === 'link') {
+            this.openLink();
+        }
+        this.changed();
+    }
+
+    // A tap is a beat; the tempo is averaged over the taps since the last pause
+    tap(time = performance.now()) {
+        if (this.source !== 'tap') return;
+
+        const last = this.taps[this.taps.length - 1];
+        if (last !== undefined && time - last > TempoSync.TAP_TIMEOUT) {
+            this.taps = [];
+        }
+        this.taps.push(time);
+        if (this.taps.length > TempoSync.TAP_COUNT) {
+            this.taps.shift();
+        }
+
+        if (this.taps.length > 1) {
+            const span = this.taps[this.taps.length - 1] - this.taps[0];
+            this.bpm = Math.round(60000 * (this.taps.length - 1) / span * 10) / 10;
+        }
+        // Only the phase is compared, so every tap can be beat 0
+        this.position = { beat: 0, time };
+        this.update(time);
+    }
+
+    // MIDI clock from MidiBridge.onClock: 24 ticks a beat, counted from start
+    midiClock(type, time, bpm) {
+        if (this.source !== 'midi') return;
+
+        if (type === 'start' || type === 'stop') {
+            this.ticks = 0;
+            this.position = null;
+            return;
+        }
+        if (this.ticks % MidiBridge.TICKS_PER_BEAT === 0) {
+            this.position = { beat: this.ticks / MidiBridge.TICKS_PER_BEAT, time };
+        }
+        this.ticks++;
+        if (bpm) {
+            this.bpm = bpm;
+            this.update(time);
+        }
+    }
+
+    // {bpm, beat, peers} from the relay's /link path
+    linkMessage(text, time = performance.now()) {
+        let state;
+        try {
+            state = JSON.parse(text);
+        } catch (error) {
+            return;
+        }
+        if (typeof state.bpm !== 'number' || !(state.bpm > 0)) return;
+
+        this.bpm = Math.round(state.bpm * 100) / 100;
+        this.linkPeers = typeof state.peers === 'number' ? state.peers : null;
+        if (typeof state.beat === 'number') {
+            this.position = { beat: state.beat, time };
+        }
+        this.update(time);
+    }
+
+    beatAt(time) {
+        return this.position.beat + (time - this.position.time) * this.bpm / 60000;
+    }
+
+    // Push the tempo when it moves, at most every TEMPO_INTERVAL ms
+    update(time) {
+        if (this.bpm && this.bpm !== this.sentTempo && time - this.sentAt >= TempoSync.TEMPO_INTERVAL) {
+            this.pushTempo(time);
+        }
+        this.changed();
+    }
+
+    pushTempo(time) {
+        this.sentTempo = this.bpm;
+        this.sentAt = time;
+        this.send(`clock.tempo = ${this.bpm}`);
+    }
+
+    poll(time = performance.now()) {
+        if (!this.bpm) return;
+        this.polledAt = time;
+        this.send(TempoSync.POLL);
+    }
+
+    // ^^tempo(tempo, beats) in reply to the poll
+    report(tempo, beats, time = performance.now()) {
+        if (this.source === 'off' || this.polledAt === null) return;
+
+        // The device read its clock somewhere between the poll and the reply
+        const read = (this.polledAt + time) / 2;
+        this.polledAt = null;
+        this.deviceTempo = tempo;
+
+        const nudging = read < this.nudgeUntil;
+        if (!nudging && this.sentTempo !== null && Math.abs(tempo - this.sentTempo) > 0.01) {
+            // The script or the REPL changed it; put it back
+            this.pushTempo(time);
+        }
+
+        if (this.position && this.bpm) {
+            const phase = beats - this.beatAt(read);
+            this.drift = phase - Math.round(phase);
+            if (this.correctPhase && !nudging && Math.abs(this.drift) > TempoSync.PHASE_TOLERANCE) {
+                this.nudge(time);
+            }
+        }
+        this.changed();
+    }
+
+    // Run slower or faster for one beat to take the drift out, then go back to the tempo.
+    // The device restores the tempo itself so the nudge lasts exactly a beat.
+    nudge(time) {
+        const seconds = 60 / this.bpm;
+        const factor = Math.min(Math.max(1 - this.drift, 1 - TempoSync.MAX_NUDGE), 1 + TempoSync.MAX_NUDGE);
+        const tempo = Math.round(this.bpm * factor * 1000) / 1000;
+        this.nudgeUntil = time + seconds * 1000 + TempoSync.POLL_INTERVAL / 2;
+        this.send(`clock.tempo = ${tempo} clock.run(function() clock.sleep(${Math.round(seconds * 1000) / 1000}) clock.tempo = ${this.bpm} end)`);
+    }
+
+    send(line) {
+        if (this.onCommand) {
+            this.onCommand(line);
+        }
+    }
+
+    openLink() {
+        let socket;
+        try {
+            socket = new WebSocket(this.linkUrl);
+        } catch (error) {
+            this.linkStatus = `error: ${error.message}`;
+            return;
+        }
+
+        this.linkSocket = socket;
+        this.linkStatus = 'connecting...';
+        socket.onopen = () => {
+            this.linkStatus = 'waiting for a Link source on the relay';
+            this.changed();
+        };
+        socket.onmessage = (event) => {
+            if (typeof event.data === 'string') {
+                this.linkStatus = '';
+                this.linkMessage(event.data);
+            }
+        };
+        socket.onclose = () => {
+            this.linkSocket = null;
+            this.linkStatus = `waiting for the relay at ${this.linkUrl} (node bridge.js --carabiner)`;
+            this.linkRetryTimer = setTimeout(() => this.openLink(), WebSocketBridge.RETRY_INTERVAL);
+            this.changed();
+        };
+    }
+
+    closeLink() {
+        clearTimeout(this.linkRetryTimer);
+        if (this.linkSocket) {
+            this.linkSocket.onclose = null;
+            this.linkSocket.close();
+            this.linkSocket = null;
+        }
+        this.linkPeers = null;
+        this.linkStatus = '';
+    }
+
+    changed() {
+        if (this.onChange) {
+            this.onChange();
+        }
+    }
+
+    // One line for the panel: the source tempo, the device's, and how far apart they are
+    describe() {
+        if (this.source === 'off') return 'off';
+
+        const parts = [this.bpm ? `${this.bpm.toFixed(1)} bpm` : 'no tempo yet'];
+        if (this.deviceTempo !== null) {
+            parts.push(`crow ${this.deviceTempo.toFixed(1)}`);
+        }
+        if (this.drift !== null) {
+            const ms = Math.round(this.drift * 60000 / this.bpm);
+            parts.push(`drift ${ms > 0 ? '+' : ''}${ms} ms`);
+        }
+        if (this.linkPeers !== null) {
+            parts.push(`${this.linkPeers} peer${this.linkPeers === 1 ? '' : 's'}`);
+        }
+        if (this.linkStatus) {
+            parts.push(this.linkStatus);
+        }
+        return parts.join(' · ');
+    }
+}
+
+TempoSync.DEFAULT_LINK_URL = 'ws://localhost:6666/link';
+TempoSync.POLL = "_c.tell('tempo', clock.tempo, clock.get_beats())";
+TempoSync.POLL_INTERVAL = 1000;
+TempoSync.TEMPO_INTERVAL = 500;
+TempoSync.TAP_COUNT = 8;
+TempoSync.TAP_TIMEOUT = 2000;
+TempoSync.PHASE_TOLERANCE = 0.02;   // beats: 10ms at 120bpm
+TempoSync.MAX_NUDGE = 0.1;          // at most 10% off tempo for the correcting beat
+
+/**
+ * Line-buffered parser for crow's serial stream
+ * Splits structured ^^event(...) messages from plain print output
+ */
+class CrowProtocol {
+    constructor() {
+        this.buffer = '';
+        this.listeners = {};
+        this.onText = null;
+    }
+
+    // Subscribe to an event type ('stream', 'change', 'pub', ...) or '*' for all.
+    // Returns a function that removes the listener.
+    on(type, handler) {
+        if (!this.listeners[type]) {
+            this.listeners[type] = [];
+        }
+        this.listeners[type].push(handler);
+        return () => this.off(type, handler);
+    }
+
+    off(type, handler) {
+        const handlers = this.listeners[type];
+        if (!handlers) return;
+        const index = handlers.indexOf(handler);
+        if (index !== -1) {
+            handlers.splice(index, 1);
+        }
+    }
+
+    emit(event) {
+        for (const type of [event.type, '*']) {
+            const handlers = this.listeners[type];
+            if (!handlers) continue;
+            for (const handler of handlers.slice()) {
+                try {
+                    handler(event);
+                } catch (error) {
+                    console.error(`Protocol handler error (${event.type}):`, error);
+                }
+            }
+        }
+    }
+
+    reset() {
+        this.buffer = '';
+    }
+
+    feed(chunk) {
+        this.buffer += chunk.replace(/\r/g, '');
+
+        let newline;
+        while ((newline = this.buffer.indexOf('\n')) !== -1) {
+            const line = this.buffer.substring(0, newline);
+            this.buffer = this.buffer.substring(newline + 1);
+            this.handleLine(line);
+        }
+
+        // Hold back a partial line only while it could still become a ^^ message,
+        // so unterminated prints show up immediately
+        if (this.buffer && !'^^'.startsWith(this.buffer.substring(0, 2))) {
+            this.text(this.buffer);
+            this.buffer = '';
+        }
+    }
+
+    handleLine(line) {
+        const event = CrowProtocol.parseMessage(line);
+        if (event) {
+            this.emit(event);
+        } else {
+            this.text(line + '\n');
+        }
+    }
+
+    text(text) {
+        if (this.onText) {
+            this.onText(text);
+        }
+    }
+
+    // Parse '^^name(arg, ...)' into { type, args, raw } or null for plain text
+    static parseMessage(line) {
+        const match = line.match(/^\^\^(\w+)\((.*)\)\s*$/);
+        if (!match) return null;
+
+        let args;
+        try {
+            args = CrowProtocol.parseArgs(match[2]);
+        } catch (error) {
+            return null;
+        }
+
+        const event = { type: match[1], args, raw: line };
+        switch (event.type) {
+            case 'stream':
+            case 'change':
+                event.channel = args[0];
+                event.value = args[1];
+                break;
+            case 'identity':
+            case 'version':
+                event.value = args[0];
+                break;
+            case 'pub':
+            case 'pupdate':
+                event.name = args[0];
+                event.value = args[1];
+                break;
+        }
+        return event;
+    }
+
+    // Parse a Lua-ish argument list: numbers, quoted strings, booleans, nil,
+    // bare words and (nested) {tables}
+    static parseArgs(source) {
+        let pos = 0;
+
+        const skipSpace = () => {
+            while (pos < source.length && /\s/.test(source[pos])) pos++;
+        };
+
+        const parseValue = () => {
+            skipSpace();
+            const ch = source[pos];
+
+            if (ch === '"' || ch === "'") {
+                let value = '';
+                pos++;
+                while (pos < source.length && source[pos] !== ch) {
+                    if (source[pos] === '\\' && pos + 1 < source.length) {
+                        pos++;
+                        const escaped = source[pos];
+                        value += escaped === 'n' ? '\n' : escaped === 't' ? '\t' : escaped;
+                    } else {
+                        value += source[pos];
+                    }
+                    pos++;
+                }
+                if (pos >= source.length) throw new Error('Unterminated string');
+                pos++;
+                return value;
+            }
+
+            if (ch === '{') {
+                pos++;
+                const table = [];
+                const fields = {};
+                let hasFields = false;
+                skipSpace();
+                while (source[pos] !== '}') {
+                    if (pos >= source.length) throw new Error('Unterminated table');
+                    const key = source.substring(pos).match(/^(\w+)\s*=(?!=)/);
+                    if (key) {
+                        pos += key[0].length;
+                        fields[key[1]] = parseValue();
+                        hasFields = true;
+                    } else {
+                        table.push(parseValue());
+                    }
+                    skipSpace();
+                    if (source[pos] === ',' || source[pos] === ';') pos++;
+                    skipSpace();
+                }
+                pos++;
+                return hasFields ? Object.assign(table, fields) : table;
+            }
+
+            const token = source.substring(pos).match(/^[^,;{}()\s]+/);
+            if (!token) throw new Error(`Unexpected '${ch}'`);
+            pos += token[0].length;
+            const word = token[0];
+
+            if (word === 'true') return true;
+            if (word === 'false') return false;
+            if (word === 'nil') return null;
+            if (/^-?inf$/.test(word)) return word[0] === '-' ? -Infinity : Infinity;
+            if (/^-?nan$/.test(word)) return NaN;
+            const number = Number(word);
+            return Number.isNaN(number) ? word : number;
+        };
+
+        const args = [];
+        skipSpace();
+        while (pos < source.length) {
+            args.push(parseValue());
+            skipSpace();
+            if (source[pos] === ',') {
+                pos++;
+            } else if (pos < source.length) {
+                throw new Error(`Unexpected '${source[pos]}'`);
+            }
+            skipSpace();
+        }
+        return args;
+    }
+}
+
+/**
+ * Live voltage monitor
+ * One meter and scrolling history trace per channel
+ */
+class VoltageMonitor {
+    constructor(container) {
+        this.container = container;
+        this.channels = new Map();
+        this.groups = new Map();
+        this.historyLength = 200;
+        this.visible = false;
+        this.frameRequested = false;
+    }
+
+    addGroup(id, title) {
+        const group = document.createElement('div');
+        group.className = 'monitor-group';
+
+        const heading = document.createElement('div');
+        heading.className = 'monitor-group-title';
+        heading.textContent = title;
+        group.appendChild(heading);
+
+        this.container.appendChild(group);
+        this.groups.set(id, group);
+        return group;
+    }
+
+    setGroupVisible(id, visible) {
+        const group = this.groups.get(id);
+        if (group) {
+            group.classList.toggle('hidden', !visible);
+        }
+    }
+
+    addChannel(groupId, id, label, min, max) {
+        const row = document.createElement('div');
+        row.className = 'monitor-channel';
+
+        const name = document.createElement('span');
+        name.className = 'monitor-label';
+        name.textContent = label;
+
+        const value = document.createElement('span');
+        value.className = 'monitor-value';
+        value.textContent = '--';
+
+        const meter = document.createElement('div');
+        meter.className = 'monitor-meter';
+        const fill = document.createElement('div');
+        fill.className = 'monitor-meter-fill';
+        meter.appendChild(fill);
+
+        const trace = document.createElement('canvas');
+        trace.className = 'monitor-trace';
+        trace.width = this.historyLength;
+        trace.height = 32;
+
+        row.appendChild(name);
+        row.appendChild(value);
+        row.appendChild(meter);
+        row.appendChild(trace);
+        this.groups.get(groupId).appendChild(row);
+
+        this.channels.set(id, {
+            min,
+            max,
+            value: null,
+            history: [],
+            dirty: false,
+            elements: { row, value, fill, trace }
+        });
+    }
+
+    // Highlight a channel while an input in 'change' mode is high
+    setGate(id, high) {
+        const channel = this.channels.get(id);
+        if (channel) {
+            channel.elements.row.classList.toggle('gate-high', high);
+        }
+    }
+
+    update(id, value) {
+        const channel = this.channels.get(id);
+        if (!channel || typeof value !== 'number' || Number.isNaN(value)) return;
+
+        channel.value = value;
+        channel.history.push(value);
+        if (channel.history.length > this.historyLength) {
+            channel.history.shift();
+        }
+        channel.dirty = true;
+        this.requestRender();
+    }
+
+    reset() {
+        for (const channel of this.channels.values()) {
+            channel.value = null;
+            channel.history = [];
+            channel.dirty = true;
+            channel.elements.row.classList.remove('gate-high');
+        }
+        this.requestRender();
+    }
+
+    setVisible(visible) {
+        this.visible = visible;
+        if (visible) {
+            this.requestRender();
+        }
+    }
+
+    requestRender() {
+        // Coalesce updates into one draw per animation frame, and skip drawing while collapsed
+        if (!this.visible || this.frameRequested) return;
+        this.frameRequested = true;
+        requestAnimationFrame(() => {
+            this.frameRequested = false;
+            this.render();
+        });
+    }
+
+    render() {
+        for (const channel of this.channels.values()) {
+            if (!channel.dirty) continue;
+            channel.dirty = false;
+
+            const { value, fill, trace } = channel.elements;
+            const span = channel.max - channel.min;
+            const zero = Math.min(Math.max(-channel.min / span, 0), 1);
+
+            if (channel.value === null) {
+                value.textContent = '--';
+                fill.style.left = `${zero * 100}%`;
+                fill.style.width = '0';
+            } else {
+                value.textContent = channel.value.toFixed(3);
+                const level = Math.min(Math.max((channel.value - channel.min) / span, 0), 1);
+                fill.style.left = `${Math.min(level, zero) * 100}%`;
+                fill.style.width = `${Math.abs(level - zero) * 100}%`;
+            }
+
+            const ctx = trace.getContext('2d');
+            ctx.clearRect(0, 0, trace.width, trace.height);
+
+            // Zero line
+            ctx.strokeStyle = '#3e3e42';
+            ctx.beginPath();
+            ctx.moveTo(0, trace.height * (1 - zero));
+            ctx.lineTo(trace.width, trace.height * (1 - zero));
+            ctx.stroke();
+
+            if (channel.history.length < 2) continue;
+
+            ctx.strokeStyle = '#0a84ff';
+            ctx.beginPath();
+            const offset = trace.width - channel.history.length;
+            channel.history.forEach((v, i) => {
+                const level = Math.min(Math.max((v - channel.min) / span, 0), 1);
+                const y = (trace.height - 1) * (1 - level) + 0.5;
+                if (i === 0) {
+                    ctx.moveTo(offset + i, y);
+                } else {
+                    ctx.lineTo(offset + i, y);
+                }
+            });
+            ctx.stroke();
+        }
+    }
+}
+
+/**
+ * Control surface for a script's public params
+ * Built from ^^pub declarations, kept in sync by ^^pupdate
+ */
+class PublicParams {
+    constructor(container) {
+        this.container = container;
+        this.params = new Map();
+        this.onChange = null;
+        this.render();
+    }
+
+    clear() {
+        this.params.clear();
+        this.render();
+    }
+
+    // Declare or redeclare a param from ^^pub(name, value, type)
+    declare(name, value, type) {
+        const param = { name, value, ...PublicParams.describe(value, type) };
+        this.params.set(name, param);
+        this.render();
+    }
+
+    // Reflect a value changed by the running script
+    update(name, value) {
+        const param = this.params.get(name);
+        if (!param) return;
+
+        param.value = value;
+        if (param.controls) {
+            for (const control of param.controls) {
+                // Don't fight the user while they're dragging or typing
+                if (document.activeElement !== control) {
+                    PublicParams.setControlValue(control, param, value);
+                }
+            }
+        }
+    }
+
+    // Work out which control to build from the declared type info:
+    // {min, max[, kind]} for ranges, {'a', 'b', ...} for options
+    static describe(value, type) {
+        if (Array.isArray(type) && type.length > 0) {
+            if (type.every(option => typeof option === 'string')) {
+                return { kind: 'options', options: type };
+            }
+            if (typeof type[0] === 'number' && typeof type[1] === 'number') {
+                const kind = typeof type[2] === 'string' ? type[2] : 'float';
+                return { kind: 'range', min: type[0], max: type[1], integer: kind === 'int' };
+            }
+        }
+        if (typeof value === 'number') return { kind: 'number' };
+        if (typeof value === 'boolean') return { kind: 'boolean' };
+        if (typeof value === 'string') return { kind: 'string' };
+        return { kind: 'table' };
+    }
+
+    static setControlValue(control, param, value) {
+        if (control.type === 'checkbox') {
+            control.checked = Boolean(value);
+        } else if (param.kind === 'table') {
+            control.value = PublicParams.toLua(value);
+        } else {
+            control.value = value;
+        }
+    }
+
+    // Format a value as a Lua literal for `public.name = value`
+    static toLua(value) {
+        if (typeof value === 'string') {
+            return `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+        }
+        if (Array.isArray(value)) {
+            return `{${value.map(v => PublicParams.toLua(v)).join(', ')}}`;
+        }
+        if (value === null || value === undefined) {
+            return 'nil';
+        }
+        return String(value);
+    }
+
+    render() {
+        this.container.innerHTML = '';
+
+        if (this.params.size === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'params-empty';
+            empty.textContent = 'no public params declared';
+            this.container.appendChild(empty);
+            return;
+        }
+
+        for (const param of this.params.values()) {
+            this.container.appendChild(this.renderParam(param));
+        }
+    }
+
+    renderParam(param) {
+        const row = document.createElement('div');
+        row.className = 'param';
+
+        const name = document.createElement('span');
+        name.className = 'param-name';
+        name.textContent = param.name;
+        name.title = param.name;
+        row.appendChild(name);
+
+        const send = (value) => {
+            param.value = value;
+            if (this.onChange) {
+                this.onChange(param.name, value);
+            }
+        };
+
+        param.controls = [];
+
+        if (param.kind === 'options') {
+            const select = document.createElement('select');
+            select.className = 'param-field';
+            for (const option of param.options) {
+                const item = document.createElement('option');
+                item.value = option;
+                item.textContent = option;
+                select.appendChild(item);
+            }
+            select.addEventListener('change', () => send(select.value));
+            param.controls.push(select);
+            row.appendChild(select);
+        } else if (param.kind === 'boolean') {
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.addEventListener('change', () => send(checkbox.checked));
+            param.controls.push(checkbox);
+            row.appendChild(checkbox);
+        } else if (param.kind === 'string' || param.kind === 'table') {
+            const field = document.createElement('input');
+            field.type = 'text';
+            field.className = 'param-field';
+            if (param.kind === 'table') {
+                // Tables are shown for reference; edit them from the REPL
+                field.readOnly = true;
+            } else {
+                field.addEventListener('change', () => send(field.value));
+            }
+            param.controls.push(field);
+            row.appendChild(field);
+        } else {
+            const field = document.createElement('input');
+            field.type = 'number';
+            field.className = 'param-field';
+
+            if (param.kind === 'range') {
+                const step = param.integer ? 1 : (param.max - param.min) / 1000;
+                const slider = document.createElement('input');
+                slider.type = 'range';
+                slider.className = 'param-slider';
+                slider.min = field.min = param.min;
+                slider.max = field.max = param.max;
+                slider.step = field.step = step;
+
+                // Throttle slider drags so the serial port isn't flooded
+                let pending = null;
+                slider.addEventListener('input', () => {
+                    field.value = slider.value;
+                    if (pending) return;
+                    pending = setTimeout(() => {
+                        pending = null;
+                        send(Number(slider.value));
+                    }, 30);
+                });
+                field.addEventListener('change', () => {
+                    const value = Math.min(Math.max(Number(field.value), param.min), param.max);
+                    slider.value = value;
+                    send(value);
+                });
+                param.controls.push(slider);
+                row.appendChild(field);
+                row.appendChild(slider);
+            } else {
+                field.addEventListener('change', () => send(Number(field.value)));
+                row.appendChild(field);
+            }
+            param.controls.push(field);
+        }
+
+        for (const control of param.controls) {
+            PublicParams.setControlValue(control, param, param.value);
+        }
+
+        return row;
+    }
+}
+
+/**
+ * Lua minifier built on the luaparse AST
+ * Drops comments and whitespace and shortens local names. Globals, table
+ * keys and strings are left alone so the crow API keeps working.
+ */
+class LuaMinifier {
+    constructor() {
+        this.scopes = [];
+        this.reserved = new Set();
+    }
+
+    static byteLength(text) {
+        return new TextEncoder().encode(text).length;
+    }
+
+    static minify(code) {
+        const ast = luaparse.parse(code, {
+            scope: true,
+            luaVersion: '5.3'
+        });
+        return new LuaMinifier().chunk(ast);
+    }
+
+    chunk(ast) {
+        // Never hand out a short name that is already used as a global
+        this.reserved = new Set(ast.globals.map(identifier => identifier.name));
+        this.scopes = [{ names: new Map(), next: 0 }];
+        // One top-level statement per line, so uploads can still be chunked at line ends
+        return this.block(ast.body, '\n');
+    }
+
+    // Scopes
+
+    pushScope() {
+        const parent = this.scopes[this.scopes.length - 1];
+        // Continue numbering from the parent so inner names never shadow outer locals
+        this.scopes.push({ names: new Map(), next: parent.next });
+    }
+
+    popScope() {
+        this.scopes.pop();
+    }
+
+    declare(name) {
+        const scope = this.scopes[this.scopes.length - 1];
+        let short;
+        do {
+            short = LuaMinifier.shortName(scope.next++);
+        } while (LuaMinifier.KEYWORDS.has(short) || this.reserved.has(short));
+        scope.names.set(name, short);
+        return short;
+    }
+
+    resolve(name) {
+        for (let i = this.scopes.length - 1; i >= 0; i--) {
+            const short = this.scopes[i].names.get(name);
+            if (short) return short;
+        }
+        return name;
+    }
+
+    static shortName(index) {
+        const alphabet = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ';
+        let name = '';
+        do {
+            name = alphabet[index % alphabet.length] + name;
+            index = Math.floor(index / alphabet.length) - 1;
+        } while (index >= 0);
+        return name;
+    }
+
+    // Output
+
+    // Join tokens with a space only where Lua needs one to keep them apart
+    static join(parts) {
+        let out = '';
+        for (const part of parts) {
+            if (!part) continue;
+            if (out && LuaMinifier.needsSpace(out[out.length - 1], part[0])) {
+                out += ' ';
+            }
+            out += part;
+        }
+        return out;
+    }
+
+    static needsSpace(prev, next) {
+        const word = /[\w]/;
+        if (word.test(prev) && word.test(next)) return true;
+        if (prev === '-' && next === '-') return true; // would start a comment
+        if (prev === '[' && (next === '[' || next === '=')) return true; // would start a long string
+        if (prev === '.' && /[.\d]/.test(next)) return true;
+        if (/\d/.test(prev) && next === '.') return true;
+        return false;
+    }
+
+    block(statements, separator = null) {
+        const parts = [];
+        for (const statement of statements) {
+            let text = this.statement(statement);
+            // A statement opening with '(' would be read as a call on the previous one
+            if (parts.length && text[0] === '(') {
+                text = `;${text}`;
+            }
+            parts.push(text);
+        }
+        return separator === null ? LuaMinifier.join(parts) : parts.join(separator);
+    }
+
+    scopedBlock(statements, declare = () => []) {
+        this.pushScope();
+        const names = declare();
+        const body = this.block(statements);
+        this.popScope();
+        return { names, body };
+    }
+
+    statement(node) {
+        switch (node.type) {
+            case 'LocalStatement': {
+                // Initialisers are evaluated before the new locals come into scope
+                const init = node.init.map(e => this.expression(e));
+                const names = node.variables.map(v => this.declare(v.name));
+                const rhs = init.length ? ['=', init.join(',')] : [];
+                return LuaMinifier.join(['local', names.join(','), ...rhs]);
+            }
+            case 'AssignmentStatement':
+                return LuaMinifier.join([
+                    node.variables.map(v => this.expression(v)).join(','),
+                    '=',
+                    node.init.map(e => this.expression(e)).join(',')
+                ]);
+            case 'CallStatement':
+                return this.expression(node.expression);
+            case 'FunctionDeclaration':
+                return this.functionDeclaration(node);
+            case 'ReturnStatement':
+                return LuaMinifier.join(['return', node.arguments.map(e => this.expression(e)).join(',')]);
+            case 'BreakStatement':
+                return 'break';
+            case 'GotoStatement':
+                return LuaMinifier.join(['goto', node.label.name]);
+            case 'LabelStatement':
+                return `::${node.label.name}::`;
+            case 'DoStatement':
+                return LuaMinifier.join(['do', this.scopedBlock(node.body).body, 'end']);
+            case 'WhileStatement':
+                return LuaMinifier.join(['while', this.expression(node.condition), 'do', this.scopedBlock(node.body).body, 'end']);
+            case 'RepeatStatement': {
+                // The until condition can see the loop body's locals
+                this.pushScope();
+                const body = this.block(node.body);
+                const condition = this.expression(node.condition);
+                this.popScope();
+                return LuaMinifier.join(['repeat', body, 'until', condition]);
+            }
+            case 'IfStatement':
+                return LuaMinifier.join([...node.clauses.map(clause => {
+                    const body = this.scopedBlock(clause.body).body;
+                    if (clause.type === 'ElseClause') return LuaMinifier.join(['else', body]);
+                    const keyword = clause.type === 'IfClause' ? 'if' : 'elseif';
+                    return LuaMinifier.join([keyword, this.expression(clause.condition), 'then', body]);
+                }), 'end']);
+            case 'ForNumericStatement': {
+                const range = [node.start, node.end, node.step].filter(Boolean).map(e => this.expression(e)).join(',');
+                const { names, body } = this.scopedBlock(node.body, () => [this.declare(node.variable.name)]);
+                return LuaMinifier.join(['for', names[0], '=', range, 'do', body, 'end']);
+            }
+            case 'ForGenericStatement': {
+                const iterators = node.iterators.map(e => this.expression(e)).join(',');
+                const { names, body } = this.scopedBlock(node.body, () => node.variables.map(v => this.declare(v.name)));
+                return LuaMinifier.join(['for', names.join(','), 'in', iterators, 'do', body, 'end']);
+            }
+            default:
+                throw new Error(`Unsupported statement: ${node.type}`);
+        }
+    }
+
+    functionDeclaration(node) {
+        let name = '';
+        if (node.identifier) {
+            if (node.isLocal) {
+                // Declared before the body so the function can call itself
+                name = this.declare(node.identifier.name);
+            } else {
+                name = this.expression(node.identifier);
+            }
+        }
+
+        const isMethod = node.identifier && node.identifier.type === 'MemberExpression' && node.identifier.indexer === ':';
+        const { names, body } = this.scopedBlock(node.body, () => {
+            if (isMethod) {
+                // 'self' is implicit in methods and must keep its name
+                this.scopes[this.scopes.length - 1].names.set('self', 'self');
+            }
+            return node.parameters.map(p => p.type === 'VarargLiteral' ? '...' : this.declare(p.name));
+        });
+
+        const head = node.isLocal ? ['local', 'function', name] : ['function', name];
+        return LuaMinifier.join([...head, `(${names.join(',')})`, body, 'end']);
+    }
+
+    static precedence(node) {
+        if (node.type === 'BinaryExpression' || node.type === 'LogicalExpression') {
+            return LuaMinifier.BINARY_PRECEDENCE[node.operator];
+        }
+        if (node.type === 'UnaryExpression') {
+            return LuaMinifier.UNARY_PRECEDENCE;
+        }
+        return Infinity;
+    }
+
+    // Print an operand, adding the parentheses the AST no longer records
+    operand(node, parentPrecedence, needsParensOnTie) {
+        const text = this.expression(node);
+        const precedence = LuaMinifier.precedence(node);
+        if (precedence < parentPrecedence || (precedence === parentPrecedence && needsParensOnTie)) {
+            return `(${text})`;
+        }
+        return text;
+    }
+
+    // Bases of calls and indexing must be prefix expressions
+    prefix(node) {
+        const text = this.expression(node);
+        const isPrefix = ['Identifier', 'MemberExpression', 'IndexExpression', 'CallExpression',
+            'TableCallExpression', 'StringCallExpression'].includes(node.type);
+        return isPrefix ? text : `(${text})`;
+    }
+
+    expression(node) {
+        switch (node.type) {
+            case 'Identifier':
+                return node.isLocal ? this.resolve(node.name) : node.name;
+            case 'StringLiteral':
+            case 'NumericLiteral':
+            case 'BooleanLiteral':
+            case 'NilLiteral':
+            case 'VarargLiteral':
+                return node.raw;
+            case 'FunctionDeclaration':
+                return this.functionDeclaration(node);
+            case 'TableConstructorExpression':
+                return `{${node.fields.map(field => {
+                    if (field.type === 'TableKey') {
+                        // join() spaces a long-string key away from the bracket
+                        return `${LuaMinifier.join(['[', this.expression(field.key), ']'])}=${this.expression(field.value)}`;
+                    }
+                    if (field.type === 'TableKeyString') {
+                        return `${field.key.name}=${this.expression(field.value)}`;
+                    }
+                    return this.expression(field.value);
+                }).join(',')}}`;
+            case 'BinaryExpression':
+            case 'LogicalExpression': {
+                const precedence = LuaMinifier.BINARY_PRECEDENCE[node.operator];
+                const rightAssoc = node.operator === '..' || node.operator === '^';
+                return LuaMinifier.join([
+                    this.operand(node.left, precedence, rightAssoc),
+                    node.operator,
+                    this.operand(node.right, precedence, !rightAssoc)
+                ]);
+            }
+            case 'UnaryExpression':
+                return LuaMinifier.join([node.operator, this.operand(node.argument, LuaMinifier.UNARY_PRECEDENCE, false)]);
+            case 'MemberExpression':
+                return `${this.prefix(node.base)}${node.indexer}${node.identifier.name}`;
+            case 'IndexExpression':
+                return LuaMinifier.join([this.prefix(node.base), '[', this.expression(node.index), ']']);
+            case 'CallExpression':
+                return `${this.prefix(node.base)}(${node.arguments.map(e => this.expression(e)).join(',')})`;
+            case 'TableCallExpression':
+                return `${this.prefix(node.base)}${this.expression(node.arguments)}`;
+            case 'StringCallExpression':
+                return `${this.prefix(node.base)}${this.expression(node.argument)}`;
+            default:
+                throw new Error(`Unsupported expression: ${node.type}`);
+        }
+    }
+}
+
+LuaMinifier.KEYWORDS = new Set([
+    'and', 'break', 'do', 'else', 'elseif', 'end', 'false', 'for', 'function', 'goto', 'if', 'in',
+    'local', 'nil', 'not', 'or', 'repeat', 'return', 'then', 'true', 'until', 'while'
+]);
+LuaMinifier.BINARY_PRECEDENCE = {
+    'or': 1, 'and': 2,
+    '<': 3, '>': 3, '<=': 3, '>=': 3, '~=': 3, '==': 3,
+    '|': 4, '~': 5, '&': 6, '<<': 7, '>>': 7,
+    '..': 8, '+': 9, '-': 9,
+    '*': 10, '/': 10, '//': 10, '%': 10,
+    '^': 12
+};
+LuaMinifier.UNARY_PRECEDENCE = 11;
+
+/**
+ * Flow-controlled script transfer
+ * Sends a script in chunks sized for crow's receive buffer, waiting for the
+ * device to answer a ^^i ping after each one instead of sleeping, then checks
+ * crow's reply and (for flash uploads) reads the script back with ^^p
+ */
+class ScriptTransfer {
+    constructor(session, code, { persist = false, verify = persist, onProgress = null } = {}) {
+        this.session = session;
+        this.code = code.endsWith('\n') ? code : code + '\n';
+        this.persist = persist;
+        this.verify = verify && persist;
+        this.onProgress = onProgress;
+    }
+
+    // Split text into chunks of whole lines of at most `size` bytes; a longer line
+    // is sent as one chunk, since a ^^i ping written inside it would corrupt the line
+    static chunk(text, size = ScriptTransfer.CHUNK_SIZE) {
+        const chunks = [];
+        let current = '';
+        for (const line of text.match(/[^\n]*\n|[^\n]+$/g) || []) {
+            if (current && current.length + line.length > size) {
+                chunks.push(current);
+                current = '';
+            }
+            current += line;
+        }
+        if (current) chunks.push(current);
+        return chunks;
+    }
+
+    // Normalise line endings and trailing whitespace so a read-back compares cleanly
+    static normalize(text) {
+        return text.replace(/\r/g, '').split('\n').map(line => line.trimEnd()).join('\n').trim();
+    }
+
+    // First line of crow's reply that reports a failure, if any
+    static findError(text) {
+        const line = text.split('\n').find(l => ScriptTransfer.ERROR_PATTERN.test(l.trim()));
+        return line ? line.trim() : null;
+    }
+
+    async run() {
+        const { session } = this;
+        const chunks = ScriptTransfer.chunk(this.code);
+        const total = this.code.length;
+        const bytes = LuaMinifier.byteLength(this.code);
+        let sent = 0;
+
+        this.progress(0);
+
+        await session.crow.writeLine('^^s'); // start script upload
+        await session.ping();
+
+        for (const chunk of chunks) {
+            await session.crow.write(chunk);
+            try {
+                await session.ping();
+            } catch (error) {
+                throw new Error(`device stopped responding after ${sent} of ${total} characters`);
+            }
+            sent += chunk.length;
+            this.progress(sent / total);
+        }
+
+        // ^^e runs from RAM, ^^w writes to flash then runs. Anything crow prints
+        // before answering the next ping is its reply to the upload.
+        const reply = session.startCapture();
+        let replyText;
+        try {
+            await session.crow.writeLine(this.persist ? '^^w' : '^^e');
+            await session.ping(ScriptTransfer.COMPILE_TIMEOUT);
+        } finally {
+            replyText = reply.stop();
+        }
+        const error = ScriptTransfer.findError(replyText);
+        if (error) {
+            throw new Error(error);
+        }
+
+        if (this.verify) {
+            await this.verifyReadback();
+        }
+
+        return { bytes, verified: this.verify };
+    }
+
+    async verifyReadback() {
+        const expected = ScriptTransfer.normalize(this.code).split('\n');
+        const actual = ScriptTransfer.normalize(await this.session.readScript()).split('\n');
+
+        for (let i = 0; i < Math.max(expected.length, actual.length); i++) {
+            if (expected[i] !== actual[i]) {
+                const show = (line) => line === undefined ? 'end of script' : JSON.stringify(line.substring(0, 40));
+                throw new Error(`verification failed at line ${i + 1}: sent ${show(expected[i])}, device has ${show(actual[i])}`);
+            }
+        }
+    }
+
+    progress(fraction) {
+        if (this.onProgress) {
+            this.onProgress(fraction);
+        }
+    }
+}
+
+ScriptTransfer.DEVICE_LIMIT = 16 * 1024; // crow's userscript buffer, in bytes
+ScriptTransfer.CHUNK_SIZE = 256;
+ScriptTransfer.PING_TIMEOUT = 2000;
+ScriptTransfer.COMPILE_TIMEOUT = 5000;
+// Only crow's own reports: '!'-prefixed messages and Lua load errors. A script's
+// init() prints before the ping answer too, so words like "error" are not enough.
+ScriptTransfer.ERROR_PATTERN = /^!|^(lua error: )?\[string "[^"]*"\]:\d+:/;
+
+/**
+ * Bundles a multi-file project into one script for crow
+ * require / include / dofile calls with literal names are resolved against
+ * the project's files with luaparse, and each referenced file is inlined as
+ * a function. Keeps a line map so crow's error lines point at the original file.
+ */
+class LuaBundler {
+    // Visit every AST node below `node`
+    static walk(node, visit) {
+        if (!node || typeof node !== 'object') return;
+        if (Array.isArray(node)) {
+            node.forEach(child => LuaBundler.walk(child, visit));
+            return;
+        }
+        if (node.type) {
+            visit(node);
+        }
+        for (const key of Object.keys(node)) {
+            if (key !== 'loc' && key !== 'range') {
+                LuaBundler.walk(node[key], visit);
+            }
+        }
+    }
+
+    // Literal value of a simple quoted string (luaparse keeps only the raw text)
+    static stringValue(node) {
+        if (!node || node.type !== 'StringLiteral' || !/^(['"]).*\1$/.test(node.raw)) return null;
+        return node.raw.slice(1, -1);
+    }
+
+    // [{ fn, name, line }] for each require('x') / include('x') / dofile('x') in the code
+    static references(code) {
+        const ast = luaparse.parse(code, { locations: true, luaVersion: '5.3' });
+        const references = [];
+
+        LuaBundler.walk(ast, (node) => {
+            let argument = null;
+            if (node.type === 'CallExpression') {
+                argument = node.arguments[0];
+            } else if (node.type === 'StringCallExpression') {
+                argument = node.argument;
+            } else {
+                return;
+            }
+
+            if (node.base.type !== 'Identifier' || !LuaBundler.LOADERS.includes(node.base.name)) return;
+            const name = LuaBundler.stringValue(argument);
+            if (name !== null) {
+                references.push({ fn: node.base.name, name, line: node.loc.start.line });
+            }
+        });
+
+        return references;
+    }
+
+    // Map a module name ('lib.scales', 'lib/scales', 'scales.lua') to a project file name
+    static resolve(name, fileNames) {
+        const base = name.replace(/\.lua$/, '');
+        const candidates = [`${base}.lua`, `${base.replace(/\./g, '/')}.lua`];
+        const match = candidates.find(candidate => fileNames.includes(candidate));
+        if (match) return match;
+
+        // Fall back to matching the file name alone, ignoring folders
+        const leaf = candidates[1].split('/').pop();
+        return fileNames.find(file => file.split('/').pop() === leaf) || null;
+    }
+
+    // files: Map of file name -> source. Returns { code, mapLine(line) -> { file, line } }
+    static bundle(files, main) {
+        const fileNames = [...files.keys()];
+        const order = [];
+        const aliases = {};
+        const loaders = new Set();
+        const visiting = new Set();
+
+        const visit = (file) => {
+            if (order.includes(file) || visiting.has(file)) return;
+            visiting.add(file);
+
+            let references;
+            try {
+                references = LuaBundler.references(files.get(file));
+            } catch (error) {
+                throw new Error(`${file}: ${error.message}`);
+            }
+
+            for (const reference of references) {
+                const target = LuaBundler.resolve(reference.name, fileNames);
+                if (!target) {
+                    throw new Error(`${file}:${reference.line}: ${reference.fn}('${reference.name}') not found in project`);
+                }
+                aliases[reference.name] = target;
+                loaders.add(reference.fn);
+                visit(target);
+            }
+
+            visiting.delete(file);
+            order.push(file);
+        };
+        visit(main);
+
+        const modules = order.filter(file => file !== main);
+        const mainSource = files.get(main);
+        if (modules.length === 0) {
+            return { code: mainSource, mapLine: (line) => ({ file: main, line }) };
+        }
+
+        const lines = [];
+        const segments = [];
+        const add = (text, file = null) => {
+            const start = lines.length + 1;
+            const added = text.replace(/\n$/, '').split('\n');
+            lines.push(...added);
+            if (file) {
+                segments.push({ start, end: lines.length, file });
+            }
+        };
+
+        // Loader shims go first so every module body can see them as upvalues
+        const names = Object.entries(aliases).map(([name, file]) => `[${JSON.stringify(name)}]=${JSON.stringify(file)}`);
+        add(`local __files, __names, __loaded = {}, {${names.join(',')}}, {}`);
+        if (loaders.has('require') || loaders.has('include')) {
+            add('local function require(name) local file = __names[name]; if __loaded[file] == nil then __loaded[file] = __files[file](name); if __loaded[file] == nil then __loaded[file] = true end end; return __loaded[file] end');
+        }
+        if (loaders.has('include')) {
+            add('local include = require');
+        }
+        if (loaders.has('dofile')) {
+            add('local function dofile(name) return __files[__names[name]]() end');
+        }
+
+        for (const file of modules) {
+            add(`__files[${JSON.stringify(file)}] = function(...)`);
+            add(files.get(file), file);
+            add('end');
+        }
+        add(mainSource, main);
+
+        return {
+            code: lines.join('\n') + '\n',
+            mapLine: (line) => {
+                const segment = segments.find(s => line >= s.start && line <= s.end);
+                return segment ? { file: segment.file, line: line - segment.start + 1 } : null;
+            }
+        };
+    }
+
+    // Rewrite 'userscript:12:' style locations in crow's output to 'file.lua:3:'
+    static mapErrors(text, mapLine) {
+        return text.replace(LuaBundler.LOCATION_PATTERN, (match, prefix, line) => {
+            const location = mapLine(Number(line));
+            return location ? `${location.file}:${location.line}:` : match;
+        });
+    }
+}
+
+LuaBundler.LOADERS = ['require', 'include', 'dofile'];
+LuaBundler.LOCATION_PATTERN = /(userscript|\[string "[^"]*"\]):(\d+):/g;
+
+/**
+ * Files of a multi-file project, one Monaco model each
+ * Renders the sidebar file list; the main file is where bundling starts.
+ */
+class ScriptProject {
+    constructor(container) {
+        this.container = container;
+        this.files = new Map();
+        // File System Access handles for files opened from disk
+        this.handles = new Map();
+        this.main = null;
+        this.active = null;
+        this.onSelect = null;
+        this.onChange = null;
+        this.render();
+    }
+
+    // Add a file, or replace the text of one with the same name
+    add(name, text, model = null) {
+        if (this.files.has(name)) {
+            this.files.get(name).setValue(text);
+        } else {
+            this.files.set(name, model || monaco.editor.createModel(text, 'lua'));
+        }
+        if (!this.main) {
+            this.main = name;
+        }
+        this.changed();
+        return this.files.get(name);
+    }
+
+    remove(name) {
+        const model = this.files.get(name);
+        if (!model || this.files.size === 1) return;
+
+        this.files.delete(name);
+        this.handles.delete(name);
+        if (this.main === name) {
+            this.main = this.files.keys().next().value;
+        }
+        if (this.active === name) {
+            this.select(this.main);
+        }
+        model.dispose();
+        this.changed();
+    }
+
+    // Drop every file except `keep`, whose model stays alive for the editor
+    close(keep) {
+        for (const [name, model] of this.files) {
+            if (name !== keep) {
+                model.dispose();
+            }
+        }
+        this.files.clear();
+        this.handles.clear();
+        this.main = null;
+        this.active = null;
+        this.changed();
+    }
+
+    rename(name, newName) {
+        if (!this.files.has(name) || this.files.has(newName)) return false;
+
+        // Rebuild the map so the file keeps its place in the list
+        this.files = new Map([...this.files].map(([key, model]) => [key === name ? newName : key, model]));
+        if (this.handles.has(name)) {
+            this.handles.set(newName, this.handles.get(name));
+            this.handles.delete(name);
+        }
+        if (this.main === name) this.main = newName;
+        if (this.active === name) this.active = newName;
+        this.changed();
+        return true;
+    }
+
+    setMain(name) {
+        if (!this.files.has(name)) return;
+        this.main = name;
+        this.changed();
+    }
+
+    select(name) {
+        if (!this.files.has(name)) return;
+        this.active = name;
+        this.render();
+        if (this.onSelect) {
+            this.onSelect(name, this.files.get(name));
+        }
+    }
+
+    changed() {
+        this.render();
+        if (this.onChange) {
+            this.onChange();
+        }
+    }
+
+    // Everything reachable from the main file as one script (see LuaBundler)
+    bundle() {
+        const sources = new Map([...this.files].map(([name, model]) => [name, model.getValue()]));
+        return LuaBundler.bundle(sources, this.main);
+    }
+
+    render() {
+        this.container.innerHTML = '';
+
+        for (const name of this.files.keys()) {
+            const row = document.createElement('div');
+            row.className = 'project-file';
+            row.classList.toggle('active', name === this.active);
+
+            const label = document.createElement('span');
+            label.className = 'project-file-name';
+            label.textContent = name;
+            label.title = name;
+            label.addEventListener('click', () => this.select(name));
+            row.appendChild(label);
+
+            const mainBtn = document.createElement('button');
+            mainBtn.className = 'project-file-main';
+            mainBtn.classList.toggle('active', name === this.main);
+            mainBtn.textContent = 'main';
+            mainBtn.title = name === this.main ? 'Run and upload start from this file' : 'Make this the main file';
+            mainBtn.addEventListener('click', () => this.setMain(name));
+            row.appendChild(mainBtn);
+
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'project-file-remove';
+            removeBtn.innerHTML = '&times;';
+            removeBtn.title = 'Remove from project';
+            removeBtn.disabled = this.files.size === 1;
+            removeBtn.addEventListener('click', () => {
+                if (confirm(`Remove ${name} from the project?`)) {
+                    this.remove(name);
+                }
+            });
+            row.appendChild(removeBtn);
+
+            this.container.appendChild(row);
+        }
+    }
+}
+
+/**
+ * Browser-side script library kept in IndexedDB
+ * Named scripts, the autosaved editor buffer, and a revision snapshot per upload.
+ * Everything stays on this machine, so it works offline and survives reloads.
+ */
+class ScriptLibrary {
+    constructor() {
+        this.opening = null;
+    }
+
+    static get isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    // Resolve an IDBRequest
+    static result(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Resolve once every request in the transaction has been written
+    static done(transaction) {
+        return new Promise((resolve, reject) => {
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    open() {
+        if (!this.opening) {
+            const request = indexedDB.open(ScriptLibrary.DB_NAME, ScriptLibrary.DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                db.createObjectStore('scripts', { keyPath: 'name' });
+                db.createObjectStore('state');
+                const revisions = db.createObjectStore('revisions', { keyPath: 'id', autoIncrement: true });
+                revisions.createIndex('name', 'name');
+            };
+            this.opening = ScriptLibrary.result(request);
+        }
+        return this.opening;
+    }
+
+    async store(name, mode = 'readonly') {
+        const db = await this.open();
+        return db.transaction(name, mode).objectStore(name);
+    }
+
+    // Saved scripts plus anything only ever uploaded, most recent first
+    async list() {
+        const scripts = await ScriptLibrary.result((await this.store('scripts')).getAll());
+        const byName = new Map(scripts.map(script => [script.name, { ...script, saved: true }]));
+
+        const revisions = (await this.store('revisions')).index('name');
+        await new Promise((resolve, reject) => {
+            const cursor = revisions.openCursor(null, 'prev');
+            cursor.onerror = () => reject(cursor.error);
+            cursor.onsuccess = () => {
+                const current = cursor.result;
+                if (!current) return resolve();
+
+                const { name, time } = current.value;
+                const entry = byName.get(name) || { name, saved: false, updated: 0 };
+                entry.revisions = (entry.revisions || 0) + 1;
+                entry.uploaded = Math.max(entry.uploaded || 0, time);
+                byName.set(name, entry);
+                current.continue();
+            };
+        });
+
+        const latest = (entry) => Math.max(entry.updated || 0, entry.uploaded || 0);
+        return [...byName.values()].sort((a, b) => latest(b) - latest(a));
+    }
+
+    async get(name) {
+        return ScriptLibrary.result((await this.store('scripts')).get(name));
+    }
+
+    async save(name, code) {
+        const store = await this.store('scripts', 'readwrite');
+        const existing = await ScriptLibrary.result(store.get(name));
+        const now = Date.now();
+        await ScriptLibrary.result(store.put({
+            name,
+            code,
+            created: existing ? existing.created : now,
+            updated: now
+        }));
+    }
+
+    // Delete a script and every revision of it
+    async remove(name) {
+        const db = await this.open();
+        const transaction = db.transaction(['scripts', 'revisions'], 'readwrite');
+        transaction.objectStore('scripts').delete(name);
+        const revisions = transaction.objectStore('revisions');
+        const keys = await ScriptLibrary.result(revisions.index('name').getAllKeys(name));
+        keys.forEach(key => revisions.delete(key));
+        await ScriptLibrary.done(transaction);
+    }
+
+    // Snapshot of what was written to a device; keeps the newest MAX_REVISIONS per name
+    async addRevision(name, code, device) {
+        const db = await this.open();
+        const transaction = db.transaction('revisions', 'readwrite');
+        const revisions = transaction.objectStore('revisions');
+        revisions.add({ name, code, device, time: Date.now() });
+
+        const keys = await ScriptLibrary.result(revisions.index('name').getAllKeys(name));
+        keys.slice(0, Math.max(0, keys.length - ScriptLibrary.MAX_REVISIONS)).forEach(key => revisions.delete(key));
+        await ScriptLibrary.done(transaction);
+    }
+
+    // Newest first
+    async revisions(name) {
+        const revisions = await ScriptLibrary.result((await this.store('revisions')).index('name').getAll(name));
+        return revisions.sort((a, b) => b.id - a.id);
+    }
+
+    async latestRevision(name) {
+        return (await this.revisions(name))[0] || null;
+    }
+
+    async getAutosave() {
+        return ScriptLibrary.result((await this.store('state')).get('autosave'));
+    }
+
+    // `project` holds every file of an open project ({ files, main, active }), else null
+    async setAutosave(name, code, project = null) {
+        const store = await this.store('state', 'readwrite');
+        await ScriptLibrary.result(store.put({ name, code, project, time: Date.now() }, 'autosave'));
+    }
+
+    // Editor preferences kept next to the autosave, e.g. the ii rig
+    async getSetting(key) {
+        return ScriptLibrary.result((await this.store('state')).get(`setting:${key}`));
+    }
+
+    async setSetting(key, value) {
+        const store = await this.store('state', 'readwrite');
+        await ScriptLibrary.result(store.put(value, `setting:${key}`));
+    }
+}
+
+ScriptLibrary.DB_NAME = 'web-druid';
+ScriptLibrary.DB_VERSION = 1;
+ScriptLibrary.MAX_REVISIONS = 50;
+
+/**
+ * Local folder opened with the File System Access API
+ * Lists every .lua file below it in the editor sidebar; clicking one opens it
+ * with its handle so saves go straight back to disk.
+ */
+class FolderWorkspace {
+    constructor(container, directory) {
+        this.container = container;
+        this.directory = directory;
+        this.files = null;
+        this.active = null;
+        this.onOpen = null;
+    }
+
+    get name() {
+        return this.directory.name;
+    }
+
+    // Re-read the folder; cheap enough to repeat when watching for changes
+    async scan() {
+        const files = [];
+        const walk = async (directory, prefix) => {
+            for await (const [name, handle] of directory.entries()) {
+                if (name.startsWith('.') || name === 'node_modules') continue;
+
+                if (handle.kind === 'directory') {
+                    await walk(handle, `${prefix}${name}/`);
+                } else if (name.endsWith('.lua')) {
+                    files.push({ path: `${prefix}${name}`, handle });
+                }
+            }
+        };
+        await walk(this.directory, '');
+        files.sort((a, b) => a.path.localeCompare(b.path));
+
+        const paths = (list) => list.map(file => file.path).join('\n');
+        const changed = !this.files || paths(files) !== paths(this.files);
+        this.files = files;
+        if (changed) {
+            this.render();
+        }
+    }
+
+    setActive(path) {
+        this.active = path;
+        this.render();
+    }
+
+    render() {
+        this.container.innerHTML = '';
+
+        if (this.files.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'params-empty';
+            empty.textContent = 'no .lua files in this folder';
+            this.container.appendChild(empty);
+            return;
+        }
+
+        for (const file of this.files) {
+            const row = document.createElement('div');
+            row.className = 'project-file';
+            row.classList.toggle('active', file.path === this.active);
+
+            const label = document.createElement('span');
+            label.className = 'project-file-name';
+            label.textContent = file.path;
+            label.title = file.path;
+            label.addEventListener('click', () => {
+                if (this.onOpen) {
+                    this.onOpen(file.path, file.handle);
+                }
+            });
+            row.appendChild(label);
+
+            this.container.appendChild(row);
+        }
+    }
+}
+
+/**
+ * Side-by-side review of the editor buffer against another version of the script
+ * The right side is the buffer's own model, so edits land straight in the editor.
+ * Each change (hunk) can be accepted, or rejected to put the other version's lines back.
+ */
+class ScriptDiff {
+    constructor(container) {
+        this.container = container;
+        this.diffEditor = null;
+        this.original = null;
+        this.modified = null;
+        this.changes = [];
+        this.accepted = new Set();
+        this.current = 0;
+        this.decorations = [];
+        this.onUpdate = null;
+    }
+
+    get isOpen() {
+        return this.original !== null;
+    }
+
+    // Pending = not yet accepted; rejected hunks disappear from the diff on their own
+    get pending() {
+        return this.changes.filter(change => !this.accepted.has(this.signature(change)));
+    }
+
+    open(originalText, modifiedModel) {
+        if (!this.diffEditor) {
+            this.diffEditor = monaco.editor.createDiffEditor(this.container, {
+                theme: 'vs-dark',
+                fontSize: 14,
+                fontFamily: 'monospace',
+                minimap: { enabled: false },
+                automaticLayout: true,
+                originalEditable: false,
+                renderSideBySide: true,
+                scrollBeyondLastLine: false
+            });
+            this.diffEditor.onDidUpdateDiff(() => this.refresh());
+        }
+
+        this.close();
+        this.original = monaco.editor.createModel(originalText, 'lua');
+        this.modified = modifiedModel;
+        this.accepted.clear();
+        this.current = 0;
+        this.diffEditor.setModel({ original: this.original, modified: this.modified });
+    }
+
+    close() {
+        if (!this.isOpen) return;
+
+        this.diffEditor.setModel(null);
+        this.original.dispose();
+        this.original = null;
+        this.modified = null;
+        this.changes = [];
+        this.decorations = [];
+    }
+
+    // Lines of a hunk on one side; an end line of 0 means the side has none
+    static lines(text, start, end) {
+        return end === 0 ? [] : text.split('\n').slice(start - 1, end);
+    }
+
+    signature(change) {
+        const original = ScriptDiff.lines(this.original.getValue(), change.originalStartLineNumber, change.originalEndLineNumber);
+        const modified = ScriptDiff.lines(this.modified.getValue(), change.modifiedStartLineNumber, change.modifiedEndLineNumber);
+        return `${original.join('\n')}\u0000${modified.join('\n')}`;
+    }
+
+    // `modified` with one hunk replaced by the original's lines (Monaco line change numbering)
+    static revertHunk(modified, original, change) {
+        const lines = modified.split('\n');
+        const replacement = ScriptDiff.lines(original, change.originalStartLineNumber, change.originalEndLineNumber);
+
+        if (change.modifiedEndLineNumber === 0) {
+            // Lines only on the original side go back in after modifiedStartLineNumber
+            lines.splice(change.modifiedStartLineNumber, 0, ...replacement);
+        } else {
+            const count = change.modifiedEndLineNumber - change.modifiedStartLineNumber + 1;
+            lines.splice(change.modifiedStartLineNumber - 1, count, ...replacement);
+        }
+        return lines.join('\n');
+    }
+
+    refresh() {
+        if (!this.isOpen) return;
+
+        this.changes = this.diffEditor.getLineChanges() || [];
+        const pending = this.pending;
+        this.current = Math.min(this.current, Math.max(0, pending.length - 1));
+        this.highlight();
+        if (this.onUpdate) {
+            this.onUpdate();
+        }
+    }
+
+    move(step) {
+        const count = this.pending.length;
+        if (count === 0) return;
+        this.current = (this.current + step + count) % count;
+        this.highlight();
+        if (this.onUpdate) {
+            this.onUpdate();
+        }
+    }
+
+    // Keep the buffer's side of the current hunk
+    accept() {
+        const change = this.pending[this.current];
+        if (!change) return;
+        this.accepted.add(this.signature(change));
+        this.refresh();
+    }
+
+    // Put the other version's lines back for the current hunk (undoable in the editor)
+    reject() {
+        const change = this.pending[this.current];
+        if (!change) return;
+
+        const text = ScriptDiff.revertHunk(this.modified.getValue(), this.original.getValue(), change);
+        this.modified.pushEditOperations([], [{ range: this.modified.getFullModelRange(), text }], () => null);
+        this.modified.pushStackElement();
+    }
+
+    highlight() {
+        const editor = this.diffEditor.getModifiedEditor();
+        const change = this.pending[this.current];
+        const decorations = [];
+
+        if (change) {
+            const start = Math.max(1, change.modifiedStartLineNumber);
+            const end = Math.max(start, change.modifiedEndLineNumber);
+            decorations.push({
+                range: new monaco.Range(start, 1, end, 1),
+                options: { isWholeLine: true, className: 'diff-current-hunk', linesDecorationsClassName: 'diff-current-hunk-margin' }
+            });
+            editor.revealLinesInCenterIfOutsideViewport(start, end);
+        }
+        this.decorations = editor.deltaDecorations(this.decorations, decorations);
+    }
+}
+
+/**
+ * The crow / blackbird scripting API, loaded from crow-api.json
+ * Completions, signature help and lint rules are all generated from this
+ * data, so new firmware features only need an edit to the JSON file.
+ */
+class CrowApi {
+    constructor(data) {
+        this.version = data.version;
+        this.firmware = data.firmware || {};
+        this.commands = data.commands || [];
+        this.entries = [...(data.entries || []), ...CrowApi.iiEntries(data.ii || {})];
+        this.iiDevices = Object.entries(data.ii || {}).map(([key, device]) => ({ key, title: device.title }));
+        this.byName = new Map(this.entries.map(entry => [entry.name, entry]));
+        this.anchors = data.anchors || {};
+
+        // Device profiles: channel counts and the namespaces only that device has
+        this.profiles = {};
+        for (const [name, profile] of Object.entries(data.profiles || {})) {
+            this.profiles[name] = { name, channels: profile.channels, namespaces: profile.namespaces || [] };
+        }
+
+        // Tables listed as `closed` have every member described, so the linter can flag typos
+        this.members = {};
+        (data.closed || []).forEach(owner => { this.members[owner] = []; });
+        this.actions = [];
+        this.globals = new Set(data.globals || []);
+
+        for (const entry of this.entries) {
+            const root = entry.name.match(/^\w+/)[0];
+            if (!this.owner(root)) this.globals.add(root);
+
+            const member = entry.name.match(/^(.+)[.:](\w+)$/);
+            if (member && this.members[member[1]]) this.members[member[1]].push(member[2]);
+
+            if (entry.returns === 'action' && entry.name === root) this.actions.push(entry.name);
+        }
+    }
+
+    // Expand the `ii` catalogue into entries: every command, plus `get` and the
+    // `event` handler its replies arrive in, tagged with the device key
+    static iiEntries(catalogue) {
+        const entries = [];
+        for (const [device, spec] of Object.entries(catalogue)) {
+            const prefix = `ii.${device}`;
+            entries.push({ name: `${prefix}.help`, kind: 'function', device, doc: `${spec.title}: print its ii commands` });
+
+            for (const command of spec.commands || []) {
+                entries.push({ ...command, name: `${prefix}.${command.name}`, kind: 'method', device,
+                    doc: `${spec.title}: ${command.doc}`, params: command.params || [] });
+            }
+
+            const getters = spec.getters || [];
+            if (!getters.length) continue;
+            const names = getters.map(getter => getter.name);
+            const list = getters.map(getter => {
+                const args = (getter.params || []).map(param => param.name).join(', ');
+                return `- '${getter.name}'${args ? ` (${args})` : ''}${getter.doc ? `: ${getter.doc}` : ''}`;
+            });
+            entries.push({
+                name: `${prefix}.get`, kind: 'method', device,
+                doc: `${spec.title}: request a value; the reply arrives in ${prefix}.event\n\n${list.join('\n')}`,
+                params: [
+                    { name: 'name', type: 'string', doc: names.map(name => `'${name}'`).join(', ') },
+                    { name: '...', type: 'any', doc: "The getter's arguments, e.g. a channel" }
+                ],
+                insert: `${prefix}.get('\${1|${names.join(',')}|}')`
+            });
+            entries.push({
+                name: `${prefix}.event`, kind: 'event', device,
+                doc: `${spec.title}: called with the reply to each ${prefix}.get`,
+                params: [
+                    { name: 'e', type: 'table', doc: 'e.name is the getter, e.arg its argument and e.device the device index' },
+                    { name: 'value', type: 'number' }
+                ],
+                insert: `${prefix}.event = function(e, value)\n  if e.name == '\${1|${names.join(',')}|}' then\n    \${0}\n  end\nend`,
+                example: `${prefix}.event = function(e, value)\n  print(e.name, value)\nend\n${prefix}.get('${names[0]}'${getters[0].params ? ', 1' : ''})`
+            });
+        }
+        return entries;
+    }
+
+    static async load(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`${url}: ${response.status}`);
+        }
+        return new CrowApi(await response.json());
+    }
+
+    profile(name) {
+        return this.profiles[name] || this.profiles.crow;
+    }
+
+    // The profile that provides a namespace such as 'bb', if any
+    owner(namespace) {
+        return Object.values(this.profiles).find(profile => profile.namespaces.includes(namespace)) || null;
+    }
+
+    // Does a name like 'bb.noise' belong to this profile?
+    allows(profile, name) {
+        const namespace = name.match(/^(\w+)\./);
+        const owner = namespace && this.owner(namespace[1]);
+        return !owner || owner === profile;
+    }
+
+    // Snippet text for a completion: `[n]` and each parameter become tab stops
+    insertText(entry) {
+        if (entry.insert) return entry.insert;
+
+        let stop = 0;
+        const name = entry.name.replace(/\[n\]/g, () => `[\${${++stop}:n}]`);
+        const params = (entry.params || []).map(param => param.name);
+        if (entry.kind === 'event') {
+            return `${name} = function(${params.join(', ')}) \${${++stop}} end`;
+        }
+        if (entry.kind === 'function' || entry.kind === 'method') {
+            if (entry.call === 'table') return `${name}{\${${++stop}:}}`;
+            return `${name}(${params.map(param => `\${${++stop}:${param}}`).join(', ')})`;
+        }
+        if (entry.kind === 'property' && !entry.readonly) {
+            // An assignment, with the value a tab stop holding the default or a placeholder for the type
+            const value = entry.default !== undefined ? entry.default : CrowApi.PLACEHOLDERS[entry.type];
+            const placeholder = `\${${++stop}:${String(value ?? '').replace(/[$}\\]/g, '\\$&')}}`;
+            return `${name} = ${entry.type === 'string' ? `'${placeholder}'` : placeholder}`;
+        }
+        return name;
+    }
+
+    // Short form for completion details: the call signature, or the property type
+    detail(entry) {
+        if (entry.kind === 'function' || entry.kind === 'method') return this.signature(entry).label;
+        return entry.type || entry.kind;
+    }
+
+    documentation(entry) {
+        return entry.since ? `${entry.doc}\n\nRequires crow ${entry.since} or later` : entry.doc;
+    }
+
+    signature(entry) {
+        const open = entry.call === 'table' ? '{' : '(';
+        const close = entry.call === 'table' ? '}' : ')';
+        const params = entry.params || [];
+        return {
+            label: `${entry.name}${open}${params.map(param => param.name).join(', ')}${close}`,
+            documentation: entry.doc,
+            parameters: params.map(param => {
+                const notes = [param.type, param.default !== undefined ? `default: ${param.default}` : null].filter(Boolean);
+                return {
+                    label: param.name,
+                    documentation: [param.doc, notes.length ? `(${notes.join(', ')})` : null].filter(Boolean).join(' ')
+                };
+            })
+        };
+    }
+
+    // Hover card: signature, parameter docs, an example and a link into the reference page
+    hover(entry, referenceUrl) {
+        const contents = [];
+        const header = entry.kind === 'function' || entry.kind === 'method' ? this.signature(entry).label
+            : entry.kind === 'event' ? `${entry.name} = function(${(entry.params || []).map(param => param.name).join(', ')}) end`
+            : `${entry.name} -- ${entry.type || entry.kind}`;
+        contents.push({ value: '```lua\n' + header + '\n```' });
+        contents.push({ value: this.documentation(entry) });
+
+        if (entry.params && entry.params.length) {
+            const rows = this.signature(entry).parameters.map(param => `- \`${param.label}\` ${param.documentation}`);
+            contents.push({ value: rows.join('\n') });
+        }
+        if (entry.example) {
+            contents.push({ value: '```lua\n' + entry.example + '\n```' });
+        }
+
+        // Device-only namespaces like bb.* aren't on the crow reference page
+        const root = entry.name.match(/^\w+/)[0];
+        if (!this.owner(root)) {
+            const anchor = entry.anchor || this.anchors[root];
+            contents.push({ value: `[open in reference](${referenceUrl}${anchor ? `#${anchor}` : ''})` });
+        }
+        return contents;
+    }
+
+    // The API name under the cursor, e.g. hovering `sync` in `clock.sync(1)`.
+    // column is 1-based; returns the name with indices normalised and its columns.
+    static symbolAt(line, column) {
+        const part = /[\w.:[\]]/;
+        let start = column - 1;
+        let end = column - 1;
+        if (!/\w/.test(line[start] || '')) return null;
+        while (start > 0 && part.test(line[start - 1])) start--;
+        while (end < line.length && /\w/.test(line[end])) end++;
+
+        const name = line.slice(start, end).replace(/^[.:]+/, '').replace(/\[[^\]]*\]/g, '[n]');
+        return { name, startColumn: start + 1, endColumn: end + 1 };
+    }
+
+    // The innermost call left open at the end of `text`, e.g. 'lfo(1, ' -> { name: 'lfo', parameter: 1 }.
+    // Indices are normalised so `output[2].scale(` finds 'output[n].scale'.
+    static callAt(text) {
+        let depth = 0;
+        let parameter = 0;
+        for (let i = text.length - 1; i >= 0; i--) {
+            const char = text[i];
+            if (char === ')' || char === '}') {
+                depth++;
+            } else if (char === '(' || char === '{') {
+                if (depth > 0) {
+                    depth--;
+                    continue;
+                }
+                const callee = text.slice(0, i).match(/([\w.:[\]]+)\s*$/);
+                const name = callee && callee[1].replace(/\[[^\]]*\]/g, '[n]');
+                if (char === '(' && name) return { name, parameter };
+                if (char === '{' && name) return { name, parameter: 0 };
+                // A table constructor inside the arguments: its commas aren't ours
+                parameter = 0;
+            } else if (char === ',' && depth === 0) {
+                parameter++;
+            }
+        }
+        return null;
+    }
+}
+
+// Values offered when assigning a property that has no default in the API file
+CrowApi.PLACEHOLDERS = { number: 0, integer: 0, string: '', table: '{}', action: 'lfo()' };
+
+/**
+ * crow-aware checks on the luaparse AST, beyond syntax errors
+ * Returns problems with 1-based Monaco positions and, where the intent is
+ * clear, a quick-fix edit.
+ */
+class CrowLinter {
+    // Visit every AST node with the chain of nodes above it
+    static walk(node, visit, ancestors = []) {
+        if (!node || typeof node !== 'object') return;
+        if (Array.isArray(node)) {
+            node.forEach(child => CrowLinter.walk(child, visit, ancestors));
+            return;
+        }
+        if (!node.type) return;
+
+        visit(node, ancestors);
+        ancestors.push(node);
+        for (const key of Object.keys(node)) {
+            // The chunk's `globals` list repeats identifiers found in the body
+            if (key !== 'loc' && key !== 'range' && key !== 'globals') {
+                CrowLinter.walk(node[key], visit, ancestors);
+            }
+        }
+        ancestors.pop();
+    }
+
+    static parse(code) {
+        return luaparse.parse(code, { locations: true, scope: true, luaVersion: '5.3' });
+    }
+
+    // Global names a chunk assigns or declares with `function name()`
+    static definedGlobals(code) {
+        const defined = new Set();
+        CrowLinter.walk(CrowLinter.parse(code), (node) => {
+            const targets = node.type === 'AssignmentStatement' ? node.variables
+                : node.type === 'FunctionDeclaration' ? [node.identifier]
+                : [];
+            for (const target of targets) {
+                if (target && target.type === 'Identifier' && !target.isLocal) {
+                    defined.add(target.name);
+                }
+            }
+        });
+        return defined;
+    }
+
+    // Optimal string alignment distance, for "did you mean" suggestions
+    static distance(a, b) {
+        const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...new Array(b.length).fill(0)]);
+        for (let j = 1; j <= b.length; j++) d[0][j] = j;
+        for (let i = 1; i <= a.length; i++) {
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+                if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+                }
+            }
+        }
+        return d[a.length][b.length];
+    }
+
+    static suggest(name, candidates) {
+        let best = null;
+        let bestDistance = name.length > 3 ? 2 : 1;
+        for (const candidate of candidates) {
+            const distance = CrowLinter.distance(name, candidate);
+            if (distance > 0 && distance <= bestDistance && (!best || distance < bestDistance)) {
+                best = candidate;
+                bestDistance = distance;
+            }
+        }
+        return best;
+    }
+
+    static range(node) {
+        return {
+            startLineNumber: node.loc.start.line,
+            startColumn: node.loc.start.column + 1,
+            endLineNumber: node.loc.end.line,
+            endColumn: node.loc.end.column + 1
+        };
+    }
+
+    // Does any enclosing `if` (or `x and ...`) test `name` first, as in `if bb then ... end`?
+    static isGuarded(name, ancestors) {
+        const mentions = (node) => {
+            let found = false;
+            CrowLinter.walk(node, (child) => {
+                found = found || (child.type === 'Identifier' && child.name === name);
+            });
+            return found;
+        };
+        return ancestors.some(node =>
+            ((node.type === 'IfClause' || node.type === 'ElseifClause') && mentions(node.condition)) ||
+            (node.type === 'LogicalExpression' && node.operator === 'and' && mentions(node.left))
+        );
+    }
+
+    // code: script source. api: the CrowApi the rules come from. profile: one of its
+    // profiles. globals: names defined elsewhere (e.g. other project files).
+    static lint(code, api, { profile = api.profile('crow'), globals = [] } = {}) {
+        const ast = CrowLinter.parse(code);
+        const problems = [];
+        const report = (node, message, fix = null) => {
+            problems.push({ ...CrowLinter.range(node), message, fix });
+        };
+
+        const defined = CrowLinter.definedGlobals(code);
+        globals.forEach(name => defined.add(name));
+        const known = new Set([...api.globals, ...profile.namespaces]);
+        const writes = new Set();
+        const locals = new Set();
+
+        CrowLinter.walk(ast, (node, ancestors) => {
+            if (node.type === 'AssignmentStatement') {
+                node.variables.forEach(variable => writes.add(variable));
+            }
+            if (node.type === 'FunctionDeclaration' && node.identifier) {
+                writes.add(node.identifier);
+            }
+            if (node.type === 'Identifier' && node.isLocal) {
+                locals.add(node.name);
+            }
+
+            // output[5], input[3]
+            if (node.type === 'IndexExpression' && node.base.type === 'Identifier' && !node.base.isLocal &&
+                node.index.type === 'NumericLiteral') {
+                const count = profile.channels[node.base.name];
+                const index = node.index.value;
+                if (count && (index < 1 || index > count || !Number.isInteger(index))) {
+                    report(node, `${node.base.name}[${node.index.raw}] is out of range: ${profile.name} has ${node.base.name}[1] to ${node.base.name}[${count}]`);
+                }
+            }
+
+            // output[1].slw, clock.sleeep
+            if (node.type === 'MemberExpression') {
+                let owner = null;
+                if (node.base.type === 'IndexExpression' && node.base.base.type === 'Identifier' && !node.base.base.isLocal) {
+                    owner = `${node.base.base.name}[n]`;
+                } else if (node.base.type === 'Identifier' && !node.base.isLocal) {
+                    owner = node.base.name;
+                }
+
+                // Only names close to a real member are flagged; scripts may add fields of their own
+                const members = owner && api.members[owner];
+                const name = node.identifier.name;
+                if (members && !members.includes(name)) {
+                    const suggestion = CrowLinter.suggest(name, members);
+                    if (suggestion) {
+                        report(node.identifier, `${owner} has no member '${name}'. Did you mean '${suggestion}'?`,
+                            { title: `Change to '${suggestion}'`, text: suggestion });
+                    }
+                }
+            }
+
+            // bb.* on a crow: namespaces another device's profile provides
+            if (node.type === 'MemberExpression' && node.base.type === 'Identifier' && !node.base.isLocal &&
+                !profile.namespaces.includes(node.base.name)) {
+                const owner = api.owner(node.base.name);
+                if (owner && !CrowLinter.isGuarded(node.base.name, ancestors)) {
+                    report(node, `${node.base.name}.${node.identifier.name} only exists on ${owner.name}; this script targets ${profile.name}`);
+                }
+            }
+
+            // lfo() on its own line builds an action and throws it away
+            if (node.type === 'CallStatement') {
+                const call = node.expression;
+                if (call.base && call.base.type === 'Identifier' && !call.base.isLocal &&
+                    api.actions.includes(call.base.name)) {
+                    const start = CrowLinter.range(node);
+                    report(call.base, `${call.base.name}() builds an action but doesn't run it; assign it to an output's .action`, {
+                        title: `Assign to output[1].action`,
+                        text: 'output[1].action = ',
+                        range: { ...start, endLineNumber: start.startLineNumber, endColumn: start.startColumn }
+                    });
+                }
+            }
+        });
+
+        // Read before any definition anywhere in the script
+        CrowLinter.walk(ast, (node) => {
+            if (node.type !== 'Identifier' || node.isLocal !== false || writes.has(node)) return;
+            if (defined.has(node.name) || known.has(node.name)) return;
+            if (api.owner(node.name)) return; // reported as bb.* above
+
+            const suggestion = CrowLinter.suggest(node.name, [...locals, ...defined, ...known]);
+            report(node, `'${node.name}' is used but never defined` + (suggestion ? `. Did you mean '${suggestion}'?` : ''),
+                suggestion ? { title: `Change to '${suggestion}'`, text: suggestion } : null);
+        });
+
+        return problems.sort((a, b) => a.startLineNumber - b.startLineNumber || a.startColumn - b.startColumn);
+    }
+}
+
+/**
+ * Draws the voltage-over-time curve of the ASL action under the editor cursor
+ * The action is evaluated locally from its luaparse AST: literal arguments,
+ * the API file's defaults for the rest, and a slider for every dyn{} value.
+ */
+class AslPreview {
+    constructor(container) {
+        this.container = container;
+        this.source = null;
+        this.values = new Map();
+        this.api = null;
+
+        this.title = document.createElement('div');
+        this.title.className = 'asl-preview-title';
+        this.canvas = document.createElement('canvas');
+        this.canvas.className = 'asl-preview-canvas';
+        this.canvas.width = 600;
+        this.canvas.height = 120;
+        this.sliders = document.createElement('div');
+        this.sliders.className = 'asl-preview-sliders';
+
+        container.appendChild(this.title);
+        container.appendChild(this.canvas);
+        container.appendChild(this.sliders);
+    }
+
+    get isOpen() {
+        return !this.container.classList.contains('hidden');
+    }
+
+    hide() {
+        this.container.classList.add('hidden');
+    }
+
+    // The outermost ASL expression around a character offset, as in
+    // `output[1].action = loop{ to(5, 1), to(0, |1) }` -> the loop{}
+    static find(code, offset) {
+        const ast = luaparse.parse(code, { ranges: true, luaVersion: '5.3' });
+        let found = null;
+        CrowLinter.walk(ast, (node) => {
+            if (!node.range || offset < node.range[0] || offset > node.range[1]) return;
+            if (!AslPreview.isAsl(node)) return;
+            if (!found || node.range[1] - node.range[0] > found.range[1] - found.range[0]) found = node;
+        });
+        return found;
+    }
+
+    static callee(node) {
+        const isCall = node.type === 'CallExpression' || node.type === 'TableCallExpression' || node.type === 'StringCallExpression';
+        return isCall && node.base.type === 'Identifier' ? node.base.name : null;
+    }
+
+    static isAsl(node) {
+        if (node.type === 'TableConstructorExpression') {
+            return node.fields.length > 0 && node.fields.every(field => field.type === 'TableValue' && AslPreview.isAsl(field.value));
+        }
+        return Object.prototype.hasOwnProperty.call(AslPreview.BUILDERS, AslPreview.callee(node));
+    }
+
+    // Evaluate a node to a number, string or ASL program. dyns collects the
+    // dyn{} names it meets; values holds the slider overrides.
+    evaluate(node, dyns) {
+        switch (node.type) {
+            case 'NumericLiteral':
+                return node.value;
+            case 'StringLiteral':
+                return node.raw.slice(1, -1);
+            case 'BooleanLiteral':
+                return node.value;
+            case 'UnaryExpression':
+                if (node.operator === '-') return -this.number(node.argument, dyns);
+                break;
+            case 'BinaryExpression': {
+                const a = this.number(node.left, dyns);
+                const b = this.number(node.right, dyns);
+                const ops = { '+': a + b, '-': a - b, '*': a * b, '/': a / b, '^': Math.pow(a, b), '%': a % b };
+                if (node.operator in ops) return ops[node.operator];
+                break;
+            }
+            case 'TableConstructorExpression':
+                return { type: 'sequence', items: node.fields.map(field => this.evaluate(field.value, dyns)) };
+            case 'CallExpression':
+                // dyn{time = 1}:mul(0.5) and friends: preview the starting value
+                if (node.base.type === 'MemberExpression' && node.base.indexer === ':') {
+                    return this.evaluate(node.base.base, dyns);
+                }
+                break;
+        }
+
+        const name = AslPreview.callee(node);
+        if (name === 'dyn') {
+            const field = node.arguments.fields && node.arguments.fields[0];
+            if (!field || field.type !== 'TableKey' && field.type !== 'TableKeyString') {
+                throw new Error('dyn needs a name, as in dyn{level = 5}');
+            }
+            const key = field.key.name || field.key.raw.slice(1, -1);
+            const initial = this.number(field.value, dyns);
+            dyns.set(key, initial);
+            return this.values.has(key) ? this.values.get(key) : initial;
+        }
+        if (name && AslPreview.BUILDERS[name]) {
+            const args = node.type === 'TableCallExpression' ? [node.arguments]
+                : node.type === 'StringCallExpression' ? [node.argument]
+                : node.arguments;
+            const values = args.map(arg => this.evaluate(arg, dyns));
+            return AslPreview.BUILDERS[name](...this.withDefaults(name, values));
+        }
+
+        const text = node.type === 'Identifier' ? `'${node.name}'` : node.type;
+        throw new Error(`${text} isn't a literal value`);
+    }
+
+    number(node, dyns) {
+        const value = this.evaluate(node, dyns);
+        if (typeof value !== 'number') throw new Error(`expected a number, got ${typeof value === 'object' ? 'an action' : value}`);
+        return value;
+    }
+
+    // Missing arguments take the defaults documented in the API file
+    withDefaults(name, values) {
+        const entry = this.api && this.api.byName.get(name);
+        const params = (entry && entry.params) || [];
+        return params.length > values.length
+            ? [...values, ...params.slice(values.length).map(param => AslPreview.literal(param.default))]
+            : values;
+    }
+
+    static literal(value) {
+        return typeof value === 'string' && /^'.*'$/.test(value) ? value.slice(1, -1) : value;
+    }
+
+    // Flatten a program into segments { start, end, from, to, shape }.
+    // Loops run twice, and held{} stages sustain until the preview's gate time.
+    static segments(program, gate) {
+        const state = { t: 0, v: 0, segments: [], loops: false };
+        const run = (node) => {
+            if (node && node.type === 'to') {
+                state.segments.push({ start: state.t, end: state.t + node.time, from: state.v, to: node.level, shape: node.shape });
+                state.t += node.time;
+                state.v = node.level;
+                return;
+            }
+            if (!node || !Array.isArray(node.items)) {
+                throw new Error('an action list can only hold to() and other actions');
+            }
+
+            const passes = node.type === 'loop' ? 2 : node.type === 'times' ? node.count : 1;
+            for (let pass = 0; pass < passes; pass++) {
+                const before = state.t;
+                node.items.forEach(run);
+                if (node.type === 'loop' && state.t === before) throw new Error('loop has no duration');
+            }
+            if (node.type === 'loop') state.loops = true;
+            if (node.type === 'held' && state.t < gate) {
+                state.segments.push({ start: state.t, end: gate, from: state.v, to: state.v, shape: 'linear' });
+                state.t = gate;
+            }
+        };
+        run(program);
+        return state;
+    }
+
+    static shape(name, x) {
+        const key = String(name || 'linear').slice(0, 3);
+        const shapes = AslPreview.SHAPES;
+        return (shapes[key] || shapes.lin)(Math.min(Math.max(x, 0), 1));
+    }
+
+    // Re-read the action at the cursor; false when there isn't one
+    update(code, offset, api) {
+        this.api = api;
+        let node;
+        try {
+            node = AslPreview.find(code, offset);
+        } catch (error) {
+            return this.isOpen; // keep the last preview while the script doesn't parse
+        }
+        if (!node) {
+            this.hide();
+            return false;
+        }
+
+        const source = code.slice(node.range[0], node.range[1]);
+        if (source !== this.source) {
+            this.source = source;
+            this.values.clear();
+            this.renderSliders(null);
+        }
+        this.node = node;
+        this.container.classList.remove('hidden');
+        this.refresh();
+        return true;
+    }
+
+    refresh() {
+        const dyns = new Map();
+        let state;
+        try {
+            state = AslPreview.segments(this.evaluate(this.node, dyns), AslPreview.GATE_TIME);
+        } catch (error) {
+            this.title.textContent = `can't preview: ${error.message}`;
+            this.canvas.getContext('2d').clearRect(0, 0, this.canvas.width, this.canvas.height);
+            return;
+        }
+        this.renderSliders(dyns);
+        this.draw(state);
+    }
+
+    draw(state) {
+        const { segments } = state;
+        const ctx = this.canvas.getContext('2d');
+        const { width, height } = this.canvas;
+        ctx.clearRect(0, 0, width, height);
+
+        const total = segments.length ? segments[segments.length - 1].end : 0;
+        const levels = [0, ...segments.map(s => s.from), ...segments.map(s => s.to)];
+        const min = Math.min(...levels);
+        const max = Math.max(...levels);
+        const span = max - min || 1;
+        const y = v => (height - 8) * (1 - (v - min) / span) + 4;
+        const x = t => total ? (t / total) * (width - 1) : 0;
+
+        const name = AslPreview.callee(this.node) || 'action';
+        this.title.textContent = `${name} · ${total.toFixed(2)} s · ${min.toFixed(2)} to ${max.toFixed(2)} V` +
+            (state.loops ? ' · loops (two passes shown)' : '');
+
+        // Zero line
+        ctx.strokeStyle = '#3e3e42';
+        ctx.beginPath();
+        ctx.moveTo(0, y(0));
+        ctx.lineTo(width, y(0));
+        ctx.stroke();
+
+        ctx.strokeStyle = '#0a84ff';
+        ctx.beginPath();
+        ctx.moveTo(x(0), y(segments.length ? segments[0].from : 0));
+        for (const segment of segments) {
+            const steps = segment.end > segment.start ? AslPreview.STEPS : 1;
+            for (let i = 0; i <= steps; i++) {
+                const progress = i / steps;
+                const v = segment.from + (segment.to - segment.from) * AslPreview.shape(segment.shape, progress);
+                ctx.lineTo(x(segment.start + (segment.end - segment.start) * progress), y(v));
+            }
+        }
+        ctx.stroke();
+    }
+
+    // One slider per dyn{} value, kept while the same action is previewed
+    renderSliders(dyns) {
+        if (!dyns) {
+            this.sliders.innerHTML = '';
+            this.sliders.dataset.names = '';
+            return;
+        }
+        const names = [...dyns.keys()];
+        if (this.sliders.dataset.names === names.join(',')) return;
+        this.sliders.dataset.names = names.join(',');
+        this.sliders.innerHTML = '';
+
+        for (const [key, initial] of dyns) {
+            const row = document.createElement('label');
+            row.className = 'asl-preview-slider';
+
+            const label = document.createElement('span');
+            label.textContent = key;
+
+            const range = Math.max(1, Math.abs(initial) * 2);
+            const input = document.createElement('input');
+            input.type = 'range';
+            input.min = initial < 0 ? -range : 0;
+            input.max = range;
+            input.step = range / 100;
+            input.value = this.values.has(key) ? this.values.get(key) : initial;
+
+            const value = document.createElement('span');
+            value.className = 'asl-preview-value';
+            value.textContent = Number(input.value).toFixed(2);
+
+            input.addEventListener('input', () => {
+                this.values.set(key, Number(input.value));
+                value.textContent = Number(input.value).toFixed(2);
+                this.refresh();
+            });
+
+            row.appendChild(label);
+            row.appendChild(input);
+            row.appendChild(value);
+            this.sliders.appendChild(row);
+        }
+    }
+}
+
+// Preview versions of crow's ASL library, after lib/asllib.lua and lib/actions.lua
+AslPreview.BUILDERS = {
+    to: (level = 0, time = 0, shape = 'linear') => ({ type: 'to', level, time: Math.max(time || 0, 0), shape }),
+    loop: (items) => ({ type: 'loop', items: items && items.items }),
+    held: (items) => ({ type: 'held', items: items && items.items }),
+    lock: (items) => ({ type: 'sequence', items: items && items.items }),
+    times: (count, items) => ({ type: 'times', count: Math.max(0, Math.floor(count)), items: items && items.items }),
+    lfo: (time, level, shape) => AslPreview.BUILDERS.loop({ items: [
+        AslPreview.BUILDERS.to(level, time / 2, shape),
+        AslPreview.BUILDERS.to(-level, time / 2, shape)
+    ] }),
+    oscillate: (freq, level, shape) => AslPreview.BUILDERS.lfo(1 / freq, level, shape),
+    ramp: (time, skew, level) => {
+        const rise = time * (1 + skew) / 2;
+        return AslPreview.BUILDERS.loop({ items: [
+            AslPreview.BUILDERS.to(level, rise),
+            AslPreview.BUILDERS.to(-level, time - rise)
+        ] });
+    },
+    pulse: (time, level, polarity) => {
+        const active = polarity < 0 ? 0 : level;
+        const rest = polarity < 0 ? level : 0;
+        return { type: 'sequence', items: [
+            AslPreview.BUILDERS.to(active, 0, 'now'),
+            AslPreview.BUILDERS.to(active, time, 'now'),
+            AslPreview.BUILDERS.to(rest, 0, 'now')
+        ] };
+    },
+    ar: (attack, release, level, shape) => ({ type: 'sequence', items: [
+        AslPreview.BUILDERS.to(level, attack, shape),
+        AslPreview.BUILDERS.to(0, release, shape)
+    ] }),
+    adsr: (attack, decay, sustain, release, shape) => ({ type: 'sequence', items: [
+        AslPreview.BUILDERS.held({ items: [
+            AslPreview.BUILDERS.to(AslPreview.ADSR_PEAK, attack, shape),
+            AslPreview.BUILDERS.to(sustain, decay, shape)
+        ] }),
+        AslPreview.BUILDERS.to(0, release, shape)
+    ] })
+};
+
+// Slope shapes by their first three letters, as crow accepts 'log' for 'logarithmic'
+AslPreview.SHAPES = {
+    lin: x => x,
+    sin: x => (1 - Math.cos(Math.PI * x)) / 2,
+    log: x => 1 - Math.pow(1 - x, 4),
+    exp: x => Math.pow(x, 4),
+    now: () => 1,
+    wai: x => (x < 1 ? 0 : 1),
+    ove: x => 1 + 2.7 * Math.pow(x - 1, 3) + 1.7 * Math.pow(x - 1, 2),
+    und: x => 2.7 * Math.pow(x, 3) - 1.7 * Math.pow(x, 2),
+    reb: x => Math.abs(Math.cos(x * Math.PI * 1.5)) * (1 - x) * -1 + 1
+};
+
+AslPreview.STEPS = 32;
+// How long held{} stages (adsr's gate) are held in the preview, in seconds
+AslPreview.GATE_TIME = 1;
+AslPreview.ADSR_PEAK = 5;
+
+/**
+ * One device in the tabbed REPL: its serial connection, protocol stream and output
+ */
+class DeviceSession {
+    // crow is anything with CrowConnection's interface, e.g. a SimulatedCrow
+    constructor(id, crow = new CrowConnection()) {
+        this.id = id;
+        this.crow = crow;
+        this.protocol = new CrowProtocol();
+        this.transferInProgress = false;
+        this.captures = new Set();
+        this.identity = null;
+        this.version = null;
+        this.deviceType = null;
+        this.status = 'not connected';
+        // Maps lines of the last bundled project back to its files (see LuaBundler)
+        this.mapLine = null;
+        // Called with the device's print output as the REPL shows it
+        this.onOutput = null;
+
+        this.output = document.createElement('div');
+        this.output.className = 'repl-output hidden';
+
+        this.tab = document.createElement('div');
+        this.tab.className = 'repl-tab';
+        this.indicator = document.createElement('span');
+        this.indicator.className = 'repl-status-indicator';
+        this.label = document.createElement('span');
+        this.label.className = 'repl-tab-name';
+        this.closeBtn = document.createElement('button');
+        this.closeBtn.className = 'repl-tab-close';
+        this.closeBtn.title = 'Disconnect and close tab';
+        this.closeBtn.innerHTML = '&times;';
+        this.tab.appendChild(this.indicator);
+        this.tab.appendChild(this.label);
+        this.tab.appendChild(this.closeBtn);
+
+        // Only plain print output reaches this device's REPL;
+        // structured ^^event messages go to protocol listeners
+        this.crow.onDataReceived = (data) => this.protocol.feed(data);
+        this.protocol.onText = (text) => {
+            let silent = false;
+            for (const capture of this.captures) {
+                capture.text += text;
+                silent = silent || capture.silent;
+            }
+            if (!silent) {
+                const shown = this.mapLine ? LuaBundler.mapErrors(text, this.mapLine) : text;
+                this.print(shown);
+                if (this.onOutput) {
+                    this.onOutput(shown);
+                }
+            }
+        };
+
+        // Replies to ^^i / ^^v name the tab
+        this.protocol.on('identity', (event) => {
+            this.identity = String(event.value);
+            this.detectDeviceType();
+            this.updateTab();
+        });
+        this.protocol.on('version', (event) => {
+            this.version = String(event.value);
+            this.detectDeviceType();
+            this.updateTab();
+        });
+
+        this.updateTab();
+    }
+
+    get name() {
+        if (!this.deviceType && !this.identity) {
+            return `device ${this.id}`;
+        }
+        const type = this.deviceType || 'crow';
+        return this.identity ? `${type} ${this.identity.slice(-4)}` : type;
+    }
+
+    get isConnected() {
+        return this.crow.isConnected;
+    }
+
+    // blackbird names itself in its ^^i or ^^v reply; anything else that answers ^^v is a crow
+    detectDeviceType() {
+        if (/blackbird/i.test(`${this.identity || ''} ${this.version || ''}`)) {
+            this.deviceType = 'blackbird';
+        } else if (this.version) {
+            this.deviceType = 'crow';
+        }
+    }
+
+    // Ask the device who it is; the replies arrive as ^^identity / ^^version
+    async identify() {
+        this.identity = null;
+        this.version = null;
+        this.deviceType = null;
+        await this.crow.writeLine('^^i');
+        await this.crow.writeLine('^^v');
+    }
+
+    // Round trip a ^^i: resolves once the device has worked through everything sent before it
+    ping(timeout = ScriptTransfer.PING_TIMEOUT) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                off();
+                reject(new Error('device did not respond'));
+            }, timeout);
+            const off = this.protocol.on('identity', () => {
+                clearTimeout(timer);
+                off();
+                resolve();
+            });
+            this.crow.writeLine('^^i').catch((error) => {
+                clearTimeout(timer);
+                off();
+                reject(error);
+            });
+        });
+    }
+
+    // The userscript stored in flash: everything ^^p prints before the ^^i that follows it.
+    // The running script keeps running, but its print() is muted meanwhile (^^p is
+    // answered by the firmware, not print) so metro and clock output stays out of the text.
+    async readScript() {
+        await this.crow.writeLine(DeviceSession.MUTE_PRINT);
+        let text;
+        try {
+            // Output already on its way from the script arrives before this answer
+            await this.ping();
+            const readback = this.startCapture({ silent: true });
+            try {
+                await this.crow.writeLine('^^p');
+                await this.ping(ScriptTransfer.COMPILE_TIMEOUT);
+            } finally {
+                text = readback.stop();
+            }
+        } finally {
+            await this.crow.writeLine(DeviceSession.UNMUTE_PRINT).catch(() => {});
+        }
+        return text;
+    }
+
+    // Collect print output until stop() is called; silent captures keep it out of the REPL
+    startCapture({ silent = false } = {}) {
+        const capture = {
+            text: '',
+            silent,
+            stop: () => {
+                this.captures.delete(capture);
+                return capture.text;
+            }
+        };
+        this.captures.add(capture);
+        return capture;
+    }
+
+    print(text) {
+        this.output.appendChild(document.createTextNode(text));
+        this.output.scrollTop = this.output.scrollHeight;
+    }
+
+    printLine(text) {
+        this.print(text + '\n');
+    }
+
+    setActive(active) {
+        this.tab.classList.toggle('active', active);
+        this.output.classList.toggle('hidden', !active);
+    }
+
+    updateTab() {
+        this.label.textContent = this.name;
+        this.tab.title = [this.name, this.version, this.status].filter(Boolean).join(' - ');
+        this.indicator.classList.toggle('connected', this.crow.isConnected);
+        this.indicator.classList.toggle('reconnecting', this.crow.isReconnecting);
+    }
+}
+
+// What ^^p prints when flash holds no userscript
+DeviceSession.MUTE_PRINT = '_druid_print = _druid_print or print print = function() end';
+DeviceSession.UNMUTE_PRINT = 'print = _druid_print or print _druid_print = nil';
+DeviceSession.NO_SCRIPT_PATTERN = /^(no|empty) (user ?)?script/i;
+
+class DruidApp {
+    // serial replaces navigator.serial for every device tab, e.g. with a fake crow in tests;
+    // midi replaces navigator.requestMIDIAccess
+    constructor({ serial = CrowConnection.defaultSerial(), midi = MidiBridge.defaultAccess() } = {}) {
+        this.serial = serial;
+
+        // One session per connected device; events from the active one are
+        // re-emitted on this.protocol for the monitor and params panes
+        this.sessions = [];
+        this.activeSession = null;
+        this.nextSessionId = 1;
+        this.broadcast = false;
+        this.minifyEnabled = false;
+        this.aslPreviewEnabled = true;
+        this.aslPreviewTimer = null;
+        // 'auto' follows the active device; 'crow' / 'blackbird' pin the API profile
+        this.profileOverride = 'auto';
+        // Device type the profile was last updated for
+        this.profileDeviceType = null;
+        this.scriptSizeTimer = null;
+        this.protocol = new CrowProtocol();
+        this.editor = null;
+        this.replEditor = null;
+        this.replAutocompleteEnabled = true;
+        this.scriptName = 'untitled.lua';
+        this.scriptModified = false;
+        // Models with unsaved edits, so project files keep their state while another is open
+        this.modifiedModels = new WeakSet();
+        // FileSystemFileHandle of the open script, when it came from disk
+        this.currentFile = null;
+
+        // Open folder, and the last-modified time of each file handle we have read or written
+        this.workspace = null;
+        this.diskTimes = new Map();
+        this.diskPollTimer = null;
+        this.checkingDisk = false;
+
+        // Multi-file project; created once Monaco has loaded
+        this.project = null;
+        this.projectMode = false;
+
+        // Lint problems (with quick-fixes) per editor model URI
+        this.lintProblems = new Map();
+
+        // crow API definitions (see CrowApi); null until crow-api.json has loaded
+        this.api = null;
+        // ii device keys ('jf', 'wsyn', ...) completions are limited to; empty offers all
+        this.iiRig = new Set();
+
+        // Local script library; null where IndexedDB is unavailable
+        this.library = ScriptLibrary.isSupported ? new ScriptLibrary() : null;
+        this.autosaveTimer = null;
+
+        // Command history for REPL
+        this.commandHistory = [];
+        this.historyIndex = -1;
+        this.currentInput = '';
+        this.isNavigatingHistory = false; // Flag to prevent history reset during navigation
+        this.commandHistory = [];
+        this.historyIndex = -1;
+        this.currentInput = '';
+
+        // Voltage monitor polling; the time of the poll still waiting for its reply
+        this.monitorPollTimer = null;
+        this.monitorPollSentAt = null;
+
+        this.initializeUI();
+        this.checkBrowserSupport();
+        this.setupMonitor();
+        this.setupPublicParams();
+        this.setupBridge();
+        this.setupMidi(midi);
+        this.setupTempoSync();
+        this.setupEventListeners();
+        this.initializeEditor();
+        this.loadApi();
+        this.setupSplitPane();
+        this.autoConnect();
+    }
+
+    // Connection of the active REPL tab
+    get crow() {
+        return this.activeSession.crow;
+    }
+
+    initializeUI() {
+        this.elements = {
+            // Header
+            toggleEditorBtn: document.getElementById('toggleEditorBtn'),
+            scriptName: document.getElementById('scriptName'),
+
+            // Toolbar
+            runBtn: document.getElementById('runBtn'),
+            uploadBtn: document.getElementById('uploadBtn'),
+            pullBtn: document.getElementById('pullBtn'),
+            diffBtn: document.getElementById('diffBtn'),
+            broadcastToggle: document.getElementById('broadcastToggle'),
+            minifyToggle: document.getElementById('minifyToggle'),
+            aslPreviewToggle: document.getElementById('aslPreviewToggle'),
+            profileSelect: document.getElementById('profileSelect'),
+            scriptSize: document.getElementById('scriptSize'),
+            transferProgress: document.getElementById('transferProgress'),
+            transferProgressBar: document.getElementById('transferProgressBar'),
+            newBtn: document.getElementById('newBtn'),
+            openBtn: document.getElementById('openBtn'),
+            boweryBtn: document.getElementById('boweryBtn'),
+            saveBtn: document.getElementById('saveBtn'),
+            downloadBtn: document.getElementById('downloadBtn'),
+            saveAsBtn: document.getElementById('saveAsBtn'),
+            openFolderBtn: document.getElementById('openFolderBtn'),
+            libraryBtn: document.getElementById('libraryBtn'),
+            iiRigBtn: document.getElementById('iiRigBtn'),
+            renameBtn: document.getElementById('renameBtn'),
+            projectBtn: document.getElementById('projectBtn'),
+            horizontalLayoutBtn: document.getElementById('horizontalLayoutBtn'),
+            verticalLayoutBtn: document.getElementById('verticalLayoutBtn'),
+            swapPanesBtn: document.getElementById('swapPanesBtn'),
+
+            // REPL controls
+            connectionBtn: document.getElementById('replConnectionBtn'),
+            replStatusIndicator: document.getElementById('replStatusIndicator'),
+            replStatusText: document.getElementById('replStatusText'),
+
+            // Editor/REPL
+            editorContainer: document.getElementById('editor'),
+            diffContainer: document.getElementById('diffEditor'),
+            aslPreviewContainer: document.getElementById('aslPreview'),
+            diffBar: document.getElementById('diffBar'),
+            diffSource: document.getElementById('diffSource'),
+            diffStatus: document.getElementById('diffStatus'),
+            diffPrevBtn: document.getElementById('diffPrevBtn'),
+            diffNextBtn: document.getElementById('diffNextBtn'),
+            diffAcceptBtn: document.getElementById('diffAcceptBtn'),
+            diffRejectBtn: document.getElementById('diffRejectBtn'),
+            diffUploadBtn: document.getElementById('diffUploadBtn'),
+            closeDiff: document.getElementById('closeDiff'),
+            projectSidebar: document.getElementById('projectSidebar'),
+            projectFiles: document.getElementById('projectFiles'),
+            addProjectFileBtn: document.getElementById('addProjectFileBtn'),
+            workspaceSidebar: document.getElementById('workspaceSidebar'),
+            workspaceName: document.getElementById('workspaceName'),
+            workspaceFiles: document.getElementById('workspaceFiles'),
+            closeWorkspace: document.getElementById('closeWorkspace'),
+            replTabs: document.getElementById('replTabs'),
+            replOutputs: document.getElementById('replOutputs'),
+            addDeviceBtn: document.getElementById('addDeviceBtn'),
+            addSimulatorBtn: document.getElementById('addSimulatorBtn'),
+            replInput: document.getElementById('replInput'),
+            replEditorContainer: document.getElementById('replEditorContainer'),
+            replInputContainer: document.querySelector('.repl-input-container'),
+            toggleReplAutocomplete: document.getElementById('toggleReplAutocomplete'),
+            helpBtn: document.getElementById('helpBtn'),
+            clearBtn: document.getElementById('clearBtn'),
+            monitorBtn: document.getElementById('monitorBtn'),
+
+            // Voltage monitor
+            monitorPane: document.getElementById('monitorPane'),
+            monitorChannels: document.getElementById('monitorChannels'),
+            closeMonitor: document.getElementById('closeMonitor'),
+
+            // Public params
+            paramsBtn: document.getElementById('paramsBtn'),
+            bridgeBtn: document.getElementById('bridgeBtn'),
+            midiBtn: document.getElementById('midiBtn'),
+            tempoBtn: document.getElementById('tempoBtn'),
+            paramsPane: document.getElementById('paramsPane'),
+            paramsList: document.getElementById('paramsList'),
+            closeParams: document.getElementById('closeParams'),
+
+            // Split pane
+            toolbar: document.getElementById('toolbar'),
+            splitContainer: document.getElementById('splitContainer'),
+            editorPane: document.getElementById('editorPane'),
+            splitHandle: document.getElementById('splitHandle'),
+            replPane: document.getElementById('replPane'),
+
+            // Script reference
+            scriptReferenceBtn: document.getElementById('scriptReferenceBtn'),
+
+            // File input
+            fileInput: document.getElementById('fileInput'),
+
+            // Modals
+            browserWarning: document.getElementById('browserWarning'),
+            closeWarning: document.getElementById('closeWarning'),
+            boweryModal: document.getElementById('boweryModal'),
+            closeBowery: document.getElementById('closeBowery'),
+            boweryAction: document.getElementById('boweryAction'),
+            bowerySearch: document.getElementById('bowerySearch'),
+            boweryLoading: document.getElementById('boweryLoading'),
+            boweryError: document.getElementById('boweryError'),
+            boweryList: document.getElementById('boweryList'),
+            libraryModal: document.getElementById('libraryModal'),
+            closeLibrary: document.getElementById('closeLibrary'),
+            iiRigModal: document.getElementById('iiRigModal'),
+            closeIiRig: document.getElementById('closeIiRig'),
+            iiRigList: document.getElementById('iiRigList'),
+            bridgeModal: document.getElementById('bridgeModal'),
+            closeBridge: document.getElementById('closeBridge'),
+            bridgeUrl: document.getElementById('bridgeUrl'),
+            bridgeConnectBtn: document.getElementById('bridgeConnectBtn'),
+            bridgeStatus: document.getElementById('bridgeStatus'),
+            midiModal: document.getElementById('midiModal'),
+            closeMidi: document.getElementById('closeMidi'),
+            midiEnableBtn: document.getElementById('midiEnableBtn'),
+            midiInput: document.getElementById('midiInput'),
+            midiOutput: document.getElementById('midiOutput'),
+            midiMappings: document.getElementById('midiMappings'),
+            midiAddIn: document.getElementById('midiAddIn'),
+            midiAddOut: document.getElementById('midiAddOut'),
+            midiStatus: document.getElementById('midiStatus'),
+            tempoModal: document.getElementById('tempoModal'),
+            closeTempo: document.getElementById('closeTempo'),
+            tempoSource: document.getElementById('tempoSource'),
+            tempoPhase: document.getElementById('tempoPhase'),
+            tempoTapBtn: document.getElementById('tempoTapBtn'),
+            tempoLinkForm: document.getElementById('tempoLinkForm'),
+            tempoLinkUrl: document.getElementById('tempoLinkUrl'),
+            tempoStatus: document.getElementById('tempoStatus'),
+            librarySearch: document.getElementById('librarySearch'),
+            libraryList: document.getElementById('libraryList'),
+            bbboweryBtn: document.getElementById('bbboweryBtn'),
+            bbboweryModal: document.getElementById('bbboweryModal'),
+            closeBbbowery: document.getElementById('closeBbbowery')
+        };
+
+        // First REPL tab; its output becomes this.elements.output
+        this.addSession();
+
+        this.outputLine('//// welcome. connect to crow or blackbird to begin.');
+    }
+
+    checkBrowserSupport() {
+        if (!this.serial) {
+            this.elements.browserWarning.style.display = 'flex';
+            this.elements.connectionBtn.disabled = true;
+            this.outputLine('ERROR: Web Serial API not supported in this browser.');
+            this.outputLine('Please use Chrome, Edge, or Opera.');
+        }
+    }
+
+    setupMonitor() {
+        this.monitor = new VoltageMonitor(this.elements.monitorChannels);
+
+        this.monitor.addGroup('crow', 'inputs / outputs');
+        for (let n = 1; n <= 2; n++) {
+            this.monitor.addChannel('crow', `input${n}`, `input[${n}]`, -5, 10);
+        }
+        for (let n = 1; n <= 4; n++) {
+            this.monitor.addChannel('crow', `output${n}`, `output[${n}]`, -5, 10);
+        }
+
+        // Blackbird channels stay hidden until a blackbird answers the poll
+        this.monitor.addGroup('bb', 'blackbird');
+        for (let n = 1; n <= 2; n++) {
+            this.monitor.addChannel('bb', `audioin${n}`, `audioin[${n}]`, -6, 6);
+        }
+        for (const knob of ['main', 'x', 'y']) {
+            this.monitor.addChannel('bb', `knob.${knob}`, `knob.${knob}`, 0, 1);
+        }
+        this.monitor.addChannel('bb', 'switch', 'switch', -1, 1);
+        this.monitor.setGroupVisible('bb', false);
+
+        // Inputs in 'stream' / 'change' mode report themselves
+        this.protocol.on('stream', (event) => {
+            this.monitor.update(`input${event.channel}`, event.value);
+        });
+        this.protocol.on('change', (event) => {
+            this.monitor.setGate(`input${event.channel}`, Boolean(event.value));
+        });
+
+        // Channels a script exposes with public.view.input[n]() / public.view.output[n]()
+        this.protocol.on('pubview', (event) => {
+            const [kind, channel, value] = event.args;
+            this.monitor.update(`${kind}${channel}`, value);
+        });
+
+        // Replies to the monitor poll (see pollMonitor)
+        this.protocol.on('monitor', (event) => {
+            this.monitorPollSentAt = null;
+            const [in1, in2, ...outs] = event.args;
+            this.monitor.update('input1', in1);
+            this.monitor.update('input2', in2);
+            outs.forEach((v, i) => this.monitor.update(`output${i + 1}`, v));
+        });
+        this.protocol.on('bbmonitor', (event) => {
+            const [audio1, audio2, main, x, y, position] = event.args;
+            this.monitor.setGroupVisible('bb', true);
+            this.monitor.update('audioin1', audio1);
+            this.monitor.update('audioin2', audio2);
+            this.monitor.update('knob.main', main);
+            this.monitor.update('knob.x', x);
+            this.monitor.update('knob.y', y);
+            this.monitor.update('switch', position);
+        });
+    }
+
+    toggleMonitor(show = this.elements.monitorPane.classList.contains('hidden')) {
+        this.elements.monitorPane.classList.toggle('hidden', !show);
+        this.updateSidePanes();
+        this.monitor.setVisible(show);
+        this.updateMonitorPolling();
+    }
+
+    updateSidePanes() {
+        const anyOpen = this.elements.replPane.querySelector('.side-pane:not(.hidden)') !== null;
+        this.elements.replPane.classList.toggle('side-pane-open', anyOpen);
+    }
+
+    // Poll only while the pane can be seen: open, and the browser tab in front
+    updateMonitorPolling() {
+        const shouldPoll = this.monitor.visible && this.crow.isConnected && !document.hidden;
+
+        if (shouldPoll && !this.monitorPollTimer) {
+            this.monitorPollSentAt = null;
+            this.monitorPollTimer = setInterval(() => this.pollMonitor(), DruidApp.MONITOR_POLL_INTERVAL);
+        } else if (!shouldPoll && this.monitorPollTimer) {
+            clearInterval(this.monitorPollTimer);
+            this.monitorPollTimer = null;
+        }
+    }
+
+    setupPublicParams() {
+        this.publicParams = new PublicParams(this.elements.paramsList);
+        this.publicParams.onChange = (name, value) => this.setPublicParam(name, value);
+
+        // ^^pub(name, value, type) for each declaration, then ^^pub('_end')
+        this.protocol.on('pub', (event) => {
+            if (event.name === '_end') return;
+            this.publicParams.declare(event.name, event.value, event.args[2]);
+        });
+        this.protocol.on('pupdate', (event) => {
+            this.publicParams.update(event.name, event.value);
+        });
+
+        // A restarted script declares a fresh set of params
+        this.protocol.on('ready', () => this.discoverPublicParams());
+    }
+
+    setupBridge() {
+        this.bridge = new WebSocketBridge();
+        this.bridgeQueue = Promise.resolve();
+        this.bridge.onCommand = (text) => {
+            // One tool message at a time, so multi-line messages don't interleave
+            this.bridgeQueue = this.bridgeQueue.then(() => this.handleBridgeCommand(text));
+        };
+        this.bridge.onOsc = (packet) => {
+            this.bridgeQueue = this.bridgeQueue.then(() => this.handleOsc(packet));
+        };
+        this.bridge.onStatus = (status) => this.updateBridgeStatus(status);
+        this.restoreBridge();
+    }
+
+    async restoreBridge() {
+        if (!this.library) return;
+
+        try {
+            const saved = await this.library.getSetting('bridge');
+            if (saved && saved.enabled) {
+                this.bridge.start(saved.url);
+            } else if (saved) {
+                this.bridge.url = saved.url;
+            }
+        } catch (error) {
+            console.warn('Could not restore bridge:', error);
+        }
+    }
+
+    openBridge() {
+        this.elements.bridgeUrl.value = this.bridge.url;
+        this.updateBridgeStatus(this.bridge.status);
+        this.elements.bridgeModal.style.display = 'flex';
+        this.elements.bridgeUrl.focus();
+    }
+
+    toggleBridge(enable = !this.bridge.enabled) {
+        if (enable) {
+            this.bridge.start(this.elements.bridgeUrl.value.trim() || WebSocketBridge.DEFAULT_URL);
+        } else {
+            this.bridge.stop();
+        }
+
+        if (this.library) {
+            this.library.setSetting('bridge', { url: this.bridge.url, enabled: this.bridge.enabled }).catch((error) => {
+                console.warn('Could not save bridge:', error);
+            });
+        }
+    }
+
+    updateBridgeStatus(status) {
+        this.elements.bridgeStatus.textContent = status;
+        this.elements.bridgeConnectBtn.textContent = this.bridge.enabled ? 'disconnect' : 'connect';
+        this.elements.bridgeBtn.classList.toggle('active', this.bridge.isOpen);
+        this.elements.bridgeBtn.title = `Let other software drive the active device through a local relay (${status})`;
+    }
+
+    // Lua from a tool on the bridge goes to the active device as if typed in the REPL
+    async handleBridgeCommand(text) {
+        const session = this.activeSession;
+        if (!session.isConnected) {
+            this.bridge.send('crow is not connected\n');
+            return;
+        }
+        if (session.transferInProgress) {
+            this.bridge.send('crow is busy with a script transfer\n');
+            return;
+        }
+
+        const lines = text.replace(/\r/g, '').replace(/\n$/, '').split('\n');
+        session.printLine(lines.map(line => `bridge >> ${line}`).join('\n'));
+        try {
+            for (const line of lines) {
+                await session.crow.writeLine(line);
+            }
+        } catch (error) {
+            this.bridge.send(`Error: ${error.message}\n`);
+        }
+    }
+
+    // OSC from a tool on the bridge's /osc path, turned into Lua for the active device
+    async handleOsc(packet) {
+        let messages;
+        try {
+            messages = OscBridge.decode(packet);
+        } catch (error) {
+            this.sendOscError(error.message);
+            return;
+        }
+
+        const session = this.activeSession;
+        for (const message of messages) {
+            let lua;
+            try {
+                lua = OscBridge.toLua(message);
+            } catch (error) {
+                this.sendOscError(error.message);
+                continue;
+            }
+            if (!session.isConnected) {
+                this.sendOscError('crow is not connected');
+                return;
+            }
+            if (session.transferInProgress) {
+                this.sendOscError('crow is busy with a script transfer');
+                return;
+            }
+
+            const lines = lua.replace(/\r/g, '').replace(/\n$/, '').split('\n');
+            // Only /crow/eval is echoed; volts and params can arrive many times a second
+            if (message.address === '/crow/eval') {
+                session.printLine(lines.map(line => `osc >> ${line}`).join('\n'));
+            }
+            try {
+                for (const line of lines) {
+                    await session.crow.writeLine(line);
+                }
+            } catch (error) {
+                this.sendOscError(error.message);
+            }
+        }
+    }
+
+    sendOscError(text) {
+        this.bridge.sendOsc(OscBridge.encode('/crow/error', [text]));
+    }
+
+    setupMidi(requestAccess) {
+        this.midi = new MidiBridge(requestAccess);
+        this.midi.onCommand = (line) => this.writeToActiveDevice(line);
+        this.midi.onPortsChange = () => this.renderMidiPorts();
+        this.restoreMidi();
+    }
+
+    async restoreMidi() {
+        if (!this.library) return;
+
+        try {
+            const saved = await this.library.getSetting('midi');
+            if (saved) {
+                this.midi.inputId = saved.inputId || '';
+                this.midi.outputId = saved.outputId || '';
+                this.midi.mappings = saved.mappings || [];
+                if (saved.enabled) {
+                    await this.toggleMidi(true);
+                }
+            }
+        } catch (error) {
+            console.warn('Could not restore midi:', error);
+        }
+        this.updateMidiStatus();
+    }
+
+    saveMidi() {
+        if (!this.library) return;
+
+        const { enabled, inputId, outputId, mappings } = this.midi;
+        this.library.setSetting('midi', { enabled, inputId, outputId, mappings }).catch((error) => {
+            console.warn('Could not save midi:', error);
+        });
+    }
+
+    openMidi() {
+        this.renderMidiPorts();
+        this.renderMidiMappings();
+        this.updateMidiStatus();
+        this.elements.midiModal.style.display = 'flex';
+    }
+
+    async toggleMidi(enable = !this.midi.enabled) {
+        try {
+            if (enable) {
+                await this.midi.enable();
+            } else {
+                this.midi.disable();
+            }
+        } catch (error) {
+            this.updateMidiStatus(`error: ${error.message}`);
+            return;
+        }
+        this.renderMidiPorts();
+        this.updateMidiStatus();
+        this.saveMidi();
+    }
+
+    updateMidiStatus(status) {
+        if (!status) {
+            const inputs = this.midi.inputs.length;
+            status = this.midi.enabled
+                ? `on: ${inputs} input${inputs === 1 ? '' : 's'}, ${this.midi.outputs.length} output${this.midi.outputs.length === 1 ? '' : 's'}`
+                : 'off';
+        }
+        this.elements.midiStatus.textContent = status;
+        this.elements.midiEnableBtn.textContent = this.midi.enabled ? 'disable' : 'enable';
+        this.elements.midiBtn.classList.toggle('active', this.midi.enabled);
+    }
+
+    // Port menus; a saved port that isn't plugged in stays selected so it's used when it comes back
+    renderMidiPorts() {
+        const fill = (select, ports, none, selected) => {
+            select.innerHTML = '';
+            const options = [['', none], ...ports.map(port => [port.id, port.name])];
+            if (selected && !ports.some(port => port.id === selected)) {
+                options.push([selected, 'saved port (not connected)']);
+            }
+            for (const [value, label] of options) {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = label;
+                select.appendChild(option);
+            }
+            select.value = selected;
+        };
+
+        fill(this.elements.midiInput, this.midi.inputs, 'all inputs', this.midi.inputId);
+        fill(this.elements.midiOutput, this.midi.outputs, 'no output', this.midi.outputId);
+        this.elements.midiInput.disabled = this.elements.midiOutput.disabled = !this.midi.enabled;
+        this.updateMidiStatus();
+    }
+
+    addMidiMapping(direction) {
+        const mapping = direction === 'in'
+            ? { direction, type: 'note', channel: 0, number: null, template: MidiBridge.TEMPLATES.note }
+            : { direction, event: 'change', input: 1, type: 'note', channel: 1, number: 60 };
+        this.midi.setMappings([...this.midi.mappings, mapping]);
+        this.renderMidiMappings();
+        this.saveMidi();
+    }
+
+    renderMidiMappings() {
+        const list = this.elements.midiMappings;
+        list.innerHTML = '';
+
+        if (this.midi.mappings.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'params-empty';
+            empty.textContent = 'no mappings';
+            list.appendChild(empty);
+            return;
+        }
+
+        const select = (options, value, onChange) => {
+            const field = document.createElement('select');
+            field.className = 'midi-field';
+            for (const [optionValue, label] of options) {
+                const option = document.createElement('option');
+                option.value = optionValue;
+                option.textContent = label;
+                field.appendChild(option);
+            }
+            field.value = value;
+            field.addEventListener('change', () => onChange(field.value));
+            return field;
+        };
+        const numberField = (value, placeholder, onChange) => {
+            const field = document.createElement('input');
+            field.type = 'number';
+            field.className = 'midi-field midi-number';
+            field.min = 0;
+            field.max = 127;
+            field.placeholder = placeholder;
+            field.value = value === null ? '' : value;
+            field.addEventListener('change', () => onChange(field.value === '' ? null : Number(field.value)));
+            return field;
+        };
+        const channels = Array.from({ length: 16 }, (_, i) => [i + 1, `ch ${i + 1}`]);
+
+        this.midi.mappings.forEach((mapping, index) => {
+            const row = document.createElement('div');
+            row.className = 'midi-mapping';
+
+            // Edits release held notes, since the note or channel they were sent on may change
+            const edit = (changes, rerender = false) => {
+                this.midi.releaseAll();
+                Object.assign(mapping, changes);
+                this.saveMidi();
+                if (rerender) this.renderMidiMappings();
+            };
+
+            if (mapping.direction === 'in') {
+                row.appendChild(select(Object.keys(MidiBridge.TEMPLATES).map(type => [type, type]), mapping.type, (type) => {
+                    const changes = { type };
+                    // Swap in the new type's starting template unless the old one was edited
+                    if (mapping.template === MidiBridge.TEMPLATES[mapping.type]) {
+                        changes.template = MidiBridge.TEMPLATES[type];
+                    }
+                    edit(changes, true);
+                }));
+
+                if (MidiBridge.VARIABLES[mapping.type] && mapping.type !== 'clock') {
+                    row.appendChild(select([[0, 'any ch'], ...channels], mapping.channel, (channel) => edit({ channel: Number(channel) })));
+                    row.appendChild(numberField(mapping.number, mapping.type === 'cc' ? 'any cc' : 'any note', (number) => edit({ number })));
+                }
+
+                const template = document.createElement('input');
+                template.type = 'text';
+                template.className = 'midi-field midi-template';
+                template.spellcheck = false;
+                template.value = mapping.template;
+                const names = MidiBridge.VARIABLES[mapping.type];
+                template.placeholder = names ? `lua using ${names.join(', ')}` : 'lua';
+                template.addEventListener('change', () => edit({ template: template.value }));
+                row.appendChild(template);
+            } else {
+                row.appendChild(select([['change', 'change'], ['stream', 'stream']], mapping.event, (event) => edit({ event })));
+                row.appendChild(select([[1, 'input[1]'], [2, 'input[2]']], mapping.input, (input) => edit({ input: Number(input) })));
+
+                const arrow = document.createElement('span');
+                arrow.className = 'midi-arrow';
+                arrow.textContent = '→';
+                row.appendChild(arrow);
+
+                row.appendChild(select([['note', 'note'], ['cc', 'cc']], mapping.type, (type) => edit({ type })));
+                row.appendChild(select(channels, mapping.channel, (channel) => edit({ channel: Number(channel) })));
+                row.appendChild(numberField(mapping.number, mapping.type === 'cc' ? 'cc' : 'note', (number) => edit({ number: number === null ? 0 : number })));
+            }
+
+            const remove = document.createElement('button');
+            remove.className = 'midi-remove';
+            remove.textContent = '×';
+            remove.title = 'Remove mapping';
+            remove.addEventListener('click', () => {
+                this.midi.setMappings(this.midi.mappings.filter(other => other !== mapping));
+                this.renderMidiMappings();
+                this.saveMidi();
+            });
+            row.appendChild(remove);
+
+            list.appendChild(row);
+        });
+    }
+
+    // Lua from MIDI mappings and tempo sync; dropped while the device is busy or away
+    writeToActiveDevice(line) {
+        const session = this.activeSession;
+        if (!session.isConnected || session.transferInProgress) return;
+
+        session.crow.writeLine(line).catch((error) => {
+            console.warn('Could not write to device:', error);
+        });
+    }
+
+    setupTempoSync() {
+        this.tempoSync = new TempoSync();
+        this.tempoSync.onCommand = (line) => this.writeToActiveDevice(line);
+        this.tempoSync.onChange = () => {
+            this.midi.clockMappings = this.tempoSync.source !== 'midi';
+            this.updateTempoStatus();
+        };
+        this.midi.onClock = (type, time) => this.tempoSync.midiClock(type, time, this.midi.bpm);
+        this.protocol.on('tempo', (event) => this.tempoSync.report(event.args[0], event.args[1]));
+        this.restoreTempoSync();
+    }
+
+    async restoreTempoSync() {
+        if (!this.library) return;
+
+        try {
+            const saved = await this.library.getSetting('tempo-sync');
+            if (saved) {
+                this.tempoSync.linkUrl = saved.linkUrl || TempoSync.DEFAULT_LINK_URL;
+                this.tempoSync.correctPhase = saved.correctPhase !== false;
+                if (saved.source && saved.source !== 'off') {
+                    await this.setTempoSource(saved.source);
+                }
+            }
+        } catch (error) {
+            console.warn('Could not restore tempo sync:', error);
+        }
+    }
+
+    saveTempoSync() {
+        if (!this.library) return;
+
+        const { source, linkUrl, correctPhase } = this.tempoSync;
+        this.library.setSetting('tempo-sync', { source, linkUrl, correctPhase }).catch((error) => {
+            console.warn('Could not save tempo sync:', error);
+        });
+    }
 
-            // REPL controls
-            connectionBtn: document.getElementById('replConnectionBtn'),
-            replStatusIndicator: document.getElementById('replStatusIndicator'),
-            replStatusText: document.getElementById('replStatusText'),
+    openTempoSync() {
+        this.elements.tempoLinkUrl.value = this.tempoSync.linkUrl;
+        this.elements.tempoPhase.checked = this.tempoSync.correctPhase;
+        this.updateTempoStatus();
+        this.elements.tempoModal.style.display = 'flex';
+    }
 
-            // Editor/REPL
-            editorContainer: document.getElementById('editor'),
-            output: document.getElementById('output'),
-            replInput: document.getElementById('replInput'),
-            replEditorContainer: document.getElementById('replEditorContainer'),
-            replInputContainer: document.querySelector('.repl-input-container'),
-            toggleReplAutocomplete: document.getElementById('toggleReplAutocomplete'),
-            helpBtn: document.getElementById('helpBtn'),
-            clearBtn: document.getElementById('clearBtn'),
+    async setTempoSource(source) {
+        if (source === 'midi' && !this.midi.enabled) {
+            await this.toggleMidi(true);
+            if (!this.midi.enabled) {
+                // toggleMidi has shown why in the midi panel
+                this.outputLine('Error: MIDI clock needs Web MIDI access; see the midi panel');
+                source = 'off';
+            }
+        }
+        if (source === 'link') {
+            this.tempoSync.linkUrl = this.elements.tempoLinkUrl.value.trim() || TempoSync.DEFAULT_LINK_URL;
+        }
+        this.tempoSync.setSource(source);
+        this.saveTempoSync();
+    }
 
-            // Split pane
-            toolbar: document.getElementById('toolbar'),
-            splitContainer: document.getElementById('splitContainer'),
-            editorPane: document.getElementById('editorPane'),
-            splitHandle: document.getElementById('splitHandle'),
-            replPane: document.getElementById('replPane'),
+    updateTempoStatus() {
+        const sync = this.tempoSync;
+        this.elements.tempoSource.value = sync.source;
+        this.elements.tempoTapBtn.style.display = sync.source === 'tap' ? '' : 'none';
+        this.elements.tempoLinkForm.style.display = sync.source === 'link' ? '' : 'none';
+        this.elements.tempoStatus.textContent = sync.describe();
+        this.elements.tempoBtn.classList.toggle('active', sync.source !== 'off');
+        this.elements.tempoBtn.textContent = sync.source !== 'off' && sync.bpm ? `tempo ${sync.bpm.toFixed(1)}` : 'tempo';
+    }
 
-            // Script reference
-            scriptReferenceBtn: document.getElementById('scriptReferenceBtn'),
+    toggleParams(show = this.elements.paramsPane.classList.contains('hidden')) {
+        this.elements.paramsPane.classList.toggle('hidden', !show);
+        this.updateSidePanes();
+    }
 
-            // File input
-            fileInput: document.getElementById('fileInput'),
+    // crow lists its declared params as ^^pub replies to public.discover(); ^^pubview
+    // only flows from the device (public.view channels), so there is no ^^ request for this
+    async discoverPublicParams() {
+        this.publicParams.clear();
+        if (!this.crow.isConnected || this.activeSession.transferInProgress) return;
 
-            // Modals
-            browserWarning: document.getElementById('browserWarning'),
-            closeWarning: document.getElementById('closeWarning'),
-            boweryModal: document.getElementById('boweryModal'),
-            closeBowery: document.getElementById('closeBowery'),
-            boweryAction: document.getElementById('boweryAction'),
-            bowerySearch: document.getElementById('bowerySearch'),
-            boweryLoading: document.getElementById('boweryLoading'),
-            boweryError: document.getElementById('boweryError'),
-            boweryList: document.getElementById('boweryList'),
-            bbboweryBtn: document.getElementById('bbboweryBtn'),
-            bbboweryModal: document.getElementById('bbboweryModal'),
-            closeBbbowery: document.getElementById('closeBbbowery')
-        };
+        try {
+            await this.crow.writeLine('public.discover()');
+        } catch (error) {
+            console.error('Public discover error:', error);
+        }
+    }
 
-        this.outputLine('//// welcome. connect to crow or blackbird to begin.');
+    async setPublicParam(name, value) {
+        // A line written during a transfer would land inside the script being sent
+        if (!this.crow.isConnected || this.activeSession.transferInProgress) return;
+
+        try {
+            await this.crow.writeLine(`public.${name} = ${PublicParams.toLua(value)}`);
+        } catch (error) {
+            this.outputLine(`Error: ${error.message}`);
+        }
     }
 
-    checkBrowserSupport() {
-        if (!('serial' in navigator)) {
-            this.elements.browserWarning.style.display = 'flex';
-            this.elements.connectionBtn.disabled = true;
-            this.outputLine('ERROR: Web Serial API not supported in this browser.');
-            this.outputLine('Please use Chrome, Edge, or Opera.');
+    async pollMonitor() {
+        // Never interleave poll lines with a script transfer
+        if (!this.crow.isConnected || this.activeSession.transferInProgress) return;
+
+        // One poll in flight at a time, so a busy device isn't sent a backlog of them
+        const now = Date.now();
+        if (this.monitorPollSentAt !== null && now - this.monitorPollSentAt < DruidApp.MONITOR_REPLY_TIMEOUT) return;
+        this.monitorPollSentAt = now;
+
+        try {
+            await this.crow.writeLine(
+                "_c.tell('monitor',input[1].volts,input[2].volts,output[1].volts,output[2].volts,output[3].volts,output[4].volts) " +
+                "if bb then _c.tell('bbmonitor',bb.audioin[1].volts,bb.audioin[2].volts,bb.knob.main,bb.knob.x,bb.knob.y,bb.switch) end"
+            );
+        } catch (error) {
+            console.error('Monitor poll error:', error);
         }
     }
 
@@ -249,6 +4845,18 @@ class DruidApp {
         // Script actions
         this.elements.runBtn.addEventListener('click', () => this.runScript());
         this.elements.uploadBtn.addEventListener('click', () => this.uploadScript());
+        this.elements.pullBtn.addEventListener('click', () => this.pullFromDevice());
+        this.elements.diffBtn.addEventListener('click', () => this.openDiff());
+        this.elements.diffSource.addEventListener('change', () => this.openDiff());
+        this.elements.diffPrevBtn.addEventListener('click', () => this.diff.move(-1));
+        this.elements.diffNextBtn.addEventListener('click', () => this.diff.move(1));
+        this.elements.diffAcceptBtn.addEventListener('click', () => this.diff.accept());
+        this.elements.diffRejectBtn.addEventListener('click', () => this.diff.reject());
+        this.elements.diffUploadBtn.addEventListener('click', async () => {
+            this.closeDiff();
+            await this.uploadScript();
+        });
+        this.elements.closeDiff.addEventListener('click', () => this.closeDiff());
         this.elements.newBtn.addEventListener('click', () => this.newScript());
         this.elements.openBtn.addEventListener('click', () => this.openScript());
         this.elements.boweryBtn.addEventListener('click', () => this.openBoweryBrowser());
@@ -256,7 +4864,15 @@ class DruidApp {
             this.elements.bbboweryModal.style.display = 'flex';
         });
         this.elements.saveBtn.addEventListener('click', () => this.saveScript());
+        this.elements.downloadBtn.addEventListener('click', () => this.downloadScript());
+        this.elements.saveAsBtn.addEventListener('click', () => this.saveScriptAs());
+        this.elements.openFolderBtn.addEventListener('click', () => this.openFolder());
+        this.elements.closeWorkspace.addEventListener('click', () => this.closeFolder());
+        this.elements.libraryBtn.addEventListener('click', () => this.openLibrary());
+        this.elements.iiRigBtn.addEventListener('click', () => this.openIiRig());
         this.elements.renameBtn.addEventListener('click', () => this.renameScript());
+        this.elements.projectBtn.addEventListener('click', () => this.toggleProject());
+        this.elements.addProjectFileBtn.addEventListener('click', () => this.newScript());
 
         // Layout toggle buttons
         this.elements.horizontalLayoutBtn.addEventListener('click', () => this.setLayout('horizontal'));
@@ -272,10 +4888,42 @@ class DruidApp {
         // REPL actions
         this.elements.helpBtn.addEventListener('click', () => this.showHelp());
         this.elements.clearBtn.addEventListener('click', () => this.clearOutput());
+        this.elements.monitorBtn.addEventListener('click', () => this.toggleMonitor());
+        this.elements.closeMonitor.addEventListener('click', () => this.toggleMonitor(false));
+        this.elements.paramsBtn.addEventListener('click', () => this.toggleParams());
+        this.elements.closeParams.addEventListener('click', () => this.toggleParams(false));
+        this.elements.bridgeBtn.addEventListener('click', () => this.openBridge());
+        this.elements.bridgeConnectBtn.addEventListener('click', () => this.toggleBridge());
+        this.elements.bridgeUrl.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this.toggleBridge(true);
+        });
+        this.elements.midiBtn.addEventListener('click', () => this.openMidi());
+        this.elements.midiEnableBtn.addEventListener('click', () => this.toggleMidi());
+        this.elements.midiInput.addEventListener('change', () => {
+            this.midi.setInput(this.elements.midiInput.value);
+            this.saveMidi();
+        });
+        this.elements.midiOutput.addEventListener('change', () => {
+            this.midi.setOutput(this.elements.midiOutput.value);
+            this.saveMidi();
+        });
+        this.elements.midiAddIn.addEventListener('click', () => this.addMidiMapping('in'));
+        this.elements.midiAddOut.addEventListener('click', () => this.addMidiMapping('out'));
+        this.elements.tempoBtn.addEventListener('click', () => this.openTempoSync());
+        this.elements.tempoSource.addEventListener('change', () => this.setTempoSource(this.elements.tempoSource.value));
+        this.elements.tempoPhase.addEventListener('change', () => {
+            this.tempoSync.correctPhase = this.elements.tempoPhase.checked;
+            this.saveTempoSync();
+        });
+        // mousedown rather than click, so the tap lands when the button goes down
+        this.elements.tempoTapBtn.addEventListener('mousedown', () => this.tempoSync.tap());
+        this.elements.tempoLinkUrl.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this.setTempoSource('link');
+        });
 
         // Script reference
         this.elements.scriptReferenceBtn.addEventListener('click', () => {
-            window.open('https://monome.org/docs/crow/reference', '_blank');
+            window.open(DruidApp.REFERENCE_URL, '_blank');
         });
 
         // Modals
@@ -287,6 +4935,30 @@ class DruidApp {
             this.elements.boweryModal.style.display = 'none';
         });
 
+        this.elements.closeLibrary.addEventListener('click', () => {
+            this.elements.libraryModal.style.display = 'none';
+        });
+
+        this.elements.closeIiRig.addEventListener('click', () => {
+            this.elements.iiRigModal.style.display = 'none';
+        });
+
+        this.elements.closeBridge.addEventListener('click', () => {
+            this.elements.bridgeModal.style.display = 'none';
+        });
+
+        this.elements.closeMidi.addEventListener('click', () => {
+            this.elements.midiModal.style.display = 'none';
+        });
+
+        this.elements.closeTempo.addEventListener('click', () => {
+            this.elements.tempoModal.style.display = 'none';
+        });
+
+        this.elements.librarySearch.addEventListener('input', (e) => {
+            this.filterLibraryScripts(e.target.value);
+        });
+
         this.elements.closeBbbowery.addEventListener('click', () => {
             this.elements.bbboweryModal.style.display = 'none';
         });
@@ -295,13 +4967,32 @@ class DruidApp {
             this.filterBoweryScripts(e.target.value);
         });
 
-        // Crow callbacks
-        this.crow.onDataReceived = (data) => this.handleCrowOutput(data);
-        this.crow.onConnectionChange = (connected, error) => this.handleConnectionChange(connected, error);
+        // Device tabs
+        this.elements.addDeviceBtn.addEventListener('click', () => this.addDevice());
+        this.elements.addSimulatorBtn.addEventListener('click', () => this.addSimulator());
+        this.elements.minifyToggle.addEventListener('change', (e) => {
+            this.minifyEnabled = e.target.checked;
+            this.updateScriptSize();
+        });
+        this.elements.aslPreviewToggle.addEventListener('change', (e) => {
+            this.aslPreviewEnabled = e.target.checked;
+            this.updateAslPreview();
+        });
+        this.elements.profileSelect.addEventListener('change', (e) => {
+            this.profileOverride = e.target.value;
+            this.updateProfile();
+        });
+        this.elements.broadcastToggle.addEventListener('change', (e) => {
+            this.broadcast = e.target.checked;
+            this.updateConnectionStatus();
+        });
 
         // Keyboard shortcuts
         document.addEventListener('keydown', (e) => this.handleKeyboardShortcut(e));
 
+        // No monitor polling while the tab is in the background
+        document.addEventListener('visibilitychange', () => this.updateMonitorPolling());
+
         // Drag and drop
         this.setupDragAndDrop();
     }
@@ -339,6 +5030,7 @@ class DruidApp {
 
             // Register crow API autocomplete provider
             this.registerCrowCompletions();
+            this.registerLintQuickFixes();
 
             this.editor = monaco.editor.create(this.elements.editorContainer, {
                 value: '-- crow script\n\nfunction init()\n  print("hello crow")\nend\n',
@@ -361,6 +5053,8 @@ class DruidApp {
             this.editor.onDidChangeModelContent(() => {
                 this.setModified(true);
                 this.validateLuaSyntax();
+                this.scheduleScriptSizeUpdate();
+                this.scheduleAutosave();
             });
 
             // Add context menu action to send selection to crow
@@ -389,8 +5083,14 @@ class DruidApp {
                 }
             });
 
+            this.setupProject();
+            this.setupDiff();
+            this.setupAslPreview();
+            this.restoreAutosave();
+
             // Initial validation
             this.validateLuaSyntax();
+            this.updateScriptSize();
 
             // Initialize REPL editor after main editor is ready
             this.initializeReplEditor();
@@ -614,6 +5314,7 @@ class DruidApp {
     async sendReplCommand(code) {
         // Output the sent command BEFORE sending to ensure it appears first
         this.outputLine(`>> ${code}`);
+        this.bridge.send(`>> ${code}\n`);
         
         // Add to command history (avoid duplicates of the last command)
         // This happens regardless of connection status
@@ -681,8 +5382,17 @@ class DruidApp {
     }
 
     registerCrowCompletions() {
+        const kinds = {
+            function: monaco.languages.CompletionItemKind.Function,
+            method: monaco.languages.CompletionItemKind.Method,
+            property: monaco.languages.CompletionItemKind.Property,
+            event: monaco.languages.CompletionItemKind.Event
+        };
+
         monaco.languages.registerCompletionItemProvider('lua', {
             provideCompletionItems: (model, position) => {
+                if (!this.api) return { suggestions: [] };
+
                 // Get the text before the cursor to detect if user has typed "^" or "^^"
                 const lineContent = model.getLineContent(position.lineNumber);
                 const textBeforeCursor = lineContent.substring(0, position.column - 1);
@@ -696,402 +5406,59 @@ class DruidApp {
                     position.lineNumber,
                     position.column
                 );
-                
-                const suggestions = [
-                    // Crow control commands
-                    {
-                        label: '^^i',
-                        kind: monaco.languages.CompletionItemKind.Keyword,
-                        insertText: '^^i',
-                        filterText: '^^i',
-                        sortText: '0^^i',
-                        range: replaceRange,
-                        documentation: 'Print identity'
-                    },
-                    {
-                        label: '^^v',
-                        kind: monaco.languages.CompletionItemKind.Keyword,
-                        insertText: '^^v',
-                        filterText: '^^v',
-                        sortText: '0^^v',
-                        range: replaceRange,
-                        documentation: 'Print version'
-                    },
-                    {
-                        label: '^^p',
-                        kind: monaco.languages.CompletionItemKind.Keyword,
-                        insertText: '^^p',
-                        filterText: '^^p',
-                        sortText: '0^^p',
-                        range: replaceRange,
-                        documentation: 'Print current userscript'
-                    },
-                    {
-                        label: '^^r',
-                        kind: monaco.languages.CompletionItemKind.Keyword,
-                        insertText: '^^r',
-                        filterText: '^^r',
-                        sortText: '0^^r',
-                        range: replaceRange,
-                        documentation: 'Restart crow'
-                    },
-                    {
-                        label: '^^k',
-                        kind: monaco.languages.CompletionItemKind.Keyword,
-                        insertText: '^^k',
-                        filterText: '^^k',
-                        sortText: '0^^k',
-                        range: replaceRange,
-                        documentation: 'Kill running script'
-                    },
-                    {
-                        label: '^^c',
-                        kind: monaco.languages.CompletionItemKind.Keyword,
-                        insertText: '^^c',
-                        filterText: '^^c',
-                        sortText: '0^^c',
-                        range: replaceRange,
-                        documentation: 'Clear userscript from flash'
-                    },
-                    {
-                        label: '^^b',
-                        kind: monaco.languages.CompletionItemKind.Keyword,
-                        insertText: '^^b',
-                        filterText: '^^b',
-                        sortText: '0^^b',
-                        range: replaceRange,
-                        documentation: 'Enter bootloader mode'
-                    },
-                    
-                    // Lua basics
-                    {
-                        label: 'print',
-                        kind: monaco.languages.CompletionItemKind.Function,
-                        insertText: 'print(${1:value})',
-                        insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
-                        documentation: 'Print values to output'
-                    },
-                    {
-                        label: 'tab.print',
-                        kind: monaco.languages.CompletionItemKind.Function,
-                        insertText: 'tab.print(${1:table})',
-                        insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
-                        documentation: 'Print table contents (crow-specific)'
-                    },
-                    
-                    // Input API
-                    {
-                        label: 'input[n].volts',
-                        kind: monaco.languages.CompletionItemKind.Property,
-                        insertText: 'input[${1:n}].volts',
-                        insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
-                        documentation: 'Get current voltage on input n'
-                    },
-                    {
-                        label: 'input[n].query',
-                        kind: monaco.languages.CompletionItemKind.Method,
-                        insertText: 'input[${1:n}].query',
-                        insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
-                        documentation: "Send input n's value to host"
-                    },
-                    {
-                        label: 'input[n].mode',
-                        kind: monaco.languages.CompletionItemKind.Method,
-                        insertText: "input[${1:n}].mode = '${2:stream}'",
-                        insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
-                        documentation: "Set input mode: 'none', 'stream', 'change', 'window', 'scale', 'volume', 'peak', 'freq', 'clock'"
-                    },
-                    
-                    // Output API
-                    {
-                        label: 'output[n].volts',
-                        kind: monaco.languages.CompletionItemKind.Property,
-                        insertText: 'output[${1:n}].volts = ${2:0}',
-                        insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
-                        documentation: 'Set output n to specified voltage'
-                    },
-                    {
-                        label: 'output[n].slew',
-                        kind: monaco.languages.CompletionItemKind.Property,
-                        insertText: 'output[${1:n}].slew = ${2:0.1}',
-                        insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
-                        documentation: 'Set slew time in seconds for output n'
-                    },
-                    {
-                        label: 'output[n].shape',
-                        kind: monaco.languages.CompletionItemKind.Property,
-                        insertText: "output[${1:n}].shape = '${2:linear}'",
-                        insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
-                        documentation: "Set slew shape: 'linear', 'sine', 'logarithmic', 'exponential', 'now', 'wait', 'over', 'under', 'rebound'"
-                    },
-                    {
-                        label: 'output[n].scale',
-                        kind: monaco.languages.CompletionItemKind.Method,
-                        insertText: 'output[${1:n}].scale({${2:0,2,4,5,7,9,11}})',
-                        insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
-                        documentation: 'Quantize output to a scale'
-                    },
-                    {
-                        label: 'output[n].action',
-                        kind: monaco.languages.CompletionItemKind.Property,
-                        insertText: 'output[${1:n}].action = ${2:lfo()}',
-                        insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
-                        documentation: 'Set output action (lfo, pulse, ar, adsr, etc.)'
-                    },
-                    
-                    // Actions
-                    {
-                        label: 'lfo',
-                        kind: monaco.languages.CompletionItemKind.Function,
-                        insertText: 'lfo(${1:time}, ${2:level}, ${3:shape})',
-                        insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
-                        documentation: 'Low frequency oscillator action'
-                    },
-                    {
-                        label: 'pulse',
-                        kind: monaco.languages.CompletionItemKind.Function,
-                        insertText: 'pulse(${1:time}, ${2:level}, ${3:polarity})',
-                        insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
-                        documentation: 'Trigger/gate generator action'
-                    },
-                    {
-                        label: 'ar',
-                        kind: monaco.languages.CompletionItemKind.Function,
-                        insertText: 'ar(${1:attack}, ${2:release}, ${3:level}, ${4:shape})',
-                        insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
-                        documentation: 'Attack-release envelope'
-                    },
-                    {
-                        label: 'adsr',
-                        kind: monaco.languages.CompletionItemKind.Function,
-                        insertText: 'adsr(${1:attack}, ${2:decay}, ${3:sustain}, ${4:release}, ${5:shape})',
-                        insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
-                        documentation: 'ADSR envelope'
-                    },
-                    
-                    // Metro
-                    {
-                        label: 'metro[n].event',
-                        kind: monaco.languages.CompletionItemKind.Property,
-                        insertText: 'metro[${1:n}].event = function(c) ${2:print(c)} end',
-                        insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
-                        documentation: 'Set event handler for metro n'
-                    },
-                    {
-                        label: 'metro[n].time',
-                        kind: monaco.languages.CompletionItemKind.Property,
-                        insertText: 'metro[${1:n}].time = ${2:1.0}',
-                        insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
-                        documentation: 'Set time interval in seconds for metro n'
-                    },
-                    {
-                        label: 'metro[n]:start',
-                        kind: monaco.languages.CompletionItemKind.Method,
-                        insertText: 'metro[${1:n}]:start()',
-                        insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
-                        documentation: 'Start metro n'
-                    },
-                    {
-                        label: 'metro[n]:stop',
-                        kind: monaco.languages.CompletionItemKind.Method,
-                        insertText: 'metro[${1:n}]:stop()',
-                        insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
-                        documentation: 'Stop metro n'
-                    },
-                    
-                    // Clock
-                    {
-                        label: 'clock.tempo',
-                        kind: monaco.languages.CompletionItemKind.Property,
-                        insertText: 'clock.tempo = ${1:120}',
-                        insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
-                        documentation: 'Set clock tempo in BPM'
-                    },
-                    {
-                        label: 'clock.run',
-                        kind: monaco.languages.CompletionItemKind.Function,
-                        insertText: 'clock.run(${1:func})',
-                        insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
-                        documentation: 'Run a function in a coroutine'
-                    },
-                    {
-                        label: 'clock.sleep',
-                        kind: monaco.languages.CompletionItemKind.Function,
-                        insertText: 'clock.sleep(${1:seconds})',
-                        insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
-                        documentation: 'Sleep for specified time in seconds'
-                    },
-                    {
-                        label: 'clock.sync',
-                        kind: monaco.languages.CompletionItemKind.Function,
-                        insertText: 'clock.sync(${1:beats})',
-                        insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
-                        documentation: 'Sleep until next sync at specified beat interval'
-                    },
-                    
-                    // Sequins
-                    {
-                        label: 'sequins',
-                        kind: monaco.languages.CompletionItemKind.Function,
-                        insertText: 'sequins{${1:1,2,3}}',
-                        insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
-                        documentation: 'Create a sequins sequencer'
-                    },
-                    
-                    // ASL
-                    {
-                        label: 'to',
-                        kind: monaco.languages.CompletionItemKind.Function,
-                        insertText: 'to(${1:dest}, ${2:time}, ${3:shape})',
-                        insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
-                        documentation: 'ASL primitive: move to destination over time'
-                    },
-                    {
-                        label: 'loop',
-                        kind: monaco.languages.CompletionItemKind.Function,
-                        insertText: 'loop{${1:}}',
-                        insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
-                        documentation: 'ASL: loop the sequence'
-                    },
-                    
-                    // ii
-                    {
-                        label: 'ii.jf.play_note',
-                        kind: monaco.languages.CompletionItemKind.Method,
-                        insertText: 'ii.jf.play_note(${1:volts}, ${2:level})',
-                        insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
-                        documentation: 'Just Friends: play a note at specified voltage and level'
-                    },
-                    {
-                        label: 'ii.jf.trigger',
-                        kind: monaco.languages.CompletionItemKind.Method,
-                        insertText: 'ii.jf.trigger(${1:channel}, ${2:state})',
-                        insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
-                        documentation: 'Just Friends: set trigger state for channel'
-                    },
-                    
-                    // Utilities
-                    {
-                        label: 'math.random',
-                        kind: monaco.languages.CompletionItemKind.Function,
-                        insertText: 'math.random(${1:})',
-                        insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
-                        documentation: 'Generate a random number (hardware-based)'
-                    },
-                    {
-                        label: 'public',
-                        kind: monaco.languages.CompletionItemKind.Function,
-                        insertText: 'public{${1:name} = ${2:value}}',
-                        insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
-                        documentation: 'Create a public variable accessible from host'
-                    },
-                    
-                    // Blackbird (bb namespace) - Workshop Computer specific
-                    {
-                        label: 'bb.knob.main',
-                        kind: monaco.languages.CompletionItemKind.Property,
-                        insertText: 'bb.knob.main',
-                        documentation: 'Blackbird: Read main knob value (0.0 to 1.0)'
-                    },
-                    {
-                        label: 'bb.knob.x',
-                        kind: monaco.languages.CompletionItemKind.Property,
-                        insertText: 'bb.knob.x',
-                        documentation: 'Blackbird: Read X knob value (0.0 to 1.0)'
-                    },
-                    {
-                        label: 'bb.knob.y',
-                        kind: monaco.languages.CompletionItemKind.Property,
-                        insertText: 'bb.knob.y',
-                        documentation: 'Blackbird: Read Y knob value (0.0 to 1.0)'
-                    },
-                    {
-                        label: 'bb.switch',
-                        kind: monaco.languages.CompletionItemKind.Property,
-                        insertText: 'bb.switch',
-                        documentation: 'Blackbird: Read 3-position switch state (-1, 0, or 1)'
-                    },
-                    {
-                        label: 'bb.pulsein[n].mode',
-                        kind: monaco.languages.CompletionItemKind.Property,
-                        insertText: "bb.pulsein[${1:n}].mode = '${2:change}'",
-                        insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
-                        documentation: "Blackbird: Set pulse input mode ('change' or 'none')"
-                    },
-                    {
-                        label: 'bb.pulsein[n].direction',
-                        kind: monaco.languages.CompletionItemKind.Property,
-                        insertText: "bb.pulsein[${1:n}].direction = '${2:rising}'",
-                        insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
-                        documentation: "Blackbird: Set pulse input direction ('rising', 'falling', or 'both')"
-                    },
-                    {
-                        label: 'bb.pulsein[n].callback',
-                        kind: monaco.languages.CompletionItemKind.Property,
-                        insertText: 'bb.pulsein[${1:n}].callback = function() ${2:print("pulse")} end',
-                        insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
-                        documentation: 'Blackbird: Set pulse input callback function'
-                    },
-                    {
-                        label: 'bb.pulseout[n]:clock',
-                        kind: monaco.languages.CompletionItemKind.Method,
-                        insertText: 'bb.pulseout[${1:n}]:clock(${2:1})',
-                        insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
-                        documentation: 'Blackbird: Set pulse output to clock mode with division'
-                    },
-                    {
-                        label: 'bb.pulseout[n]:high',
-                        kind: monaco.languages.CompletionItemKind.Method,
-                        insertText: 'bb.pulseout[${1:n}]:high()',
-                        insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
-                        documentation: 'Blackbird: Set pulse output high'
-                    },
-                    {
-                        label: 'bb.pulseout[n]:low',
-                        kind: monaco.languages.CompletionItemKind.Method,
-                        insertText: 'bb.pulseout[${1:n}]:low()',
-                        insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
-                        documentation: 'Blackbird: Set pulse output low'
-                    },
-                    {
-                        label: 'bb.audioin[n].volts',
-                        kind: monaco.languages.CompletionItemKind.Property,
-                        insertText: 'bb.audioin[${1:n}].volts',
-                        insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
-                        documentation: 'Blackbird: Read audio input voltage'
-                    },
-                    {
-                        label: 'bb.noise',
-                        kind: monaco.languages.CompletionItemKind.Function,
-                        insertText: 'bb.noise(${1:1.0})',
-                        insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
-                        documentation: 'Blackbird: Generate audio-rate noise action (gain 0.0-1.0)'
-                    },
-                    {
-                        label: 'bb.asap',
-                        kind: monaco.languages.CompletionItemKind.Property,
-                        insertText: 'bb.asap = function() ${1:-- fast loop} end',
-                        insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
-                        documentation: 'Blackbird: Run code as fast as possible (use carefully)'
-                    },
-                    {
-                        label: 'bb.priority',
-                        kind: monaco.languages.CompletionItemKind.Function,
-                        insertText: "bb.priority('${1:timing}')",
+
+                // Crow control commands
+                const commands = this.api.commands.map(command => ({
+                    label: command.name,
+                    kind: monaco.languages.CompletionItemKind.Keyword,
+                    insertText: command.name,
+                    filterText: command.name,
+                    sortText: `0${command.name}`,
+                    range: replaceRange,
+                    documentation: command.doc
+                }));
+
+                // Only the active profile's device-specific namespaces (bb.* on blackbird),
+                // and only the ii modules in the rig when one is chosen
+                const entries = this.api.entries
+                    .filter(entry => this.api.allows(this.profile, entry.name))
+                    .filter(entry => !entry.device || !this.iiRig.size || this.iiRig.has(entry.device))
+                    .map(entry => ({
+                        label: entry.name,
+                        kind: kinds[entry.kind] || monaco.languages.CompletionItemKind.Variable,
+                        insertText: this.api.insertText(entry),
                         insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
-                        documentation: "Blackbird: Set processing priority ('timing', 'balanced', or 'accuracy')"
-                    }
-                ];
+                        detail: this.api.detail(entry),
+                        documentation: this.api.documentation(entry)
+                    }));
 
-                return { suggestions };
+                return { suggestions: [...commands, ...entries] };
             },
             triggerCharacters: ['^', '.', '[', ':', 'i', 'o', 'p', 'l', 'a', 'c', 't', 'm', 'b']
         });
 
+        // Hover documentation for API names in the editor and REPL
+        monaco.languages.registerHoverProvider('lua', {
+            provideHover: (model, position) => {
+                if (!this.api) return null;
+
+                const symbol = CrowApi.symbolAt(model.getLineContent(position.lineNumber), position.column);
+                const entry = symbol && this.api.byName.get(symbol.name);
+                if (!entry || !this.api.allows(this.profile, entry.name)) return null;
+
+                return {
+                    range: new monaco.Range(position.lineNumber, symbol.startColumn, position.lineNumber, symbol.endColumn),
+                    contents: this.api.hover(entry, DruidApp.REFERENCE_URL)
+                };
+            }
+        });
+
         // Register signature help provider
         monaco.languages.registerSignatureHelpProvider('lua', {
-            signatureHelpTriggerCharacters: ['(', ','],
+            signatureHelpTriggerCharacters: ['(', ',', '{'],
             provideSignatureHelp: (model, position) => {
+                if (!this.api) return null;
+
                 const textUntilPosition = model.getValueInRange({
                     startLineNumber: position.lineNumber,
                     startColumn: 1,
@@ -1100,148 +5467,107 @@ class DruidApp {
                 });
 
                 // Find the function call we're in
-                let functionMatch = null;
-                const signatures = [];
-
-                // Output actions
-                if (textUntilPosition.match(/lfo\s*\(/)) {
-                    signatures.push({
-                        label: 'lfo(time, level, shape)',
-                        documentation: 'Low frequency oscillator action',
-                        parameters: [
-                            { label: 'time', documentation: 'Period in seconds (default: 1)' },
-                            { label: 'level', documentation: 'Output level in volts (default: 5)' },
-                            { label: 'shape', documentation: "Waveform shape: 'sine', 'linear', 'expo', 'log' (default: 'sine')" }
-                        ]
-                    });
-                } else if (textUntilPosition.match(/pulse\s*\(/)) {
-                    signatures.push({
-                        label: 'pulse(time, level, polarity)',
-                        documentation: 'Trigger/gate generator action',
-                        parameters: [
-                            { label: 'time', documentation: 'Pulse duration in seconds (default: 0.01)' },
-                            { label: 'level', documentation: 'Pulse height in volts (default: 5)' },
-                            { label: 'polarity', documentation: 'Pulse direction: 1 or -1 (default: 1)' }
-                        ]
-                    });
-                } else if (textUntilPosition.match(/ar\s*\(/)) {
-                    signatures.push({
-                        label: 'ar(attack, release, level, shape)',
-                        documentation: 'Attack-release envelope',
-                        parameters: [
-                            { label: 'attack', documentation: 'Attack time in seconds (default: 0.05)' },
-                            { label: 'release', documentation: 'Release time in seconds (default: 0.5)' },
-                            { label: 'level', documentation: 'Peak level in volts (default: 7)' },
-                            { label: 'shape', documentation: "Envelope shape: 'linear', 'log', 'expo' (default: 'log')" }
-                        ]
-                    });
-                } else if (textUntilPosition.match(/adsr\s*\(/)) {
-                    signatures.push({
-                        label: 'adsr(attack, decay, sustain, release, shape)',
-                        documentation: 'ADSR envelope',
-                        parameters: [
-                            { label: 'attack', documentation: 'Attack time in seconds (default: 0.05)' },
-                            { label: 'decay', documentation: 'Decay time in seconds (default: 0.3)' },
-                            { label: 'sustain', documentation: 'Sustain level in volts (default: 2)' },
-                            { label: 'release', documentation: 'Release time in seconds (default: 2)' },
-                            { label: 'shape', documentation: "Envelope shape: 'linear', 'log', 'expo' (default: 'linear')" }
-                        ]
-                    });
-                } else if (textUntilPosition.match(/\bto\s*\(/)) {
-                    signatures.push({
-                        label: 'to(destination, time, shape)',
-                        documentation: 'ASL primitive: move to destination over time',
-                        parameters: [
-                            { label: 'destination', documentation: 'Target voltage' },
-                            { label: 'time', documentation: 'Time to reach destination in seconds' },
-                            { label: 'shape', documentation: "Optional slope shape: 'linear', 'sine', 'logarithmic', 'exponential', etc." }
-                        ]
-                    });
-                } else if (textUntilPosition.match(/clock\.run\s*\(/)) {
-                    signatures.push({
-                        label: 'clock.run(func, ...)',
-                        documentation: 'Run a function in a coroutine',
-                        parameters: [
-                            { label: 'func', documentation: 'Function to run as a coroutine' },
-                            { label: '...', documentation: 'Optional arguments passed to func' }
-                        ]
-                    });
-                } else if (textUntilPosition.match(/clock\.sleep\s*\(/)) {
-                    signatures.push({
-                        label: 'clock.sleep(seconds)',
-                        documentation: 'Sleep for specified time in seconds',
-                        parameters: [
-                            { label: 'seconds', documentation: 'Time to sleep in seconds' }
-                        ]
-                    });
-                } else if (textUntilPosition.match(/clock\.sync\s*\(/)) {
-                    signatures.push({
-                        label: 'clock.sync(beats)',
-                        documentation: 'Sleep until next sync at specified beat interval',
-                        parameters: [
-                            { label: 'beats', documentation: 'Beat interval (e.g., 1/4 for quarter notes)' }
-                        ]
-                    });
-                } else if (textUntilPosition.match(/ii\.jf\.play_note\s*\(/)) {
-                    signatures.push({
-                        label: 'ii.jf.play_note(volts, level)',
-                        documentation: 'Just Friends: play a note at specified voltage and level',
-                        parameters: [
-                            { label: 'volts', documentation: 'Pitch in volts (V/oct)' },
-                            { label: 'level', documentation: 'Velocity/level (0.0-5.0)' }
-                        ]
-                    });
-                } else if (textUntilPosition.match(/ii\.jf\.trigger\s*\(/)) {
-                    signatures.push({
-                        label: 'ii.jf.trigger(channel, state)',
-                        documentation: 'Just Friends: set trigger state for channel',
-                        parameters: [
-                            { label: 'channel', documentation: 'Trigger channel (1-6)' },
-                            { label: 'state', documentation: 'Trigger state (0 or 1)' }
-                        ]
-                    });
-                } else if (textUntilPosition.match(/bb\.noise\s*\(/)) {
-                    signatures.push({
-                        label: 'bb.noise(gain)',
-                        documentation: 'Blackbird: Generate audio-rate noise action',
-                        parameters: [
-                            { label: 'gain', documentation: 'Noise level (0.0-1.0, default: 1.0)' }
-                        ]
-                    });
-                } else if (textUntilPosition.match(/bb\.priority\s*\(/)) {
-                    signatures.push({
-                        label: "bb.priority(mode)",
-                        documentation: 'Blackbird: Set processing priority mode',
-                        parameters: [
-                            { label: 'mode', documentation: "'timing' (default), 'balanced', or 'accuracy'" }
-                        ]
-                    });
-                }
-
-                if (signatures.length > 0) {
-                    return {
-                        value: {
-                            signatures: signatures,
-                            activeSignature: 0,
-                            activeParameter: this.getActiveParameter(textUntilPosition)
-                        },
-                        dispose: () => {}
-                    };
+                const call = CrowApi.callAt(textUntilPosition);
+                const entry = call && this.api.byName.get(call.name);
+                if (!entry || !entry.params || entry.kind === 'event' || !this.api.allows(this.profile, entry.name)) {
+                    return null;
                 }
 
-                return null;
+                return {
+                    value: {
+                        signatures: [this.api.signature(entry)],
+                        activeSignature: 0,
+                        activeParameter: Math.min(call.parameter, entry.params.length - 1)
+                    },
+                    dispose: () => {}
+                };
             }
         });
     }
 
-    getActiveParameter(text) {
-        // Count commas after the opening parenthesis to determine active parameter
-        const openParen = text.lastIndexOf('(');
-        if (openParen === -1) return 0;
-        
-        const afterParen = text.substring(openParen + 1);
-        const commas = (afterParen.match(/,/g) || []).length;
-        return commas;
+    // Fetch the API definitions that completions and lint rules are built from
+    async loadApi() {
+        try {
+            this.api = await CrowApi.load(DruidApp.API_URL);
+        } catch (error) {
+            this.outputLine(`Error: could not load ${DruidApp.API_URL} (${error.message}); completions and lint are off`);
+            return;
+        }
+
+        // One option per profile the definitions describe, after 'auto'
+        const select = this.elements.profileSelect;
+        while (select.options.length > 1) select.remove(1);
+        for (const name of Object.keys(this.api.profiles)) {
+            select.add(new Option(name, name));
+        }
+        select.value = this.profileOverride;
+        this.updateProfile();
+        this.restoreIiRig();
+    }
+
+    async restoreIiRig() {
+        if (!this.library) return;
+
+        try {
+            const rig = await this.library.getSetting('ii-rig');
+            this.iiRig = new Set(rig || []);
+        } catch (error) {
+            console.warn('Could not restore ii rig:', error);
+        }
+        this.updateIiRigButton();
+    }
+
+    updateIiRigButton() {
+        const btn = this.elements.iiRigBtn;
+        btn.classList.toggle('active', this.iiRig.size > 0);
+        btn.textContent = this.iiRig.size ? `ii rig (${this.iiRig.size})` : 'ii rig';
+    }
+
+    // Checklist of every ii module in the API definitions
+    openIiRig() {
+        if (!this.api) {
+            this.outputLine(`Error: ii modules are listed in ${DruidApp.API_URL}, which hasn't loaded`);
+            return;
+        }
+
+        const list = this.elements.iiRigList;
+        list.innerHTML = '';
+        for (const device of this.api.iiDevices) {
+            const item = document.createElement('label');
+            item.className = 'ii-rig-item';
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = this.iiRig.has(device.key);
+            checkbox.addEventListener('change', () => {
+                if (checkbox.checked) {
+                    this.iiRig.add(device.key);
+                } else {
+                    this.iiRig.delete(device.key);
+                }
+                this.updateIiRigButton();
+                if (this.library) {
+                    this.library.setSetting('ii-rig', [...this.iiRig]).catch((error) => {
+                        console.warn('Could not save ii rig:', error);
+                    });
+                }
+            });
+
+            const title = document.createElement('span');
+            title.className = 'bowery-item-name';
+            title.textContent = device.title;
+
+            const key = document.createElement('span');
+            key.className = 'ii-rig-key';
+            key.textContent = `ii.${device.key}`;
+
+            item.appendChild(checkbox);
+            item.appendChild(title);
+            item.appendChild(key);
+            list.appendChild(item);
+        }
+
+        this.elements.iiRigModal.style.display = 'flex';
     }
 
     validateLuaSyntax() {
@@ -1266,7 +5592,11 @@ class DruidApp {
             });
             // If parsing succeeds, clear any previous markers
             monaco.editor.setModelMarkers(model, 'lua', []);
+            if (this.api) this.lintScript(model, code);
         } catch (error) {
+            // Semantic checks need a parse tree; keep only the syntax error
+            monaco.editor.setModelMarkers(model, 'crow-lint', []);
+
             // Parse error - extract line/column info
             if (error.line !== undefined) {
                 const column = error.column !== undefined ? error.column : 1;
@@ -1285,6 +5615,100 @@ class DruidApp {
         }
     }
 
+    // API profile for completions, signature help and linting: the toolbar
+    // override, else whatever the active tab identified as (crow by default)
+    get profile() {
+        const name = this.profileOverride === 'auto' ? this.activeSession.deviceType : this.profileOverride;
+        return this.api ? this.api.profile(name) : null;
+    }
+
+    // Re-check the script and refresh the toolbar after the profile may have changed
+    updateProfile() {
+        const detected = this.activeSession.deviceType;
+        this.profileDeviceType = detected;
+        this.elements.profileSelect.options[0].textContent = detected ? `auto (${detected})` : 'auto';
+        this.validateLuaSyntax();
+    }
+
+    // crow-aware warnings (see CrowLinter) alongside the syntax markers
+    lintScript(model, code) {
+        let globals = [];
+        if (this.projectMode) {
+            // Globals set in other project files are defined for this one too
+            for (const [name, other] of this.project.files) {
+                if (other === model) continue;
+                try {
+                    globals.push(...CrowLinter.definedGlobals(other.getValue()));
+                } catch (error) {
+                    // That file has its own syntax error marked when opened
+                }
+            }
+        }
+
+        const problems = CrowLinter.lint(code, this.api, { profile: this.profile, globals });
+        this.lintProblems.set(model.uri.toString(), problems);
+        monaco.editor.setModelMarkers(model, 'crow-lint', problems.map(problem => ({
+            severity: monaco.MarkerSeverity.Warning,
+            startLineNumber: problem.startLineNumber,
+            startColumn: problem.startColumn,
+            endLineNumber: problem.endLineNumber,
+            endColumn: problem.endColumn,
+            message: problem.message,
+            source: 'crow'
+        })));
+    }
+
+    registerLintQuickFixes() {
+        monaco.languages.registerCodeActionProvider('lua', {
+            provideCodeActions: (model, range, context) => {
+                const problems = this.lintProblems.get(model.uri.toString()) || [];
+                const actions = [];
+
+                for (const marker of context.markers) {
+                    const problem = problems.find(p => p.fix &&
+                        p.message === marker.message &&
+                        p.startLineNumber === marker.startLineNumber &&
+                        p.startColumn === marker.startColumn);
+                    if (!problem) continue;
+
+                    actions.push({
+                        title: problem.fix.title,
+                        kind: 'quickfix',
+                        diagnostics: [marker],
+                        isPreferred: true,
+                        edit: {
+                            edits: [{
+                                resource: model.uri,
+                                textEdit: {
+                                    range: problem.fix.range || {
+                                        startLineNumber: problem.startLineNumber,
+                                        startColumn: problem.startColumn,
+                                        endLineNumber: problem.endLineNumber,
+                                        endColumn: problem.endColumn
+                                    },
+                                    text: problem.fix.text
+                                },
+                                versionId: model.getVersionId()
+                            }]
+                        }
+                    });
+                }
+
+                return { actions, dispose: () => {} };
+            }
+        });
+
+        // A device answering ^^i / ^^v may switch the profile between crow and blackbird
+        // ^^i is also sent as a ping during every transfer, so only a changed type re-lints
+        const deviceTypeChanged = () => {
+            if (this.activeSession.deviceType !== this.profileDeviceType) {
+                this.updateProfile();
+            }
+        };
+        this.protocol.on('version', deviceTypeChanged);
+        this.protocol.on('identity', deviceTypeChanged);
+    }
+
     setupSplitPane() {
         let isResizing = false;
         const container = this.elements.splitContainer;
@@ -1478,6 +5902,7 @@ class DruidApp {
             if (code) {
                 // Output the sent command BEFORE sending to ensure it appears first
                 this.outputLine(`>> ${code}`);
+                this.bridge.send(`>> ${code}\n`);
                 
                 // Add to command history (avoid duplicates of the last command)
                 // This happens regardless of connection status
@@ -1530,144 +5955,823 @@ class DruidApp {
         if (!isMeta && (editorHasFocus || replEditorHasFocus || replTextareaHasFocus)) {
             return;
         }
-        
-        // Only process keyboard shortcuts if they're meta/ctrl commands
-        if (isMeta && e.key === 'p') {
-            e.preventDefault();
-            this.runScript();
-        } else if (isMeta && e.key === 's') {
-            e.preventDefault();
-            this.saveScript();
+        
+        // Only process keyboard shortcuts if they're meta/ctrl commands
+        if (isMeta && e.key === 'p') {
+            // Run only: executes from RAM without touching the stored userscript
+            e.preventDefault();
+            this.runScript();
+        } else if (isMeta && e.key === 's') {
+            e.preventDefault();
+            this.saveScript();
+        }
+    }
+
+    addSession(crow = new CrowConnection(this.serial)) {
+        const session = new DeviceSession(this.nextSessionId++, crow);
+
+        session.crow.onConnectionChange = (connected, error) => this.handleConnectionChange(session, connected, error);
+        session.protocol.on('*', (event) => {
+            if (session === this.activeSession) {
+                this.protocol.emit(event);
+                this.midi.handleEvent(event);
+                // Tools on the bridge get the script's own messages, not the app's polling
+                if (this.bridge && !DruidApp.BRIDGE_QUIET_EVENTS.has(event.type)) {
+                    this.bridge.send(`${event.raw}\n`);
+                }
+                const osc = OscBridge.fromEvent(event);
+                if (osc && this.bridge && this.bridge.isOpen) {
+                    this.bridge.sendOsc(OscBridge.encode(osc.address, osc.args));
+                }
+            }
+        });
+        session.onOutput = (text) => {
+            if (session === this.activeSession && this.bridge) {
+                this.bridge.send(text);
+            }
+        };
+
+        session.tab.addEventListener('click', () => this.selectSession(session));
+        session.closeBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.closeSession(session);
+        });
+
+        this.elements.replTabs.insertBefore(session.tab, this.elements.addDeviceBtn);
+        this.elements.replOutputs.appendChild(session.output);
+        this.sessions.push(session);
+        this.elements.replTabs.classList.toggle('single', this.sessions.length === 1);
+
+        this.selectSession(session);
+        return session;
+    }
+
+    selectSession(session) {
+        if (session === this.activeSession) return;
+
+        this.activeSession = session;
+        this.sessions.forEach(s => s.setActive(s === session));
+        this.elements.output = session.output;
+        this.updateConnectionStatus();
+
+        // Monitor and params follow the active tab
+        if (this.monitor) {
+            this.monitor.reset();
+            this.monitor.setGroupVisible('bb', false);
+            this.updateMonitorPolling();
+        }
+        if (this.publicParams) {
+            this.discoverPublicParams();
+        }
+
+        // Completions and lint rules depend on which kind of device is targeted
+        this.updateProfile();
+    }
+
+    async closeSession(session) {
+        if (session.crow.isConnected || session.crow.isReconnecting) {
+            await session.crow.disconnect();
+        }
+        if (this.sessions.length === 1) return;
+
+        const index = this.sessions.indexOf(session);
+        this.sessions.splice(index, 1);
+        session.tab.remove();
+        session.output.remove();
+        this.elements.replTabs.classList.toggle('single', this.sessions.length === 1);
+
+        if (session === this.activeSession) {
+            this.selectSession(this.sessions[Math.min(index, this.sessions.length - 1)]);
+        } else {
+            this.updateConnectionStatus();
+        }
+    }
+
+    // Open a new tab and pick a device for it; the tab goes away again if nothing is picked
+    async addDevice() {
+        const previous = this.activeSession;
+        const session = this.addSession();
+        const success = await this.connectSession(session);
+        if (!success) {
+            await this.closeSession(session);
+            this.selectSession(previous);
+        }
+    }
+
+    // Open a tab running a simulated crow, for writing scripts with no hardware attached
+    async addSimulator() {
+        const previous = this.activeSession;
+        const session = this.addSession(new SimulatedCrow());
+        session.printLine('Starting simulated crow...');
+        const success = await session.crow.connect();
+        if (success) {
+            session.printLine('Simulator ready. Set input[n].volts from the REPL to stand in for a patch cable.\n');
+        } else {
+            await this.closeSession(session);
+            this.selectSession(previous);
+            this.outputLine(`Error: ${session.status}`);
+        }
+    }
+
+    // Sessions that run, upload and editor selections go to
+    targetSessions() {
+        if (this.broadcast) {
+            return this.sessions.filter(session => session.isConnected);
+        }
+        return this.activeSession.isConnected ? [this.activeSession] : [];
+    }
+
+    async toggleConnection() {
+        if (this.crow.isConnected || this.crow.isReconnecting) {
+            await this.disconnect();
+        } else {
+            await this.connect();
+        }
+    }
+
+    async connect() {
+        await this.connectSession(this.activeSession);
+    }
+
+    async connectSession(session) {
+        session.printLine('Connecting to crow...');
+        const success = await session.crow.connect();
+        if (success) {
+            session.printLine('Connected! Ready to code.\nDrag and drop a lua file here to auto-upload.\n');
+        }
+        return success;
+    }
+
+    // Reopen every device granted in an earlier session so a page reload doesn't need the picker
+    async autoConnect() {
+        let reopened = 0;
+
+        for (;;) {
+            const session = reopened === 0 ? this.activeSession : this.addSession();
+            const success = await session.crow.autoConnect();
+            if (!success) {
+                if (reopened > 0) {
+                    await this.closeSession(session);
+                }
+                break;
+            }
+            session.printLine('Reconnected to previously connected device.\n');
+            reopened++;
+        }
+
+        if (reopened > 1) {
+            this.selectSession(this.sessions[0]);
+        }
+    }
+
+    async disconnect() {
+        await this.crow.disconnect();
+        this.outputLine('\nDisconnected from crow.\n');
+    }
+
+    handleConnectionChange(session, connected, error) {
+        const wasReconnecting = session.status === 'reconnecting...';
+
+        session.status = connected ? 'connected' : (error || 'not connected');
+        session.protocol.reset();
+        session.updateTab();
+
+        if (connected) {
+            if (wasReconnecting) {
+                session.printLine('Reconnected.\n');
+            }
+            session.identify().catch(error => console.error('Identify error:', error));
+        } else if (session.crow.isReconnecting) {
+            // Show disconnection message in that device's REPL
+            session.printLine('\nConnection lost. Waiting for the device to come back...');
+        } else if (error && error.includes('disconnected')) {
+            session.printLine(`\n${error}`);
+        }
+
+        this.updateConnectionStatus();
+        if (session !== this.activeSession) return;
+
+        this.monitor.reset();
+        this.monitor.setGroupVisible('bb', false);
+        this.updateMonitorPolling();
+        this.discoverPublicParams();
+
+        if (connected) {
+            // Focus the appropriate input
+            if (this.replAutocompleteEnabled && this.replEditor) {
+                this.replEditor.focus();
+            } else {
+                this.elements.replInput.focus();
+            }
+        }
+    }
+
+    // Reflect the active tab in the status pill and the run/upload buttons
+    updateConnectionStatus() {
+        const crow = this.activeSession.crow;
+        const canSend = this.targetSessions().length > 0;
+
+        this.elements.runBtn.disabled = !canSend;
+        this.elements.uploadBtn.disabled = !canSend;
+        this.elements.pullBtn.disabled = !crow.isConnected;
+
+        this.elements.replStatusIndicator.classList.toggle('connected', crow.isConnected);
+        this.elements.replStatusIndicator.classList.toggle('reconnecting', crow.isReconnecting);
+        this.elements.replStatusText.textContent = this.activeSession.status;
+
+        if (crow.isConnected) {
+            this.elements.connectionBtn.textContent = 'disconnect';
+        } else {
+            this.elements.connectionBtn.textContent = crow.isReconnecting ? 'cancel' : 'connect';
+        }
+    }
+
+    async runScript() {
+        const targets = this.targetSessions();
+        if (targets.length === 0) {
+            this.outputLine('Not connected: connect a crow, or click sim above the REPL to run in the simulator');
+            return;
+        }
+        if (!this.editor) return;
+        
+        const script = this.buildScript();
+        if (!script) return;
+        
+        await Promise.all(targets.map(async (session) => {
+            session.printLine(`Running ${script.name} (not saved to device)...`);
+            try {
+                const result = await this.sendScript(session, script, false);
+                session.printLine(`Ran ${script.name} (${this.describeTransfer(result)})\n`);
+            } catch (error) {
+                session.printLine(`Run failed: ${error.message}\n`);
+            }
+        }));
+    }
+
+    async uploadScript() {
+        const targets = this.targetSessions();
+        if (targets.length === 0 || !this.editor) return;
+        
+        const script = this.buildScript();
+        if (!script) return;
+        
+        const results = await Promise.all(targets.map(async (session) => {
+            session.printLine(`Uploading ${script.name} to flash...`);
+            try {
+                const result = await this.sendScript(session, script, true);
+                session.printLine(`Uploaded ${script.name} (${this.describeTransfer(result)})\n`);
+                return true;
+            } catch (error) {
+                session.printLine(`Upload failed: ${error.message}\n`);
+                return false;
+            }
+        }));
+        
+        if (results.every(Boolean)) {
+            this.setModified(false);
+        }
+    }
+
+    setupAslPreview() {
+        this.aslPreview = new AslPreview(this.elements.aslPreviewContainer);
+        this.editor.onDidChangeCursorPosition(() => this.scheduleAslPreview());
+    }
+
+    scheduleAslPreview() {
+        // Parsing on every cursor move while typing is wasteful; wait for a pause
+        clearTimeout(this.aslPreviewTimer);
+        this.aslPreviewTimer = setTimeout(() => this.updateAslPreview(), 150);
+    }
+
+    // Show the ASL action under the cursor, or hide the panel when there isn't one
+    updateAslPreview() {
+        if (!this.aslPreview) return;
+        if (!this.aslPreviewEnabled || this.diff.isOpen) {
+            this.aslPreview.hide();
+            return;
+        }
+
+        const model = this.editor.getModel();
+        this.aslPreview.update(model.getValue(), model.getOffsetAt(this.editor.getPosition()), this.api);
+    }
+
+    setupDiff() {
+        this.diff = new ScriptDiff(this.elements.diffContainer);
+        this.diff.onUpdate = () => this.updateDiffStatus();
+    }
+
+    // Review the buffer against the device's stored script (^^p) or the
+    // last revision uploaded under this name, hunk by hunk
+    async openDiff() {
+        if (!this.diff) return;
+
+        let original;
+        try {
+            original = this.elements.diffSource.value === 'device'
+                ? await this.readDeviceScript()
+                : await this.readLastRevision();
+        } catch (error) {
+            this.outputLine(`Error: ${error.message}`);
+            return;
+        }
+
+        this.diff.open(original, this.editor.getModel());
+        this.elements.editorContainer.classList.add('hidden');
+        this.elements.diffContainer.classList.remove('hidden');
+        this.elements.diffBar.classList.remove('hidden');
+        this.aslPreview.hide();
+        this.updateDiffStatus();
+    }
+
+    async readDeviceScript() {
+        const session = this.activeSession;
+        if (!session.isConnected) {
+            throw new Error('Not connected to usb device (click connect in the header)');
+        }
+
+        const code = ScriptTransfer.normalize(await session.readScript());
+        return DeviceSession.NO_SCRIPT_PATTERN.test(code) ? '' : `${code}\n`;
+    }
+
+    async readLastRevision() {
+        const name = this.projectMode ? this.project.main : this.scriptName;
+        const revision = this.library ? await this.library.latestRevision(name) : null;
+        if (!revision) {
+            throw new Error(`${name} has not been uploaded from this browser yet`);
+        }
+        return revision.code;
+    }
+
+    closeDiff() {
+        if (!this.diff || !this.diff.isOpen) return;
+
+        this.diff.close();
+        this.elements.diffContainer.classList.add('hidden');
+        this.elements.diffBar.classList.add('hidden');
+        this.elements.editorContainer.classList.remove('hidden');
+        this.editor.focus();
+    }
+
+    updateDiffStatus() {
+        const total = this.diff.changes.length;
+        const pending = this.diff.pending.length;
+
+        if (total === 0) {
+            this.elements.diffStatus.textContent = 'no differences';
+        } else if (pending === 0) {
+            this.elements.diffStatus.textContent = `all ${total} changes accepted`;
+        } else {
+            this.elements.diffStatus.textContent = `change ${this.diff.current + 1} of ${pending} to review`;
+        }
+
+        for (const button of ['diffPrevBtn', 'diffNextBtn', 'diffAcceptBtn', 'diffRejectBtn']) {
+            this.elements[button].disabled = pending === 0;
+        }
+        this.elements.diffUploadBtn.disabled = this.elements.uploadBtn.disabled;
+    }
+
+    // Open the active device's stored userscript in a new buffer, e.g. to
+    // recover a script that only exists on a module
+    async pullFromDevice() {
+        const session = this.activeSession;
+        if (!session.isConnected) return;
+
+        session.printLine(`Reading script from ${session.name}...`);
+        try {
+            const code = ScriptTransfer.normalize(await session.readScript());
+            if (!code || DeviceSession.NO_SCRIPT_PATTERN.test(code)) {
+                session.printLine(`No script stored on ${session.name}\n`);
+                return;
+            }
+
+            const name = `${session.name.replace(/\s+/g, '-')}.lua`;
+            if (this.openInEditor(name, code + '\n', true)) {
+                session.printLine(`Opened ${name} (${LuaMinifier.byteLength(code)} bytes)\n`);
+            }
+        } catch (error) {
+            session.printLine(`Pull failed: ${error.message}\n`);
+        }
+    }
+
+    // What run and upload send: the editor's script, or in project mode the
+    // project bundled from its main file. Returns null if bundling failed.
+    buildScript() {
+        if (!this.projectMode) {
+            return { name: this.scriptName, code: this.editor.getValue(), mapLine: null };
+        }
+
+        try {
+            const bundle = this.project.bundle();
+            return { name: this.project.main, code: bundle.code, mapLine: bundle.mapLine };
+        } catch (error) {
+            this.outputLine(`Error: ${error.message}`);
+            return null;
+        }
+    }
+
+    // Send a whole script ({ name, code, mapLine }) between ^^s and either ^^e
+    // (run from RAM, leaving the stored userscript alone) or ^^w (write to flash,
+    // then run). Throws with crow's own message if the device reports a problem.
+    // mapLine (from LuaBundler) points crow's error lines back at the project's files.
+    async sendScript(session, script, persist) {
+        const prepared = this.prepareScript(session, script.code);
+        const code = prepared.code;
+        // Minified code has no line structure left to map
+        session.mapLine = prepared.minified ? null : (script.mapLine || null);
+
+        const transfer = new ScriptTransfer(session, code, {
+            persist,
+            onProgress: (fraction) => {
+                if (session === this.activeSession) {
+                    this.setTransferProgress(fraction);
+                }
+            }
+        });
+
+        session.transferInProgress = true;
+        let result;
+        try {
+            result = await transfer.run();
+        } catch (error) {
+            if (session.mapLine) {
+                error.message = LuaBundler.mapErrors(error.message, session.mapLine);
+            }
+            throw error;
+        } finally {
+            session.transferInProgress = false;
+            if (session === this.activeSession) {
+                this.setTransferProgress(null);
+            }
+        }
+
+        if (persist) {
+            this.recordRevision(script, session);
+        }
+        if (session === this.activeSession) {
+            await this.discoverPublicParams();
+        }
+        return { ...result, originalBytes: prepared.originalBytes };
+    }
+
+    // Optionally minify, then check the result against crow's script buffer before ^^s.
+    // Only the returned text is sent; the editor keeps the original source.
+    prepareScript(session, code) {
+        const originalBytes = LuaMinifier.byteLength(code);
+        let minified = false;
+
+        if (this.minifyEnabled) {
+            try {
+                code = LuaMinifier.minify(code);
+                minified = true;
+            } catch (error) {
+                session.printLine(`Minify skipped: ${error.message}`);
+            }
+        }
+
+        const bytes = LuaMinifier.byteLength(code);
+        const limit = ScriptTransfer.DEVICE_LIMIT;
+        if (bytes > limit) {
+            const hint = this.minifyEnabled ? '' : ' (try enabling minify)';
+            session.printLine(`Warning: script is ${bytes} bytes, over the device limit of ${limit} bytes${hint}`);
+        } else if (bytes > limit * 0.9) {
+            session.printLine(`Warning: script uses ${Math.round(bytes / limit * 100)}% of the device's ${limit} byte limit`);
+        }
+
+        return { code, minified, originalBytes: minified ? originalBytes : null };
+    }
+
+    scheduleScriptSizeUpdate() {
+        // Minifying on every keystroke is wasteful; wait for a pause in typing
+        clearTimeout(this.scriptSizeTimer);
+        this.scriptSizeTimer = setTimeout(() => this.updateScriptSize(), 300);
+    }
+
+    // Show how much of crow's script buffer the upload would use
+    updateScriptSize() {
+        if (!this.editor) return;
+
+        let code = this.editor.getValue();
+        if (this.projectMode) {
+            try {
+                code = this.project.bundle().code;
+            } catch (error) {
+                // Unresolved requires are reported on run; size the open file meanwhile
+            }
+        }
+
+        let bytes = LuaMinifier.byteLength(code);
+        if (this.minifyEnabled) {
+            try {
+                bytes = LuaMinifier.byteLength(LuaMinifier.minify(code));
+            } catch (error) {
+                // Syntax errors are already marked in the editor; show the raw size
+            }
+        }
+
+        const limit = ScriptTransfer.DEVICE_LIMIT;
+        const sizeEl = this.elements.scriptSize;
+        sizeEl.textContent = `${(bytes / 1024).toFixed(1)} / ${limit / 1024} KB`;
+        sizeEl.title = `${bytes} of ${limit} bytes${this.minifyEnabled ? ' after minify' : ''}`;
+        sizeEl.classList.toggle('warning', bytes > limit * 0.9 && bytes <= limit);
+        sizeEl.classList.toggle('over', bytes > limit);
+    }
+
+    // Show the active tab's transfer progress (0-1), or hide the bar with null
+    setTransferProgress(fraction) {
+        const hidden = fraction === null;
+        this.elements.transferProgress.classList.toggle('hidden', hidden);
+        if (!hidden) {
+            this.elements.transferProgressBar.style.width = `${Math.round(fraction * 100)}%`;
+        }
+    }
+
+    describeTransfer(result) {
+        const parts = [`${result.bytes} bytes`];
+        if (result.originalBytes) {
+            parts.push(`minified from ${result.originalBytes}`);
+        }
+        if (result.verified) {
+            parts.push('verified');
+        }
+        return parts.join(', ');
+    }
+
+    setupProject() {
+        this.project = new ScriptProject(this.elements.projectFiles);
+        this.project.onSelect = (name, model) => {
+            this.closeDiff();
+            this.editor.setModel(model);
+            this.scriptName = name;
+            this.scriptModified = this.modifiedModels.has(model);
+            this.updateScriptName();
+            this.validateLuaSyntax();
+            this.updateScriptSize();
+            this.scheduleAutosave();
+        };
+        this.project.onChange = () => {
+            this.scheduleScriptSizeUpdate();
+            this.scheduleAutosave();
+        };
+    }
+
+    // Project mode: a sidebar of files that run / upload bundle from the main file
+    toggleProject(show = !this.projectMode) {
+        if (!this.project) return;
+
+        if (!show && this.project.files.size > 1) {
+            if (!confirm(`Close the project? Only ${this.scriptName} stays open in the editor.`)) {
+                return;
+            }
+        }
+
+        this.projectMode = show;
+        if (show) {
+            // The open script becomes the project's first (and main) file
+            this.project.add(this.scriptName, null, this.editor.getModel());
+            if (this.currentFile) {
+                this.project.handles.set(this.scriptName, this.currentFile);
+            }
+            this.project.select(this.scriptName);
+        } else {
+            this.currentFile = this.project.handles.get(this.scriptName) || null;
+            this.project.close(this.scriptName);
+        }
+
+        this.elements.projectSidebar.classList.toggle('hidden', !show);
+        this.elements.projectBtn.classList.toggle('active', show);
+        this.elements.fileInput.multiple = show;
+        this.updateScriptSize();
+    }
+
+    // Add a file to the project and open it
+    addProjectFile(name, text) {
+        this.project.add(name, text);
+        this.project.select(name);
+    }
+
+    newScript() {
+        if (this.projectMode) {
+            const name = prompt('New file (require it from another file as its name without .lua):', 'lib.lua');
+            if (!name || !name.trim()) return;
+
+            const fileName = name.trim().endsWith('.lua') ? name.trim() : `${name.trim()}.lua`;
+            if (this.project.files.has(fileName)) {
+                this.outputLine(`Error: ${fileName} is already in the project`);
+                return;
+            }
+            this.addProjectFile(fileName, `-- ${fileName}\n\nlocal M = {}\n\nreturn M\n`);
+            return;
+        }
+
+        if (this.scriptModified) {
+            if (!confirm('You have unsaved changes. Create new script anyway?')) {
+                return;
+            }
         }
+        
+        this.scriptName = 'untitled.lua';
+        this.currentFile = null;
+        this.editor.setValue('-- crow script\n\nfunction init()\n  print("hello crow")\nend\n');
+        this.setModified(false);
+        this.updateScriptName();
     }
 
-    async toggleConnection() {
-        if (this.crow.isConnected) {
-            await this.disconnect();
-        } else {
-            await this.connect();
+    // Open with the File System Access API where available so save can write back in place
+    async openScript() {
+        if (!('showOpenFilePicker' in window)) {
+            this.elements.fileInput.click();
+            return;
         }
-    }
 
-    async connect() {
-        this.outputLine('Connecting to crow...');
-        const success = await this.crow.connect();
-        if (success) {
-            this.outputLine('Connected! Ready to code.\nDrag and drop a lua file here to auto-upload.\n');
+        let handles;
+        try {
+            handles = await window.showOpenFilePicker({
+                types: DruidApp.LUA_FILE_TYPES,
+                multiple: this.projectMode
+            });
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                this.outputLine(`Error: ${error.message}`);
+            }
+            return;
         }
-    }
 
-    async disconnect() {
-        await this.crow.disconnect();
-        this.outputLine('\nDisconnected from crow.\n');
+        for (const handle of handles) {
+            await this.openFileHandle(handle);
+        }
     }
 
-    handleConnectionChange(connected, error) {
-        this.elements.runBtn.disabled = !connected;
-        this.elements.uploadBtn.disabled = !connected;
+    async openFileHandle(handle, name = handle.name) {
+        try {
+            const file = await handle.getFile();
+            if (!this.openInEditor(name, await file.text())) return;
 
-        if (connected) {
-            this.elements.connectionBtn.textContent = 'disconnect';
-            this.elements.replStatusIndicator.classList.add('connected');
-            this.elements.replStatusText.textContent = 'connected';
-            
-            // Focus the appropriate input
-            if (this.replAutocompleteEnabled && this.replEditor) {
-                this.replEditor.focus();
+            if (this.projectMode) {
+                this.project.handles.set(name, handle);
             } else {
-                this.elements.replInput.focus();
+                this.currentFile = handle;
             }
-        } else {
-            this.elements.connectionBtn.textContent = 'connect';
-            this.elements.replStatusIndicator.classList.remove('connected');
-            const statusMsg = error || 'not connected';
-            this.elements.replStatusText.textContent = statusMsg;
-            
-            // Show disconnection message in REPL
-            if (error && error.includes('disconnected')) {
-                this.outputLine(`\n${error}`);
+            this.diskTimes.set(handle, file.lastModified);
+            this.watchDisk();
+            if (this.workspace) {
+                this.workspace.setActive(name);
             }
+        } catch (error) {
+            this.outputLine(`Error opening ${name}: ${error.message}`);
         }
     }
 
-    handleCrowOutput(data) {
-        const cleaned = data.replace(/\r/g, '');
-        this.outputText(cleaned);
+    // The disk handle behind the script in the editor, if any
+    activeFileHandle() {
+        if (this.projectMode) {
+            return this.project.handles.get(this.scriptName) || null;
+        }
+        return this.currentFile;
     }
 
-    async runScript() {
-        if (!this.crow.isConnected || !this.editor) return;
-        
-        this.outputLine(`Running ${this.scriptName}...`);
-        const code = this.editor.getValue();
-        
+    async writeFileHandle(handle, text) {
+        const writable = await handle.createWritable();
+        await writable.write(text);
+        await writable.close();
+        // Remember our own write so the disk watcher doesn't reload it
+        this.diskTimes.set(handle, (await handle.getFile()).lastModified);
+        this.watchDisk();
+    }
+
+    async saveScriptAs() {
+        if (!this.editor) return;
+
+        if (!('showSaveFilePicker' in window)) {
+            this.downloadScript();
+            return;
+        }
+
         try {
-            await this.crow.writeLine('^^s'); // start script upload
-            await this.delay(200);
-            
-            const lines = code.split('\n');
-            for (const line of lines) {
-                await this.crow.writeLine(line);
-                await this.delay(1);
+            const handle = await window.showSaveFilePicker({
+                suggestedName: this.scriptName.split('/').pop(),
+                types: DruidApp.LUA_FILE_TYPES
+            });
+            await this.writeFileHandle(handle, this.editor.getValue());
+
+            if (this.projectMode) {
+                // Keep the project's name (require paths depend on it); just point it at the new file
+                this.project.handles.set(this.scriptName, handle);
+            } else {
+                this.currentFile = handle;
+                this.scriptName = handle.name;
             }
-            
-            await this.crow.writeLine('^^w'); // execute script
-            await this.delay(100);
-            this.outputLine(`Ran ${this.scriptName}\n`);
+            this.setModified(false);
+            this.outputLine(`Saved ${handle.name}`);
         } catch (error) {
-            this.outputLine(`Run error: ${error.message}\n`);
+            if (error.name !== 'AbortError') {
+                this.outputLine(`Error: could not save: ${error.message}`);
+            }
         }
     }
 
-    async uploadScript() {
-        if (!this.crow.isConnected || !this.editor) return;
-        
-        this.outputLine(`Uploading ${this.scriptName}...`);
-        const code = this.editor.getValue();
-        
+    async openFolder() {
+        if (!('showDirectoryPicker' in window)) {
+            this.outputLine('Error: Opening folders needs a browser with the File System Access API (Chrome, Edge)');
+            return;
+        }
+
         try {
-            await this.crow.writeLine('^^s'); // start script upload
-            await this.delay(200);
-            
-            const lines = code.split('\n');
-            for (const line of lines) {
-                await this.crow.writeLine(line);
-                await this.delay(1);
-            }
-            
-            await this.crow.writeLine('^^w'); // write to flash
-            await this.delay(100);
-            this.setModified(false);
+            const directory = await window.showDirectoryPicker({ mode: 'readwrite' });
+            this.workspace = new FolderWorkspace(this.elements.workspaceFiles, directory);
+            this.workspace.onOpen = (path, handle) => this.openFileHandle(handle, path);
+            await this.workspace.scan();
+
+            this.elements.workspaceName.textContent = this.workspace.name;
+            this.elements.workspaceSidebar.classList.remove('hidden');
+            this.watchDisk();
         } catch (error) {
-            this.outputLine(`Upload error: ${error.message}\n`);
+            if (error.name !== 'AbortError') {
+                this.outputLine(`Error: ${error.message}`);
+            }
         }
     }
 
-    newScript() {
-        if (this.scriptModified) {
-            if (!confirm('You have unsaved changes. Create new script anyway?')) {
+    closeFolder() {
+        this.workspace = null;
+        this.elements.workspaceSidebar.classList.add('hidden');
+    }
+
+    // Poll open files (and the open folder) for changes made by other editors
+    watchDisk() {
+        if (this.diskPollTimer) return;
+        this.diskPollTimer = setInterval(() => this.checkDiskChanges(), DruidApp.DISK_POLL_INTERVAL);
+    }
+
+    async checkDiskChanges() {
+        if (this.checkingDisk || !this.editor) return;
+        this.checkingDisk = true;
+
+        try {
+            const open = this.projectMode
+                ? [...this.project.handles]
+                : (this.currentFile ? [[this.scriptName, this.currentFile]] : []);
+            if (open.length === 0 && !this.workspace) {
+                // Nothing left to watch until another file or folder is opened
+                clearInterval(this.diskPollTimer);
+                this.diskPollTimer = null;
                 return;
             }
+
+            for (const [name, handle] of open) {
+                let file;
+                try {
+                    file = await handle.getFile();
+                } catch (error) {
+                    // Deleted or permission revoked; keep the buffer as it is
+                    continue;
+                }
+                if (file.lastModified === this.diskTimes.get(handle)) continue;
+
+                this.diskTimes.set(handle, file.lastModified);
+                await this.reloadFromDisk(name, await file.text());
+            }
+
+            if (this.workspace) {
+                await this.workspace.scan();
+            }
+        } finally {
+            this.checkingDisk = false;
         }
-        
-        this.scriptName = 'untitled.lua';
-        this.currentFile = null;
-        this.editor.setValue('-- crow script\n\nfunction init()\n  print("hello crow")\nend\n');
-        this.setModified(false);
-        this.updateScriptName();
     }
 
-    openScript() {
-        this.elements.fileInput.click();
+    async reloadFromDisk(name, text) {
+        const active = name === this.scriptName;
+        const model = this.projectMode ? this.project.files.get(name) : this.editor.getModel();
+        if (!model || model.getValue() === text) return;
+
+        if (this.modifiedModels.has(model) && !confirm(`${name} changed on disk. Reload it and discard your changes?`)) {
+            return;
+        }
+
+        model.setValue(text);
+        this.modifiedModels.delete(model);
+        if (active) {
+            this.setModified(false);
+        }
+        this.outputLine(`Reloaded ${name} (changed on disk)`);
     }
 
     async handleFileSelect(e) {
+        if (this.projectMode) {
+            for (const file of e.target.files) {
+                this.addProjectFile(file.name, await file.text());
+            }
+            this.elements.fileInput.value = '';
+            return;
+        }
+
         const file = e.target.files[0];
         if (!file) return;
 
         const content = await file.text();
         this.scriptName = file.name;
-        this.currentFile = file;
+        // A picked File can't be written back; save goes to the library instead
+        this.currentFile = null;
         this.editor.setValue(content);
         this.setModified(false);
         this.updateScriptName();
@@ -1675,7 +6779,38 @@ class DruidApp {
         this.elements.fileInput.value = '';
     }
 
-    saveScript() {
+    // Write back to the file on disk if it was opened from one, otherwise
+    // save to the local library under its name
+    async saveScript() {
+        if (!this.editor) return;
+
+        const handle = this.activeFileHandle();
+        if (handle) {
+            try {
+                await this.writeFileHandle(handle, this.editor.getValue());
+                this.setModified(false);
+                this.outputLine(`Saved ${this.scriptName}`);
+            } catch (error) {
+                this.outputLine(`Error: could not save ${this.scriptName}: ${error.message}`);
+            }
+            return;
+        }
+
+        if (!this.library) {
+            this.downloadScript();
+            return;
+        }
+
+        try {
+            await this.library.save(this.scriptName, this.editor.getValue());
+            this.setModified(false);
+            this.outputLine(`Saved ${this.scriptName} to the library`);
+        } catch (error) {
+            this.outputLine(`Error: could not save to the library: ${error.message}`);
+        }
+    }
+
+    downloadScript() {
         if (!this.editor) return;
         
         const content = this.editor.getValue();
@@ -1690,21 +6825,125 @@ class DruidApp {
         this.setModified(false);
     }
 
+    scheduleAutosave() {
+        if (!this.library) return;
+
+        clearTimeout(this.autosaveTimer);
+        this.autosaveTimer = setTimeout(() => {
+            // A project is kept whole: every file, the main one and the one open
+            const project = this.projectMode ? {
+                files: [...this.project.files].map(([name, model]) => ({ name, text: model.getValue() })),
+                main: this.project.main,
+                active: this.project.active
+            } : null;
+            this.library.setAutosave(this.scriptName, this.editor.getValue(), project).catch((error) => {
+                console.warn('Autosave failed:', error);
+            });
+        }, 1000);
+    }
+
+    // Bring back whatever was in the editor when the page was last closed
+    async restoreAutosave() {
+        if (!this.library) return;
+
+        try {
+            const autosave = await this.library.getAutosave();
+            if (autosave && autosave.project) {
+                this.restoreProject(autosave.project);
+                return;
+            }
+            if (!autosave || autosave.code === this.editor.getValue()) return;
+
+            const saved = await this.library.get(autosave.name);
+            this.scriptName = autosave.name;
+            this.editor.setValue(autosave.code);
+            this.setModified(!saved || saved.code !== autosave.code);
+        } catch (error) {
+            console.warn('Could not restore autosave:', error);
+        }
+    }
+
+    // Reopen an autosaved project; its files have no disk handles, so they count as unsaved
+    restoreProject({ files, main, active }) {
+        const [first, ...rest] = files;
+        this.scriptName = first.name;
+        this.editor.setValue(first.text);
+        this.toggleProject(true);
+        for (const file of rest) {
+            this.project.add(file.name, file.text);
+        }
+        for (const model of this.project.files.values()) {
+            this.modifiedModels.add(model);
+        }
+        this.project.setMain(main);
+        this.project.select(active);
+    }
+
+    // Snapshot every upload to flash so earlier versions can be reopened from the library
+    recordRevision(script, session) {
+        if (!this.library) return;
+
+        this.library.addRevision(script.name, script.code, session.name).catch((error) => {
+            session.printLine(`Warning: could not record revision: ${error.message}`);
+        });
+    }
+
+    // Replace the open script (or add a project file) with `code`.
+    // Returns false if the user chose to keep unsaved changes.
+    openInEditor(name, code, modified = false) {
+        if (this.projectMode) {
+            this.addProjectFile(name, code);
+            return true;
+        }
+
+        if (this.scriptModified && !confirm('You have unsaved changes. Open anyway?')) {
+            return false;
+        }
+
+        this.scriptName = name;
+        this.currentFile = null;
+        this.editor.setValue(code);
+        this.setModified(modified);
+
+        if (!this.editorVisible) {
+            this.elements.toggleEditorBtn.checked = true;
+            this.toggleEditor(true);
+        }
+        return true;
+    }
+
     renameScript() {
         const currentName = this.scriptName.replace(' •', '');
         const newName = prompt('Rename script:', currentName);
         
         if (newName && newName.trim() && newName !== currentName) {
-            this.scriptName = newName.trim();
-            if (!this.scriptName.endsWith('.lua')) {
-                this.scriptName += '.lua';
+            let name = newName.trim();
+            if (!name.endsWith('.lua')) {
+                name += '.lua';
+            }
+            if (this.projectMode && !this.project.rename(currentName, name)) {
+                this.outputLine(`Error: ${name} is already in the project`);
+                return;
             }
+            if (!this.projectMode) {
+                // The disk file keeps its old name; save as writes the renamed copy
+                this.currentFile = null;
+            }
+            this.scriptName = name;
             this.updateScriptName();
         }
     }
 
     setModified(modified) {
         this.scriptModified = modified;
+        const model = this.editor && this.editor.getModel();
+        if (model) {
+            if (modified) {
+                this.modifiedModels.add(model);
+            } else {
+                this.modifiedModels.delete(model);
+            }
+        }
         this.updateScriptName();
     }
 
@@ -1788,13 +7027,13 @@ class DruidApp {
         this.outputLine(' crow commands:');
         this.outputLine(' ^^i          print identity');
         this.outputLine(' ^^v          print version');
-        this.outputLine(' ^^p          print current userscript');
+        this.outputLine(' ^^p          print current userscript (↓ pull opens it in the editor)');
         this.outputLine(' ^^r          restart crow');
         this.outputLine(' ^^k          kill running script');
         this.outputLine(' ^^c          clear userscript from flash');
         this.outputLine(' ^^b          enter bootloader mode');
         this.outputLine('');
-        this.outputHTML(' crow script reference: <a href="https://monome.org/docs/crow/reference" target="_blank">https://monome.org/docs/crow/reference</a>\n');
+        this.outputHTML(` crow script reference: <a href="${DruidApp.REFERENCE_URL}" target="_blank">${DruidApp.REFERENCE_URL}</a>\n`);
         this.outputLine('');
         this.outputHTML(' blackbird addendum: <a href="https://github.com/TomWhitwell/Workshop_Computer/tree/main/releases/41_blackbird/README.md" target="_blank">https://github.com/TomWhitwell/Workshop_Computer/tree/main/releases/41_blackbird/README.md</a>\n');
         this.outputLine('');
@@ -1864,6 +7103,11 @@ class DruidApp {
     async loadFileFromDrop(file) {
         try {
             const text = await file.text();
+            if (this.projectMode) {
+                this.addProjectFile(file.name, text);
+                this.outputLine(`Added ${file.name} to the project`);
+                return;
+            }
             this.scriptName = file.name;
             this.currentFile = null; // Reset file handle since this is drag-drop
             if (this.editor) {
@@ -1885,40 +7129,34 @@ class DruidApp {
 
         try {
             const text = await file.text();
-            this.outputLine(`Uploading ${file.name}...`);
-            
-            await this.crow.writeLine('^^s');
-            await this.delay(200);
-            
-            const lines = text.split('\\n');
-            for (const line of lines) {
-                await this.crow.writeLine(line);
-                await this.delay(1);
-            }
-            
-            await this.crow.writeLine('^^w');
-            await this.delay(100);
+            this.outputLine(`Uploading ${file.name} to flash...`);
+            const result = await this.sendScript(this.activeSession, { name: file.name, code: text }, true);
+            this.outputLine(`Uploaded ${file.name} (${this.describeTransfer(result)})\n`);
         } catch (error) {
-            this.outputLine(`Upload error: ${error.message}\\n`);
+            this.outputLine(`Upload failed: ${error.message}\n`);
         }
     }
 
     async sendToCrow(code) {
-        if (!this.crow.isConnected) {
+        const targets = this.targetSessions();
+        if (targets.length === 0) {
             this.outputLine('Error: Not connected to usb device (click connect in the header)');
             return;
         }
 
-        try {
-            const lines = code.split('\n');
-            for (const line of lines) {
-                await this.crow.writeLine(line);
-                await this.delay(1);
+        await Promise.all(targets.map(async (session) => {
+            try {
+                // Each line is evaluated on its own, so wait for the device between lines
+                const lines = code.split('\n');
+                for (const line of lines) {
+                    await session.crow.writeLine(line);
+                    await session.ping();
+                }
+                session.printLine(`>> ${code.replace(/\n/g, '\n>> ')}`);
+            } catch (error) {
+                session.printLine(`Error: ${error.message}`);
             }
-            this.outputLine(`>> ${code.replace(/\n/g, '\n>> ')}`);
-        } catch (error) {
-            this.outputLine(`Error: ${error.message}`);
-        }
+        }));
     }
 
     async openBoweryBrowser() {
@@ -1932,7 +7170,7 @@ class DruidApp {
         if (this.editorVisible) {
             this.elements.boweryAction.textContent = 'Select a script to load it into the editor';
         } else {
-            this.elements.boweryAction.textContent = 'Select a script to upload it directly to crow';
+            this.elements.boweryAction.textContent = 'Select a script to upload it to crow (saved to flash)';
         }
         
         try {
@@ -2045,29 +7283,153 @@ class DruidApp {
                     return;
                 }
                 
-                this.outputLine(`Uploading ${script.name}...`);
-                await this.crow.writeLine('^^s');
-                await this.delay(200);
-                
-                const lines = content.split('\n');
-                for (const line of lines) {
-                    await this.crow.writeLine(line);
-                    await this.delay(1);
-                }
-                
-                await this.crow.writeLine('^^w');
-                await this.delay(100);
+                this.outputLine(`Uploading ${script.name} to flash...`);
+                const result = await this.sendScript(this.activeSession, { name: script.name, code: content }, true);
+                this.outputLine(`Uploaded ${script.name} (${this.describeTransfer(result)})\n`);
+            }
+        } catch (error) {
+            this.outputLine(`Error: ${error.message}`);
+        }
+    }
+
+    async openLibrary() {
+        this.elements.libraryModal.style.display = 'flex';
+        this.elements.librarySearch.value = '';
+        this.elements.libraryList.innerHTML = '';
+
+        if (!this.library) {
+            this.elements.libraryList.innerHTML = '<div class="library-empty">This browser does not support IndexedDB, so scripts cannot be kept</div>';
+            return;
+        }
+
+        try {
+            this.libraryScripts = await this.library.list();
+            this.displayLibraryScripts(this.libraryScripts);
+        } catch (error) {
+            this.elements.libraryList.textContent = `Error loading library: ${error.message}`;
+        }
+    }
+
+    displayLibraryScripts(scripts) {
+        this.elements.libraryList.innerHTML = '';
+
+        if (scripts.length === 0) {
+            this.elements.libraryList.innerHTML = '<div class="library-empty">No scripts yet. Save a script or upload one to a device.</div>';
+            return;
+        }
+
+        scripts.forEach(script => {
+            const item = document.createElement('div');
+            item.className = 'bowery-item';
+
+            const name = document.createElement('div');
+            name.className = 'bowery-item-name';
+            name.textContent = script.name;
+
+            const info = document.createElement('div');
+            info.className = 'bowery-item-path';
+            const details = [script.saved ? `saved ${new Date(script.updated).toLocaleString()}` : 'not saved'];
+            if (script.revisions) {
+                details.push(`${script.revisions} upload${script.revisions === 1 ? '' : 's'}`);
             }
+            info.textContent = details.join(' · ');
+
+            const actions = document.createElement('div');
+            actions.className = 'library-item-actions';
+
+            const revisionsBtn = document.createElement('button');
+            revisionsBtn.textContent = 'revisions';
+            revisionsBtn.disabled = !script.revisions;
+
+            const deleteBtn = document.createElement('button');
+            deleteBtn.textContent = 'delete';
+
+            const revisions = document.createElement('div');
+            revisions.className = 'library-revisions hidden';
+
+            actions.appendChild(revisionsBtn);
+            actions.appendChild(deleteBtn);
+            item.appendChild(name);
+            item.appendChild(info);
+            item.appendChild(actions);
+            item.appendChild(revisions);
+
+            item.addEventListener('click', () => this.openLibraryScript(script));
+            revisionsBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.toggleLibraryRevisions(script, revisions);
+            });
+            deleteBtn.addEventListener('click', async (e) => {
+                e.stopPropagation();
+                if (!confirm(`Delete ${script.name} and all its revisions from the library?`)) return;
+                await this.library.remove(script.name);
+                this.libraryScripts = this.libraryScripts.filter(entry => entry !== script);
+                item.remove();
+            });
+
+            this.elements.libraryList.appendChild(item);
+        });
+    }
+
+    filterLibraryScripts(query) {
+        if (!this.libraryScripts) return;
+
+        const filtered = this.libraryScripts.filter(script => {
+            const searchText = `${script.name} ${script.code || ''}`.toLowerCase();
+            return searchText.includes(query.toLowerCase());
+        });
+
+        this.displayLibraryScripts(filtered);
+    }
+
+    // Saved copy if there is one, otherwise the last upload
+    async openLibraryScript(script) {
+        try {
+            const code = script.saved
+                ? (await this.library.get(script.name)).code
+                : (await this.library.latestRevision(script.name)).code;
+            this.elements.libraryModal.style.display = 'none';
+            this.openInEditor(script.name, code);
         } catch (error) {
             this.outputLine(`Error: ${error.message}`);
         }
     }
 
+    async toggleLibraryRevisions(script, container) {
+        if (!container.classList.contains('hidden')) {
+            container.classList.add('hidden');
+            return;
+        }
+
+        container.innerHTML = '';
+        for (const revision of await this.library.revisions(script.name)) {
+            const row = document.createElement('div');
+            row.className = 'library-revision';
+            row.textContent = `${new Date(revision.time).toLocaleString()} · ${revision.device} · ${LuaMinifier.byteLength(revision.code)} bytes`;
+            row.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.elements.libraryModal.style.display = 'none';
+                this.openInEditor(script.name, revision.code, true);
+            });
+            container.appendChild(row);
+        }
+        container.classList.remove('hidden');
+    }
+
     delay(ms) {
         return new Promise(resolve => setTimeout(resolve, ms));
     }
 }
 
+DruidApp.LUA_FILE_TYPES = [{ description: 'Lua scripts', accept: { 'text/x-lua': ['.lua'] } }];
+DruidApp.DISK_POLL_INTERVAL = 2000;
+DruidApp.MONITOR_POLL_INTERVAL = 250;
+DruidApp.MONITOR_REPLY_TIMEOUT = 1000;
+DruidApp.API_URL = 'crow-api.json';
+// Replies to the app's own polling and handshakes, kept off the bridge
+DruidApp.BRIDGE_QUIET_EVENTS = new Set(['monitor', 'bbmonitor', 'identity', 'version', 'tempo']);
+DruidApp.REFERENCE_URL = 'https://monome.org/docs/crow/reference';
+
 // Initialize app when page loads
 let druid;
 window.addEventListener('DOMContentLoaded', () => {
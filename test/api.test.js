@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadDruid } = require('./helpers');
+
+let api;
+let page;
+
+test.before(async () => {
+    page = await loadDruid();
+    api = await page.CrowApi.load('crow-api.json');
+});
+test.after(() => page.close());
+
+const insert = (name) => api.insertText(api.byName.get(name));
+
+test('settable properties complete as an assignment built from their type', () => {
+    assert.strictEqual(insert('output[n].volts'), 'output[${1:n}].volts = ${2:0}');
+    assert.strictEqual(insert('output[n].shape'), "output[${1:n}].shape = '${2:linear}'");
+    assert.strictEqual(insert('output[n].action'), 'output[${1:n}].action = ${2:lfo()}');
+    assert.strictEqual(insert('metro[n].count'), 'metro[${1:n}].count = ${2:-1}');
+    assert.strictEqual(insert('output[n].dyn'), 'output[${1:n}].dyn = ${2:{\\}}');
+    assert.strictEqual(insert('clock.tempo'), 'clock.tempo = ${1:120}');
+});
+
+test('read-only properties complete as just their name', () => {
+    assert.strictEqual(insert('input[n].volts'), 'input[${1:n}].volts');
+    assert.strictEqual(insert('bb.knob.main'), 'bb.knob.main');
+});
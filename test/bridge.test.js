@@ -0,0 +1,195 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const net = require('net');
+const { WebSocket } = require('ws');
+const { loadDruid, settle, until } = require('./helpers');
+const { FakeSerial, FakeCrow } = require('./fake-crow');
+const {
+    createBridge, followCarabiner, parseCarabinerStatus, allowedOrigin, PAGE_PATH, OSC_PATH, LINK_PATH
+} = require('../bridge');
+
+// A relay on a free port, closed (with its clients) when the test ends
+async function relay(t, setup = () => {}) {
+    const server = createBridge({ port: 0, host: '127.0.0.1', log: () => {} });
+    await new Promise(resolve => server.on('listening', resolve));
+    setup(server);
+    t.after(() => {
+        for (const client of server.clients) client.terminate();
+        server.close();
+    });
+    return `ws://127.0.0.1:${server.address().port}`;
+}
+
+// A tool on the relay that collects everything it is sent
+async function tool(t, url) {
+    const socket = new WebSocket(url);
+    const received = [];
+    const packets = [];
+    socket.on('message', (data, isBinary) => (isBinary ? packets : received).push(isBinary ? data : data.toString()));
+    await new Promise((resolve, reject) => {
+        socket.on('open', resolve);
+        socket.on('error', reject);
+    });
+    t.after(() => socket.terminate());
+    return { socket, packets, text: () => received.join('') };
+}
+
+// The app on a connected fake crow, with its bridge pointed at the relay
+async function start(t, url) {
+    const page = await loadDruid();
+    const serial = new FakeSerial();
+    const device = new FakeCrow();
+    device.respond(/^print\((.*)\)$/, (match) => match[1].replace(/^'(.*)'$/, '$1'));
+    serial.pick = device;
+
+    const app = new page.DruidApp({ serial });
+    await settle();
+    await app.connect();
+    await until(() => app.crow.isConnected);
+
+    app.bridge.start(`${url}${PAGE_PATH}`);
+    await until(() => app.bridge.isOpen);
+    t.after(() => {
+        app.bridge.stop();
+        page.close();
+    });
+    return { page, app, device, output: () => app.activeSession.output.textContent };
+}
+
+test('allowedOrigin accepts tools and local pages only', () => {
+    assert.strictEqual(allowedOrigin(undefined, []), true);
+    assert.strictEqual(allowedOrigin('http://localhost:8000', []), true);
+    assert.strictEqual(allowedOrigin('http://127.0.0.1', []), true);
+    assert.strictEqual(allowedOrigin('https://evil.example', []), false);
+    assert.strictEqual(allowedOrigin('https://monome.github.io', ['https://monome.github.io']), true);
+    assert.strictEqual(allowedOrigin('not a url', []), false);
+});
+
+test('a tool is told when no page is connected', async (t) => {
+    const url = await relay(t);
+    const { socket, text } = await tool(t, url);
+
+    socket.send('print(1)');
+    await until(() => text().length > 0);
+    assert.match(text(), /no druid web page is connected/);
+});
+
+test('lua from a tool reaches the device and its output comes back', async (t) => {
+    const url = await relay(t);
+    const { app, device, output } = await start(t, url);
+    const { socket, text } = await tool(t, url);
+
+    socket.send(`print('from tool')\nprint('second')`);
+    await until(() => text().includes('second'));
+
+    assert.ok(device.received.includes(`print('from tool')`));
+    assert.ok(device.received.includes(`print('second')`));
+    assert.match(text(), /from tool/);
+    assert.match(output(), /bridge >> print\('from tool'\)/);
+    assert.strictEqual(app.elements.bridgeBtn.classList.contains('active'), true);
+});
+
+test('script messages are relayed but the app\'s polling replies are not', async (t) => {
+    const url = await relay(t);
+    const { device } = await start(t, url);
+    const { text } = await tool(t, url);
+
+    device.print(`^^identity('0x0000c0ffee')`);
+    device.print('^^stream(1, 2.5)');
+    await until(() => text().includes('^^stream'));
+    assert.doesNotMatch(text(), /identity/);
+});
+
+test('a second page takes the bridge over and the first stops retrying', async (t) => {
+    const url = await relay(t);
+    const first = await start(t, url);
+    const second = await start(t, url);
+
+    await until(() => !first.app.bridge.enabled);
+    assert.match(first.app.elements.bridgeStatus.textContent, /took over/);
+    assert.strictEqual(second.app.bridge.isOpen, true);
+});
+
+test('a tool is told when the device is not connected', async (t) => {
+    const url = await relay(t);
+    const { app } = await start(t, url);
+    const { socket, text } = await tool(t, url);
+
+    await app.toggleConnection();
+    socket.send('print(1)');
+    await until(() => text().includes('not connected'));
+});
+
+test('OSC tools set outputs and params and get events back as OSC', async (t) => {
+    const url = await relay(t);
+    const { page, device, output } = await start(t, url);
+    const osc = await tool(t, `${url}${OSC_PATH}`);
+    const text = await tool(t, url);
+    const { OscBridge } = page;
+    const send = (address, ...args) => osc.socket.send(Buffer.from(OscBridge.encode(address, args)));
+    const decoded = () => osc.packets.flatMap(packet => OscBridge.decode(packet));
+
+    send('/crow/out/1/volts', 2.5);
+    send('/crow/public/rate', 4);
+    send('/crow/eval', `print('lit')`);
+    await until(() => device.received.includes(`print('lit')`));
+    assert.ok(device.received.includes('output[1].volts = 2.5'));
+    assert.ok(device.received.includes('public.rate = 4'));
+    assert.match(output(), /osc >> print\('lit'\)/);
+    assert.doesNotMatch(output(), /osc >> output/);
+
+    device.print('^^stream(1, 3)');
+    device.print(`^^pupdate('rate', 4)`);
+    await until(() => decoded().length >= 2);
+    assert.deepEqual(decoded(), [
+        { address: '/crow/in/1/volts', args: [3] },
+        { address: '/crow/public/rate', args: [4] }
+    ]);
+    // Text tools keep getting text only
+    assert.match(text.text(), /\^\^stream\(1, 3\)/);
+    assert.strictEqual(text.packets.length, 0);
+
+    send('/crow/fly');
+    await until(() => decoded().length === 3);
+    assert.deepEqual(decoded()[2], { address: '/crow/error', args: ['unknown address /crow/fly'] });
+});
+
+test('tempo published on /link reaches the other /link clients', async (t) => {
+    const url = await relay(t);
+    const source = await tool(t, `${url}${LINK_PATH}`);
+    const follower = await tool(t, `${url}${LINK_PATH}`);
+
+    source.socket.send('{"bpm": 128, "beat": 4, "peers": 1}');
+    await until(() => follower.text().length > 0);
+    assert.strictEqual(follower.text(), '{"bpm": 128, "beat": 4, "peers": 1}');
+    assert.strictEqual(source.text(), '');
+});
+
+test('parseCarabinerStatus reads the Link state from a status line', () => {
+    assert.deepEqual(parseCarabinerStatus('status { :peers 2 :bpm 121.500000 :start 73743731220 :beat 597.737570 }'),
+        { bpm: 121.5, beat: 597.73757, peers: 2 });
+    assert.strictEqual(parseCarabinerStatus('bad-command "x"'), null);
+    assert.strictEqual(parseCarabinerStatus('status { :peers 0 }'), null);
+});
+
+test('--carabiner polls Carabiner and publishes its Link session on /link', async (t) => {
+    // Carabiner answers each status request with the session state
+    const carabiner = net.createServer((socket) => {
+        socket.setEncoding('utf8');
+        socket.on('data', (text) => {
+            for (const line of text.split('\n')) {
+                if (line === 'status') socket.write('status { :peers 1 :bpm 90.000000 :start 1 :beat 8.250000 }\n');
+            }
+        });
+    });
+    await new Promise(resolve => carabiner.listen(0, '127.0.0.1', resolve));
+    t.after(() => carabiner.close());
+
+    const url = await relay(t, (server) => {
+        followCarabiner(server, { host: '127.0.0.1', port: carabiner.address().port, log: () => {} });
+    });
+    const follower = await tool(t, `${url}${LINK_PATH}`);
+
+    await until(() => follower.text().length > 0);
+    assert.strictEqual(follower.text().split('}')[0] + '}', '{"bpm":90,"beat":8.25,"peers":1}');
+});
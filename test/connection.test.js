@@ -0,0 +1,155 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadDruid, settle, until, quietly } = require('./helpers');
+const { FakeSerial, FakeCrow } = require('./fake-crow');
+
+let CrowConnection;
+let page;
+
+test.before(async () => {
+    page = await loadDruid();
+    ({ CrowConnection } = page);
+    CrowConnection.RECONNECT_INTERVAL = 10;
+});
+test.after(() => page.close());
+
+// A connection whose callbacks are recorded
+function connection(serial) {
+    const crow = new CrowConnection(serial);
+    crow.changes = [];
+    crow.text = '';
+    crow.onConnectionChange = (connected, message) => crow.changes.push([connected, message]);
+    crow.onDataReceived = (data) => {
+        crow.text += data;
+    };
+    return crow;
+}
+
+test('connect opens the port picked in the browser dialog', async () => {
+    const serial = new FakeSerial();
+    const device = new FakeCrow();
+    serial.pick = device;
+
+    const crow = connection(serial);
+    assert.strictEqual(await crow.connect(), true);
+    assert.strictEqual(crow.isConnected, true);
+    assert.strictEqual(device.isOpen, true);
+    assert.deepEqual(crow.changes, [[true, undefined]]);
+
+    await crow.writeLine('^^i');
+    await until(() => crow.text.includes('^^identity'));
+    assert.deepEqual(device.received, ['^^i']);
+
+    await crow.disconnect();
+});
+
+test('cancelling the picker reports the error and stays disconnected', async () => {
+    const crow = connection(new FakeSerial());
+    assert.strictEqual(await quietly(() => crow.connect()), false);
+    assert.strictEqual(crow.isConnected, false);
+    assert.deepEqual(crow.changes, [[false, 'No port selected by the user.']]);
+});
+
+test('a connection without Web Serial fails instead of throwing', async () => {
+    const crow = connection(null);
+    assert.strictEqual(await quietly(() => crow.connect()), false);
+    assert.strictEqual(await crow.autoConnect(), false);
+    assert.match(crow.changes[0][1], /not supported/);
+});
+
+test('disconnect closes the port and frees it for another connection', async () => {
+    const serial = new FakeSerial();
+    const device = new FakeCrow();
+    serial.pick = device;
+
+    const first = connection(serial);
+    await first.connect();
+    const second = connection(serial);
+    assert.strictEqual(await second.autoConnect(), false, 'an open port is not handed out twice');
+
+    await first.disconnect();
+    assert.strictEqual(first.isConnected, false);
+    assert.strictEqual(device.isOpen, false);
+    assert.deepEqual(first.changes.at(-1), [false, undefined]);
+    await assert.rejects(first.writeLine('print(1)'), /Not connected/);
+
+    assert.strictEqual(await second.autoConnect(), true);
+    await second.disconnect();
+});
+
+test('autoConnect reopens a port granted earlier without the picker', async () => {
+    const serial = new FakeSerial();
+    const device = new FakeCrow();
+    serial.grant(device);
+
+    const crow = connection(serial);
+    assert.strictEqual(await crow.autoConnect(), true);
+    assert.strictEqual(device.isOpen, true);
+    await crow.disconnect();
+});
+
+test('a read error reconnects to the same port', async () => {
+    const serial = new FakeSerial();
+    const device = new FakeCrow();
+    serial.pick = device;
+
+    const crow = connection(serial);
+    await crow.connect();
+
+    await quietly(async () => {
+        device.lose();
+        await until(() => crow.changes.some(([, message]) => message === 'reconnecting...'));
+        await until(() => crow.isConnected);
+    });
+
+    assert.strictEqual(crow.isReconnecting, false);
+    await crow.writeLine('^^v');
+    await until(() => crow.text.includes('^^version'));
+    await crow.disconnect();
+});
+
+test('an unplugged device is reattached when it is plugged back in', async () => {
+    const serial = new FakeSerial();
+    const device = new FakeCrow();
+    serial.pick = device;
+
+    const crow = connection(serial);
+    await crow.connect();
+
+    await quietly(async () => {
+        serial.unplug(device);
+        await until(() => !crow.isConnected && crow.isReconnecting);
+        await settle(50);
+    });
+    assert.strictEqual(crow.isConnected, false, 'nothing to reopen while unplugged');
+
+    const replugged = new FakeCrow();
+    serial.plug(replugged);
+    await until(() => crow.isConnected);
+    assert.strictEqual(replugged.isOpen, true);
+    await crow.disconnect();
+});
+
+test('reconnecting gives up after RECONNECT_ATTEMPTS and reports the device disconnected', async () => {
+    const serial = new FakeSerial();
+    const device = new FakeCrow();
+    serial.pick = device;
+
+    const crow = connection(serial);
+    await crow.connect();
+
+    // The read fails and the port never comes back, with no disconnect event to say so
+    await quietly(async () => {
+        device.plugged = false;
+        device.lose();
+        await until(() => crow.isReconnecting);
+        await until(() => !crow.isReconnecting);
+    });
+    assert.strictEqual(crow.isConnected, false);
+    assert.deepEqual(crow.changes.at(-1), [false, 'device disconnected. please reconnect > ']);
+
+    // A device plugged in afterwards waits for connect
+    serial.plug(new FakeCrow());
+    await settle(50);
+    assert.strictEqual(crow.isConnected, false);
+});
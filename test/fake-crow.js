@@ -0,0 +1,202 @@
+/**
+ * Stand-ins for the Web Serial API and a crow on the other end of it
+ * FakeSerial is passed to CrowConnection / DruidApp in place of navigator.serial;
+ * FakeCrow is a port that answers ^^ commands and REPL lines like the firmware.
+ */
+
+class FakeSerial {
+    constructor() {
+        this.granted = [];
+        this.listeners = { connect: [], disconnect: [] };
+        // The port the next requestPort() picker "selects"; null cancels it
+        this.pick = null;
+    }
+
+    addEventListener(type, listener) {
+        if (this.listeners[type]) {
+            this.listeners[type].push(listener);
+        }
+    }
+
+    async requestPort() {
+        if (!this.pick) {
+            throw new Error('No port selected by the user.');
+        }
+        const port = this.pick;
+        this.grant(port);
+        return port;
+    }
+
+    async getPorts() {
+        return this.granted.filter(port => port.plugged);
+    }
+
+    // A port the user allowed in an earlier session, as getPorts() reports it
+    grant(port) {
+        if (!this.granted.includes(port)) {
+            this.granted.push(port);
+        }
+    }
+
+    // Plug a device (back) in: fires 'connect' like the browser does
+    plug(port) {
+        this.grant(port);
+        port.plugged = true;
+        this.emit('connect', port);
+    }
+
+    // Pull the cable: the read fails, then 'disconnect' fires
+    unplug(port) {
+        port.plugged = false;
+        port.lose();
+        this.emit('disconnect', port);
+    }
+
+    emit(type, port) {
+        for (const listener of this.listeners[type]) {
+            listener({ type, target: port });
+        }
+    }
+}
+
+class FakeCrow {
+    constructor({ identity = '0x0000c0ffee', version = 'v4.0.4', script = null } = {}) {
+        this.identity = identity;
+        this.version = version;
+        this.script = script;       // what ^^p prints; null for an empty flash
+        this.plugged = true;
+        this.isOpen = false;
+        this.received = [];         // every line written to the device
+        this.ran = null;            // the last script received with ^^e
+        this.loadError = null;      // printed instead of running the next upload
+        this.responders = [];
+        this.upload = null;
+        this.partial = '';
+        this.controller = null;
+    }
+
+    getInfo() {
+        return { usbVendorId: 0xCAFE, usbProductId: 0x1101 };
+    }
+
+    async open() {
+        if (!this.plugged) throw new Error('The device has been lost.');
+        if (this.isOpen) throw new Error('The port is already open.');
+
+        this.isOpen = true;
+        this.partial = '';
+        this.upload = null;
+
+        this.readable = new ReadableStream({
+            start: (controller) => {
+                this.controller = controller;
+            }
+        });
+        const decoder = new TextDecoder();
+        this.writable = new WritableStream({
+            write: (chunk) => this.receive(decoder.decode(chunk, { stream: true }))
+        });
+    }
+
+    async close() {
+        this.isOpen = false;
+        this.controller = null;
+    }
+
+    // The read side fails as it does on a cable glitch
+    lose() {
+        if (this.controller) {
+            this.controller.error(new Error('The device has been lost.'));
+            this.controller = null;
+        }
+    }
+
+    // Answer REPL lines matching pattern; reply is text or (match, crow) => text.
+    // Later responders win, and they are checked before the built-in commands.
+    respond(pattern, reply) {
+        this.responders.unshift({ pattern, reply });
+    }
+
+    // Send raw text to the host
+    send(text) {
+        if (this.controller) {
+            this.controller.enqueue(new TextEncoder().encode(text));
+        }
+    }
+
+    print(line) {
+        this.send(`${line}\r\n`);
+    }
+
+    receive(text) {
+        this.partial += text;
+        let newline;
+        while ((newline = this.partial.indexOf('\n')) !== -1) {
+            const line = this.partial.substring(0, newline).replace(/\r$/, '');
+            this.partial = this.partial.substring(newline + 1);
+
+            // Like the firmware, ^^ commands are picked out of the middle of an upload
+            const command = line.match(/\^\^(\w)\s*$/);
+            if (command && command.index > 0 && this.upload !== null) {
+                this.upload += line.substring(0, command.index);
+                this.line(`^^${command[1]}`);
+            } else {
+                this.line(line);
+            }
+        }
+    }
+
+    line(line) {
+        this.received.push(line);
+
+        for (const { pattern, reply } of this.responders) {
+            const match = line.match(pattern);
+            if (match) {
+                const text = typeof reply === 'function' ? reply(match, this) : reply;
+                if (text !== undefined && text !== null) this.print(text);
+                return;
+            }
+        }
+
+        if (/^\^\^\w$/.test(line)) {
+            this.command(line[2]);
+        } else if (this.upload !== null) {
+            this.upload += `${line}\n`;
+        }
+    }
+
+    command(letter) {
+        switch (letter) {
+            case 'i':
+                this.print(`^^identity('${this.identity}')`);
+                break;
+            case 'v':
+                this.print(`^^version('${this.version}')`);
+                break;
+            case 's':
+                this.upload = '';
+                break;
+            case 'e':
+            case 'w':
+                if (this.upload === null) break;
+                if (this.loadError) {
+                    this.print(this.loadError);
+                } else if (letter === 'e') {
+                    this.ran = this.upload;
+                } else {
+                    this.script = this.upload;
+                    this.print('User script updated.');
+                }
+                this.upload = null;
+                break;
+            case 'p':
+                this.print(this.script === null ? 'no user script.' : this.script.replace(/\n$/, '').replace(/\n/g, '\r\n'));
+                break;
+            case 'c':
+                this.script = null;
+                break;
+        }
+    }
+}
+
+module.exports = { FakeSerial, FakeCrow };
@@ -0,0 +1,75 @@
+/**
+ * Loads the app into a jsdom window so tests can run without a browser or a crow
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..');
+
+const read = (file) => fs.readFileSync(path.join(ROOT, file), 'utf8');
+
+// A fresh page with index.html's markup and druid.js evaluated in it.
+// The classes are returned rather than the app, so tests choose what to construct.
+async function loadDruid() {
+    const html = read('index.html').replace(/<script[\s\S]*?<\/script>/g, '');
+    const dom = new JSDOM(html, { runScripts: 'outside-only', pretendToBeVisual: true, url: 'http://localhost/' });
+    const { window } = dom;
+
+    // Evaluate after DOMContentLoaded so druid.js doesn't construct its own app
+    if (window.document.readyState === 'loading') {
+        await new Promise(resolve => window.addEventListener('DOMContentLoaded', resolve));
+    }
+
+    // jsdom has no streams or text codecs; Node's are the same WHATWG implementations
+    for (const name of ['ReadableStream', 'WritableStream', 'TextEncoderStream', 'TextDecoderStream', 'TextEncoder', 'TextDecoder']) {
+        window[name] = globalThis[name];
+    }
+
+    // Monaco's loader never calls back, so the editors stay null
+    window.require = Object.assign(() => {}, { config() {} });
+    window.HTMLCanvasElement.prototype.getContext = () => new Proxy({}, { get: () => () => {} });
+    window.fetch = async (url) => {
+        const file = path.join(ROOT, url);
+        if (/^https?:/.test(url) || !fs.existsSync(file)) {
+            return { ok: false, status: 404 };
+        }
+        const text = fs.readFileSync(file, 'utf8');
+        return { ok: true, status: 200, text: async () => text, json: async () => JSON.parse(text) };
+    };
+
+    window.eval(read('node_modules/luaparse/luaparse.js'));
+
+    // Class declarations are local to the eval that runs them, so hand them out from the same one
+    const classes = window.eval(`${read('druid.js')}
+        ;({ CrowConnection, CrowProtocol, CrowApi, DeviceSession, ScriptTransfer, LuaMinifier, SimulatedCrow, WebSocketBridge, MidiBridge, OscBridge, TempoSync, DruidApp })`);
+    return { window, ...classes, close: () => window.close() };
+}
+
+// Let pending reads, replies and timers run
+const settle = (ms = 20) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Wait until check() is true, failing after timeout ms
+async function until(check, timeout = 2000) {
+    const start = Date.now();
+    while (!check()) {
+        if (Date.now() - start > timeout) {
+            throw new Error('timed out waiting for condition');
+        }
+        await settle(5);
+    }
+}
+
+// Run fn with console.error silenced, for paths where the app logs an expected failure
+async function quietly(fn) {
+    const error = console.error;
+    console.error = () => {};
+    try {
+        return await fn();
+    } finally {
+        console.error = error;
+    }
+}
+
+module.exports = { loadDruid, settle, until, quietly };
@@ -0,0 +1,196 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadDruid, settle, until } = require('./helpers');
+const { FakeSerial, FakeCrow } = require('./fake-crow');
+
+let MidiBridge;
+let page;
+
+test.before(async () => {
+    page = await loadDruid();
+    ({ MidiBridge } = page);
+});
+test.after(() => page.close());
+
+const same = (actual, expected) => assert.deepEqual(actual, expected);
+
+// A MIDIAccess with one input and one output; the output records what it is sent
+function fakeMidi() {
+    const input = { id: 'in-1', name: 'keys', onmidimessage: null };
+    const output = { id: 'out-1', name: 'synth', sent: [], send(bytes) { this.sent.push(Array.from(bytes)); } };
+    const access = { inputs: new Map([[input.id, input]]), outputs: new Map([[output.id, output]]), onstatechange: null };
+    const play = (data, timeStamp = 0) => input.onmidimessage && input.onmidimessage({ data, timeStamp });
+    return { access, input, output, play, requestAccess: async () => access };
+}
+
+// A bridge on a fake port, enabled, collecting the Lua it renders
+async function bridge(mappings) {
+    const midi = fakeMidi();
+    const lines = [];
+    const bridge = new MidiBridge(midi.requestAccess);
+    bridge.onCommand = (line) => lines.push(line);
+    bridge.mappings = mappings;
+    await bridge.enable();
+    bridge.setOutput('out-1');
+    return { ...midi, bridge, lines };
+}
+
+test('parse reads notes, CCs and transport messages', () => {
+    same(MidiBridge.parse([0x91, 60, 100]), { type: 'note', channel: 2, note: 60, vel: 100 });
+    same(MidiBridge.parse([0x90, 60, 0]), { type: 'note off', channel: 1, note: 60, vel: 0 });
+    same(MidiBridge.parse([0x80, 60, 64]), { type: 'note off', channel: 1, note: 60, vel: 64 });
+    same(MidiBridge.parse([0xBF, 7, 127]), { type: 'cc', channel: 16, cc: 7, val: 127 });
+    same(MidiBridge.parse([0xF8]), { type: 'clock' });
+    same(MidiBridge.parse([0xFA]), { type: 'start' });
+    same(MidiBridge.parse([0xFC]), { type: 'stop' });
+    assert.strictEqual(MidiBridge.parse([0xE0, 0, 64]), null);
+});
+
+test('render puts the message values in locals on one line', () => {
+    const note = { type: 'note', channel: 1, note: 64, vel: 90 };
+    assert.strictEqual(MidiBridge.render('output[1].volts = (note-60)/12', note),
+        'local ch, note, vel = 1, 64, 90; output[1].volts = (note-60)/12');
+    assert.strictEqual(MidiBridge.render('clock.start()', { type: 'start' }), 'clock.start()');
+    assert.strictEqual(MidiBridge.render('a = 1\n  b = 2', { type: 'stop' }), 'a = 1 b = 2');
+    assert.strictEqual(MidiBridge.render('  ', note), null);
+});
+
+test('in mappings filter on type, channel and number', async () => {
+    const { play, lines } = await bridge([
+        { direction: 'in', type: 'note', channel: 0, number: null, template: 'n = note' },
+        { direction: 'in', type: 'cc', channel: 2, number: 7, template: 'v = val' }
+    ]);
+
+    play([0x90, 62, 100]);
+    play([0xB0, 7, 10]);    // wrong channel
+    play([0xB1, 8, 10]);    // wrong controller
+    play([0xB1, 7, 20]);
+
+    same(lines, ['local ch, note, vel = 1, 62, 100; n = note', 'local ch, cc, val = 2, 7, 20; v = val']);
+});
+
+test('only the chosen input is listened to, and nothing once disabled', async () => {
+    const { bridge: midi, input, lines } = await bridge([{ direction: 'in', type: 'start', channel: 0, number: null, template: 'clock.start()' }]);
+
+    midi.setInput('another');
+    assert.strictEqual(input.onmidimessage, null);
+    midi.setInput('in-1');
+    assert.notStrictEqual(input.onmidimessage, null);
+    midi.disable();
+    assert.strictEqual(input.onmidimessage, null);
+    same(lines, []);
+});
+
+test('clock ticks become a tempo, sent when it changes and not too often', async () => {
+    const { play, lines } = await bridge([{ direction: 'in', type: 'clock', channel: 0, number: null, template: 'clock.tempo = bpm' }]);
+    const tick = 60000 / 120 / 24;
+
+    for (let i = 0; i <= 48; i++) play([0xF8], 1000 + i * tick);
+    same(lines, ['local bpm = 120; clock.tempo = bpm']);
+
+    // Slowing to 90 bpm is followed at most every TEMPO_INTERVAL ms
+    const start = 1000 + 48 * tick;
+    const slower = 60000 / 90 / 24;
+    for (let i = 1; i <= 72; i++) play([0xF8], start + i * slower);
+    assert.ok(lines.length <= 1 + Math.ceil(72 * slower / MidiBridge.TEMPO_INTERVAL));
+    assert.strictEqual(lines.at(-1), 'local bpm = 90; clock.tempo = bpm');
+});
+
+test('change events become note on/off and CCs', async () => {
+    const { bridge: midi, output } = await bridge([
+        { direction: 'out', event: 'change', input: 1, type: 'note', channel: 2, number: 48 },
+        { direction: 'out', event: 'change', input: 2, type: 'cc', channel: 1, number: 64 }
+    ]);
+
+    midi.handleEvent({ type: 'change', channel: 1, value: 1 });
+    midi.handleEvent({ type: 'change', channel: 1, value: 0 });
+    midi.handleEvent({ type: 'change', channel: 2, value: 1 });
+    midi.handleEvent({ type: 'monitor', channel: 1, value: 1 });
+
+    same(output.sent, [[0x91, 48, 100], [0x81, 48, 0], [0xB0, 64, 127]]);
+});
+
+test('stream events become 1V/oct notes and 0-10V CCs', async () => {
+    const { bridge: midi, output } = await bridge([
+        { direction: 'out', event: 'stream', input: 1, type: 'note', channel: 1, number: 60 },
+        { direction: 'out', event: 'stream', input: 2, type: 'cc', channel: 1, number: 1 }
+    ]);
+
+    midi.handleEvent({ type: 'stream', channel: 1, value: 1 });
+    midi.handleEvent({ type: 'stream', channel: 1, value: 1.01 });   // same note, nothing sent
+    midi.handleEvent({ type: 'stream', channel: 1, value: 0.25 });
+    midi.handleEvent({ type: 'stream', channel: 2, value: 5 });
+    midi.handleEvent({ type: 'stream', channel: 2, value: 12 });
+
+    same(output.sent, [[0x90, 72, 100], [0x80, 72, 0], [0x90, 63, 100], [0xB0, 1, 64], [0xB0, 1, 127]]);
+
+    // Turning MIDI off releases the held note
+    midi.disable();
+    same(output.sent.at(-1), [0x80, 63, 0]);
+});
+
+test('the app sends mapped MIDI to the device and the device\'s events to MIDI', async (t) => {
+    const page = await loadDruid();
+    t.after(page.close);
+
+    const serial = new FakeSerial();
+    const device = new FakeCrow();
+    serial.pick = device;
+    const midi = fakeMidi();
+
+    const app = new page.DruidApp({ serial, midi: midi.requestAccess });
+    await settle();
+    await app.connect();
+    await until(() => app.crow.isConnected);
+
+    app.openMidi();
+    await app.toggleMidi(true);
+    assert.strictEqual(app.elements.midiBtn.classList.contains('active'), true);
+
+    app.elements.midiAddIn.click();
+    app.elements.midiAddOut.click();
+    assert.strictEqual(app.elements.midiMappings.querySelectorAll('.midi-mapping').length, 2);
+
+    app.elements.midiOutput.value = 'out-1';
+    app.elements.midiOutput.dispatchEvent(new page.window.Event('change'));
+
+    midi.play([0x90, 72, 100]);
+    await until(() => device.received.includes('local ch, note, vel = 1, 72, 100; output[1].volts = (note-60)/12'));
+
+    device.print('^^change(1, 1)');
+    await until(() => midi.output.sent.length > 0);
+    same(midi.output.sent, [[0x90, 60, 100]]);
+
+    // Removing the out mapping releases its note
+    app.elements.midiMappings.querySelectorAll('.midi-remove')[1].click();
+    same(midi.output.sent.at(-1), [0x80, 60, 0]);
+    assert.strictEqual(app.midi.mappings.length, 1);
+});
+
+test('clock in-mappings are skipped while tempo sync follows MIDI clock', async (t) => {
+    const page = await loadDruid();
+    t.after(page.close);
+
+    const serial = new FakeSerial();
+    const device = new FakeCrow();
+    serial.pick = device;
+    const midi = fakeMidi();
+
+    const app = new page.DruidApp({ serial, midi: midi.requestAccess });
+    t.after(() => app.tempoSync.setSource('off'));
+    await settle();
+    await app.connect();
+    await until(() => app.crow.isConnected);
+
+    app.midi.mappings = [{ direction: 'in', type: 'clock', channel: 0, number: null, template: MidiBridge.TEMPLATES.clock }];
+    app.elements.tempoSource.value = 'midi';
+    app.elements.tempoSource.dispatchEvent(new page.window.Event('change'));
+    await until(() => app.tempoSync.source === 'midi');
+
+    const tick = 60000 / 120 / 24;
+    midi.play([0xFA], 1000);
+    for (let i = 1; i <= 48; i++) midi.play([0xF8], 1000 + i * tick);
+    await until(() => device.received.includes('clock.tempo = 120'));
+    await settle();
+    assert.ok(!device.received.some(line => line.startsWith('local bpm')), 'the mapping does not set the tempo too');
+});
@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadDruid } = require('./helpers');
+
+let LuaMinifier;
+let page;
+
+test.before(async () => {
+    page = await loadDruid();
+    ({ LuaMinifier } = page);
+});
+test.after(() => page.close());
+
+// Minify, check the result still parses, and return it
+function roundTrip(code) {
+    const minified = LuaMinifier.minify(code);
+    assert.doesNotThrow(() => page.window.luaparse.parse(minified, { luaVersion: '5.3' }), minified);
+    return minified;
+}
+
+test('long-string table keys and indexes stay apart from their brackets', () => {
+    assert.strictEqual(roundTrip('t = {[ [[a]] ]=1}'), 't={[ [[a]]]=1}');
+    assert.strictEqual(roundTrip('t = {[ [==[b]==] ] = 2}'), 't={[ [==[b]==]]=2}');
+    assert.strictEqual(roundTrip('x = t[ [[a]] ]'), 'x=t[ [[a]]]');
+    assert.strictEqual(roundTrip('t = {["a"]=1}'), 't={["a"]=1}');
+});
+
+test('locals are shortened and top-level statements keep their own lines', () => {
+    const minified = roundTrip('local value = 1\nfunction init()\n  local other = value + 1\n  print(other)\nend\n');
+    assert.strictEqual(minified, 'local a=1\nfunction init()local b=a+1 print(b)end');
+});
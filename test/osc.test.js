@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadDruid } = require('./helpers');
+
+let OscBridge;
+let page;
+
+test.before(async () => {
+    page = await loadDruid();
+    ({ OscBridge } = page);
+});
+test.after(() => page.close());
+
+const same = (actual, expected) => assert.deepEqual(actual, expected);
+
+test('encode and decode round-trip floats, strings, booleans and nil', () => {
+    const packet = OscBridge.encode('/crow/public/mode', [0.1, 'fast', true, false, null]);
+    assert.strictEqual(packet.length % 4, 0);
+    same(OscBridge.decode(packet), [{ address: '/crow/public/mode', args: [0.1, 'fast', true, false, null] }]);
+    same(OscBridge.decode(OscBridge.encode('/crow/public')), [{ address: '/crow/public', args: [] }]);
+});
+
+test('decode reads ints, doubles and bundles', () => {
+    // /a ,id 7 2.5, built by hand
+    const message = new Uint8Array([
+        0x2f, 0x61, 0, 0,
+        0x2c, 0x69, 0x64, 0,
+        0, 0, 0, 7,
+        0x40, 0x04, 0, 0, 0, 0, 0, 0
+    ]);
+    same(OscBridge.decode(message), [{ address: '/a', args: [7, 2.5] }]);
+
+    const second = OscBridge.encode('/b', ['x']);
+    const bundle = new Uint8Array([
+        ...OscBridge.encodeString('#bundle'), 0, 0, 0, 0, 0, 0, 0, 1,
+        0, 0, 0, message.length, ...message,
+        0, 0, 0, second.length, ...second
+    ]);
+    same(OscBridge.decode(bundle), [{ address: '/a', args: [7, 2.5] }, { address: '/b', args: ['x'] }]);
+});
+
+test('decode rejects malformed packets', () => {
+    assert.throws(() => OscBridge.decode(new Uint8Array([0x2f, 0x61, 0x62, 0x63])), /not terminated/);
+    assert.throws(() => OscBridge.decode(OscBridge.encodeString('nope')), /must start with \//);
+    assert.throws(() => OscBridge.decode(new Uint8Array([...OscBridge.encodeString('/a'), ...OscBridge.encodeString(',i')])), /truncated/);
+    assert.throws(() => OscBridge.decode(new Uint8Array([...OscBridge.encodeString('/a'), ...OscBridge.encodeString(',m')])), /unsupported OSC type tag 'm'/);
+});
+
+test('toLua maps the crow address space', () => {
+    const lua = (address, ...args) => OscBridge.toLua({ address, args });
+    assert.strictEqual(lua('/crow/out/2/volts', 3.5), 'output[2].volts = 3.5');
+    assert.strictEqual(lua('/crow/out/2/volts'), 'output[2].query()');
+    assert.strictEqual(lua('/crow/in/1/volts'), 'input[1].query()');
+    assert.strictEqual(lua('/crow/public/rate', 2), 'public.rate = 2');
+    assert.strictEqual(lua('/crow/public/name', `it's`), `public.name = 'it\\'s'`);
+    assert.strictEqual(lua('/crow/public/range', 1, 2), 'public.range = {1, 2}');
+    assert.strictEqual(lua('/crow/public'), 'public.discover()');
+    assert.strictEqual(lua('/crow/eval', 'print(1)'), 'print(1)');
+});
+
+test('toLua explains messages it cannot map', () => {
+    const lua = (address, ...args) => OscBridge.toLua({ address, args });
+    assert.throws(() => lua('/crow/out/1/volts', 'high'), /needs a number/);
+    assert.throws(() => lua('/crow/public/rate'), /needs a value/);
+    assert.throws(() => lua('/crow/public/1bad', 1), /unknown address/);
+    assert.throws(() => lua('/crow/eval', 5), /needs a string of Lua/);
+    assert.throws(() => lua('/norns/x'), /unknown address/);
+});
+
+test('fromEvent publishes stream, change, output and pub events', () => {
+    same(OscBridge.fromEvent({ type: 'stream', channel: 1, value: 2.5 }), { address: '/crow/in/1/volts', args: [2.5] });
+    same(OscBridge.fromEvent({ type: 'change', channel: 2, value: 1 }), { address: '/crow/in/2/change', args: [1] });
+    same(OscBridge.fromEvent({ type: 'output', args: [3, -1] }), { address: '/crow/out/3/volts', args: [-1] });
+    same(OscBridge.fromEvent({ type: 'pupdate', name: 'rate', value: 4 }), { address: '/crow/public/rate', args: [4] });
+    same(OscBridge.fromEvent({ type: 'pub', name: 'scale', value: [0, 2, 4] }), { address: '/crow/public/scale', args: [0, 2, 4] });
+    assert.strictEqual(OscBridge.fromEvent({ type: 'monitor', args: [] }), null);
+});
@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadDruid, quietly } = require('./helpers');
+
+let CrowProtocol;
+let page;
+
+test.before(async () => {
+    page = await loadDruid();
+    ({ CrowProtocol } = page);
+});
+test.after(() => page.close());
+
+// Values come from the jsdom realm, so compare structure rather than prototypes
+const same = (actual, expected) => assert.deepEqual(actual, expected);
+
+test('parseArgs reads numbers, strings, booleans and nil', () => {
+    same(CrowProtocol.parseArgs(`1, -2.5, 'a b', "c\\"d", true, false, nil`), [1, -2.5, 'a b', 'c"d', true, false, null]);
+    same(CrowProtocol.parseArgs(''), []);
+});
+
+test('parseArgs reads inf, nan and bare words', () => {
+    const [inf, minusInf, nan, word] = CrowProtocol.parseArgs('inf, -inf, nan, output');
+    assert.strictEqual(inf, Infinity);
+    assert.strictEqual(minusInf, -Infinity);
+    assert.ok(Number.isNaN(nan));
+    assert.strictEqual(word, 'output');
+});
+
+test('parseArgs reads nested tables and named fields', () => {
+    const [list, mixed] = CrowProtocol.parseArgs(`{1, {2, 3}; 'x'}, {0, 10, kind = 'int'}`);
+    same(list, [1, [2, 3], 'x']);
+    same(Array.from(mixed), [0, 10]);
+    assert.strictEqual(mixed.kind, 'int');
+});
+
+test('parseArgs rejects malformed input', () => {
+    assert.throws(() => CrowProtocol.parseArgs(`'open`), /Unterminated string/);
+    assert.throws(() => CrowProtocol.parseArgs('{1, 2'), /Unterminated table/);
+    assert.throws(() => CrowProtocol.parseArgs('1 2'), /Unexpected/);
+});
+
+test('parseMessage names stream, identity and pub events', () => {
+    const stream = CrowProtocol.parseMessage('^^stream(1, 2.5)');
+    assert.strictEqual(stream.type, 'stream');
+    assert.strictEqual(stream.channel, 1);
+    assert.strictEqual(stream.value, 2.5);
+
+    assert.strictEqual(CrowProtocol.parseMessage(`^^identity('0x1234')`).value, '0x1234');
+
+    const pub = CrowProtocol.parseMessage(`^^pub('rate', 2, {0.1, 10, 'float'})`);
+    assert.strictEqual(pub.name, 'rate');
+    assert.strictEqual(pub.value, 2);
+    same(pub.args[2], [0.1, 10, 'float']);
+});
+
+test('parseMessage leaves plain text and broken messages alone', () => {
+    assert.strictEqual(CrowProtocol.parseMessage('hello'), null);
+    assert.strictEqual(CrowProtocol.parseMessage('^^stream(1, '), null);
+    assert.strictEqual(CrowProtocol.parseMessage(`^^pub('open)`), null);
+});
+
+test('feed splits events from text across chunk boundaries', () => {
+    const protocol = new CrowProtocol();
+    const text = [];
+    const events = [];
+    protocol.onText = (t) => text.push(t);
+    protocol.on('*', (event) => events.push(event.raw));
+
+    protocol.feed('hel');
+    protocol.feed('lo\r\n^^str');
+    protocol.feed('eam(1, 3)\r\n^^change(2, 1)\n');
+
+    assert.strictEqual(text.join(''), 'hello\n');
+    same(events, ['^^stream(1, 3)', '^^change(2, 1)']);
+});
+
+test('feed holds back a partial line only while it could be a message', () => {
+    const protocol = new CrowProtocol();
+    const text = [];
+    protocol.onText = (t) => text.push(t);
+
+    protocol.feed('> ');
+    same(text, ['> ']);
+
+    protocol.feed('^^ver');
+    same(text, ['> ']);
+    protocol.feed(`sion('v4')\n`);
+    same(text, ['> ']);
+});
+
+test('listeners can be removed, and a throwing handler does not stop the others', async () => {
+    const protocol = new CrowProtocol();
+    const seen = [];
+    const off = protocol.on('stream', () => seen.push('first'));
+    protocol.on('stream', () => {
+        throw new Error('handler bug');
+    });
+    protocol.on('stream', () => seen.push('last'));
+
+    await quietly(() => {
+        protocol.feed('^^stream(1, 0)\n');
+        off();
+        protocol.feed('^^stream(1, 0)\n');
+    });
+
+    same(seen, ['first', 'last', 'last']);
+});
@@ -0,0 +1,149 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadDruid, settle, until } = require('./helpers');
+const { FakeSerial, FakeCrow } = require('./fake-crow');
+
+// A page with the app constructed on a fake serial port, and a crow ready to pick
+async function start() {
+    const page = await loadDruid();
+    const serial = new FakeSerial();
+    const device = new FakeCrow({ identity: '0x0000beef' });
+    device.respond(/^print\((.*)\)$/, (match) => match[1].replace(/^'(.*)'$/, '$1'));
+    serial.pick = device;
+
+    const app = new page.DruidApp({ serial });
+    await settle();
+    return { page, app, device, output: () => app.activeSession.output.textContent };
+}
+
+// Type into the plain-text REPL input and press a key
+function press(app, key, value) {
+    const input = app.elements.replInput;
+    input.focus();
+    if (value !== undefined) input.value = value;
+    input.dispatchEvent(new input.ownerDocument.defaultView.KeyboardEvent('keydown', { key, bubbles: true, cancelable: true }));
+    return input.value;
+}
+
+test('connect and disconnect update the tab, status and buttons', async (t) => {
+    const { page, app, output } = await start();
+    t.after(page.close);
+
+    assert.strictEqual(app.elements.runBtn.disabled, true);
+    await app.connect();
+    await until(() => app.activeSession.name === 'crow beef');
+
+    assert.strictEqual(app.elements.replStatusText.textContent, 'connected');
+    assert.strictEqual(app.elements.connectionBtn.textContent, 'disconnect');
+    assert.strictEqual(app.elements.runBtn.disabled, false);
+    assert.match(output(), /Connected! Ready to code\./);
+
+    await app.toggleConnection();
+    assert.strictEqual(app.crow.isConnected, false);
+    assert.strictEqual(app.elements.connectionBtn.textContent, 'connect');
+    assert.strictEqual(app.elements.runBtn.disabled, true);
+    assert.match(output(), /Disconnected from crow\./);
+});
+
+test('enter sends each line of the input and shows the reply', async (t) => {
+    const { page, app, device, output } = await start();
+    t.after(page.close);
+    await app.connect();
+
+    press(app, 'Enter', `print('hello')`);
+    await until(() => output().includes('hello\n'));
+    assert.match(output(), />> print\('hello'\)\n/);
+    // The input is cleared once every line is written, which can be after the reply
+    await until(() => app.elements.replInput.value === '');
+
+    press(app, 'Enter', 'x = 1\ny = 2');
+    await until(() => device.received.includes('y = 2'));
+    // The connect handshake's ^^ commands can still be arriving
+    const sent = device.received.filter(line => !line.startsWith('^^'));
+    assert.deepEqual(sent.slice(-2), ['x = 1', 'y = 2']);
+});
+
+test('arrow keys walk the history and restore the draft', async (t) => {
+    const { page, app, device } = await start();
+    t.after(page.close);
+    await app.connect();
+
+    for (const line of ['a = 1', 'b = 2', 'b = 2']) {
+        press(app, 'Enter', line);
+        await until(() => app.elements.replInput.value === '');
+    }
+    assert.deepEqual(Array.from(app.commandHistory), ['a = 1', 'b = 2'], 'repeats are stored once');
+    await until(() => device.received.filter(line => line === 'b = 2').length === 2);
+
+    app.elements.replInput.value = 'draft';
+    assert.strictEqual(press(app, 'ArrowUp'), 'b = 2');
+    assert.strictEqual(press(app, 'ArrowUp'), 'a = 1');
+    assert.strictEqual(press(app, 'ArrowUp'), 'a = 1', 'stops at the oldest entry');
+    assert.strictEqual(press(app, 'ArrowDown'), 'b = 2');
+    assert.strictEqual(press(app, 'ArrowDown'), 'draft');
+    assert.strictEqual(press(app, 'ArrowDown'), 'draft');
+});
+
+test('typing after browsing starts a fresh walk from the newest entry', async (t) => {
+    const { page, app } = await start();
+    t.after(page.close);
+    await app.connect();
+
+    for (const line of ['a = 1', 'b = 2']) {
+        press(app, 'Enter', line);
+        await until(() => app.elements.replInput.value === '');
+    }
+
+    press(app, 'ArrowUp');
+    press(app, 'ArrowUp');
+    press(app, 'x');
+    assert.strictEqual(app.historyIndex, -1);
+    assert.strictEqual(press(app, 'ArrowUp'), 'b = 2');
+});
+
+test('input while disconnected is kept in history but not sent', async (t) => {
+    const { page, app, device, output } = await start();
+    t.after(page.close);
+
+    press(app, 'Enter', 'print(1)');
+    await until(() => output().includes('crow is not connected'));
+    assert.deepEqual(Array.from(app.commandHistory), ['print(1)']);
+    assert.deepEqual(device.received, []);
+    assert.strictEqual(app.elements.replInput.value, '');
+});
+
+test('the monitor polls only while open, one poll at a time', async (t) => {
+    const { page, app, device } = await start();
+    t.after(page.close);
+    page.DruidApp.MONITOR_POLL_INTERVAL = 20;
+    await app.connect();
+
+    const polls = () => device.received.filter(line => line.startsWith(`_c.tell('monitor'`)).length;
+    app.toggleMonitor(true);
+    await settle(150);
+    assert.strictEqual(polls(), 1, 'waits for the unanswered poll');
+
+    device.respond(/^_c\.tell\('monitor'/, '^^monitor(1, 2, 0, 0, 0, 0)');
+    app.monitorPollSentAt = null;
+    await until(() => polls() > 3);
+
+    app.toggleMonitor(false);
+    await settle(60);
+    const count = polls();
+    await settle(100);
+    assert.strictEqual(polls(), count);
+});
+
+test('public params are not written into a script transfer', async (t) => {
+    const { page, app, device } = await start();
+    t.after(page.close);
+    await app.connect();
+
+    app.activeSession.transferInProgress = true;
+    await app.setPublicParam('rate', 2);
+    app.activeSession.transferInProgress = false;
+    await app.setPublicParam('rate', 3);
+
+    await until(() => device.received.includes('public.rate = 3'));
+    assert.ok(!device.received.includes('public.rate = 2'));
+});
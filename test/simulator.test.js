@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadDruid, until } = require('./helpers');
+
+let DeviceSession, ScriptTransfer, SimulatedCrow, TempoSync;
+let page;
+
+test.before(async () => {
+    page = await loadDruid();
+    ({ DeviceSession, ScriptTransfer, SimulatedCrow, TempoSync } = page);
+});
+test.after(() => page.close());
+
+// A session on a booted simulator, collecting everything it prints
+async function session() {
+    const s = new DeviceSession(1, new SimulatedCrow());
+    s.text = '';
+    s.print = (text) => {
+        s.text += text;
+    };
+    assert.strictEqual(await s.crow.connect(), true);
+    return s;
+}
+
+test('the Lua VM is only loaded when the first simulator starts', async () => {
+    assert.strictEqual(page.window.fengari, undefined);
+    const s = await session();
+    assert.strictEqual(typeof page.window.fengari.lua, 'object');
+    await s.crow.disconnect();
+});
+
+test('the simulator answers identity and runs REPL lines', async () => {
+    const s = await session();
+
+    await s.identify();
+    await s.ping();
+    assert.strictEqual(s.name, 'crow sim');
+
+    await s.crow.writeLine('output[1].volts = 2.5');
+    await s.crow.writeLine('print(output[1].volts, input[1].volts)');
+    await until(() => s.text.includes('2.5\t0'));
+    await s.crow.disconnect();
+});
+
+test('scripts upload to the simulator through the same transfer engine', async () => {
+    const s = await session();
+    const code = `function init()\n  print('booted', #sequins{1, 2, 3})\nend\n`;
+
+    const result = await new ScriptTransfer(s, code, { persist: true }).run();
+
+    assert.strictEqual(result.verified, true);
+    assert.match(s.text, /booted\t3/);
+    assert.strictEqual(ScriptTransfer.normalize(await s.readScript()), code.trim());
+    await s.crow.disconnect();
+});
+
+test('a script printing the word error still uploads', async () => {
+    const s = await session();
+    const code = `function init()\n  print('sensor error')\n  print('retry failed')\nend\n`;
+
+    const result = await new ScriptTransfer(s, code, { persist: true }).run();
+
+    assert.strictEqual(result.verified, true);
+    assert.match(s.text, /sensor error\nretry failed/);
+    await s.crow.disconnect();
+});
+
+test('a flash upload of a script that prints from a metro still verifies', async () => {
+    const s = await session();
+    const code = `function init()\n  metro[1].event = function() print('tick') end\n  metro[1]:start(0.001)\nend\n`;
+
+    const result = await new ScriptTransfer(s, code, { persist: true }).run();
+
+    assert.strictEqual(result.verified, true);
+    await s.crow.disconnect();
+});
+
+test('reading the script back leaves out what the running script prints', async () => {
+    const s = await session();
+    const code = `function init()\n  metro[1].event = function() print('tick') end\n  metro[1]:start(0.001)\nend\n`;
+    await new ScriptTransfer(s, code, { persist: true, verify: false }).run();
+    await until(() => s.text.includes('tick'));
+
+    assert.strictEqual(ScriptTransfer.normalize(await s.readScript()), code.trim());
+    // The script is still running and printing afterwards
+    const ticks = s.text.split('tick').length;
+    await until(() => s.text.split('tick').length > ticks);
+    await s.crow.disconnect();
+});
+
+test('a broken script fails the run with the simulator\'s error', async () => {
+    const s = await session();
+
+    await assert.rejects(new ScriptTransfer(s, 'x = = 1\n').run(), /userscript"\]:1: unexpected symbol/);
+    await s.crow.disconnect();
+});
+
+test('the tempo sync poll and nudge run on the simulator', async () => {
+    const s = await session();
+    const reports = [];
+    s.protocol.on('tempo', (event) => reports.push(Array.from(event.args)));
+
+    await s.crow.writeLine('clock.tempo = 120');
+    await s.crow.writeLine('clock.tempo = 150 clock.run(function() clock.sleep(0.1) clock.tempo = 120 end)');
+    await s.crow.writeLine(TempoSync.POLL);
+    await until(() => reports.length === 1);
+    assert.strictEqual(reports[0][0], 150);
+
+    await new Promise(resolve => setTimeout(resolve, 200));
+    await s.crow.writeLine(TempoSync.POLL);
+    await until(() => reports.length === 2);
+    assert.strictEqual(reports[1][0], 120);
+    assert.ok(reports[1][1] > reports[0][1], 'beats keep counting');
+    await s.crow.disconnect();
+});
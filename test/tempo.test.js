@@ -0,0 +1,164 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadDruid, settle, until } = require('./helpers');
+const { FakeSerial, FakeCrow } = require('./fake-crow');
+
+let TempoSync;
+let page;
+
+test.before(async () => {
+    page = await loadDruid();
+    ({ TempoSync } = page);
+});
+test.after(() => page.close());
+
+// A sync on the given source collecting what it sends; the poll timer is stopped when the test ends
+function sync(t, source) {
+    const tempo = new TempoSync();
+    const sent = [];
+    tempo.onCommand = (line) => sent.push(line);
+    tempo.setSource(source);
+    t.after(() => tempo.setSource('off'));
+    return { tempo, sent };
+}
+
+test('taps set the tempo from their average interval', (t) => {
+    const { tempo, sent } = sync(t, 'tap');
+
+    tempo.tap(1000);
+    assert.strictEqual(tempo.bpm, null);
+    tempo.tap(1500);
+    tempo.tap(2000);
+    tempo.tap(2500);
+    assert.strictEqual(tempo.bpm, 120);
+    assert.deepEqual(sent, ['clock.tempo = 120']);
+
+    // A pause starts a new measurement
+    tempo.tap(6000);
+    tempo.tap(6400);
+    assert.strictEqual(tempo.bpm, 150);
+    assert.deepEqual(sent.slice(1), ['clock.tempo = 150']);
+});
+
+test('MIDI clock counts beats from start and follows the measured tempo', (t) => {
+    const { tempo, sent } = sync(t, 'midi');
+
+    tempo.midiClock('start', 0);
+    for (let i = 0; i < 30; i++) {
+        tempo.midiClock('clock', 100 + i * 10, i >= 24 ? 250 : null);
+    }
+    assert.deepEqual({ ...tempo.position }, { beat: 1, time: 340 });
+    assert.strictEqual(tempo.bpm, 250);
+    assert.deepEqual(sent, ['clock.tempo = 250']);
+
+    tempo.midiClock('stop', 500);
+    assert.strictEqual(tempo.position, null);
+});
+
+test('Link messages set the tempo, beat and peer count', (t) => {
+    const { tempo, sent } = sync(t, 'off');
+    tempo.source = 'link';
+
+    tempo.linkMessage('{"bpm": 97.654, "beat": 12.5, "peers": 2}', 4000);
+    tempo.linkMessage('not json', 4100);
+    tempo.linkMessage('{"bpm": 0}', 4200);
+
+    assert.strictEqual(tempo.bpm, 97.65);
+    assert.deepEqual({ ...tempo.position }, { beat: 12.5, time: 4000 });
+    assert.deepEqual(sent, ['clock.tempo = 97.65']);
+    assert.match(tempo.describe(), /97\.7 bpm · 2 peers/);
+});
+
+test('a drifting device gets one beat nudged towards the source', (t) => {
+    const { tempo, sent } = sync(t, 'tap');
+    tempo.tap(0);
+    tempo.tap(500);
+    sent.length = 0;
+
+    // The device is a tenth of a beat ahead when polled at 1000ms (beat 2 of the source)
+    tempo.poll(990);
+    tempo.report(120, 2.1, 1010);
+    assert.ok(Math.abs(tempo.drift - 0.1) < 1e-9);
+    assert.deepEqual(sent, [
+        TempoSync.POLL,
+        'clock.tempo = 108 clock.run(function() clock.sleep(0.5) clock.tempo = 120 end)'
+    ]);
+    assert.match(tempo.describe(), /120\.0 bpm · crow 120\.0 · drift \+50 ms/);
+
+    // No second nudge while the first is running, even if the poll says otherwise
+    tempo.poll(1300);
+    tempo.report(108, 2.7, 1310);
+    assert.strictEqual(sent.length, 3);
+
+    // Within tolerance nothing is corrected
+    tempo.poll(3000);
+    tempo.report(120, 6.01, 3000);
+    assert.strictEqual(sent.length, 4);
+});
+
+test('drift wraps to the nearest beat and large drift is nudged at most MAX_NUDGE', (t) => {
+    const { tempo, sent } = sync(t, 'tap');
+    tempo.tap(0);
+    tempo.tap(500);
+    tempo.correctPhase = true;
+
+    tempo.poll(1000);
+    tempo.report(120, 2.7, 1000);
+    assert.ok(Math.abs(tempo.drift + 0.3) < 1e-9);
+    assert.match(sent.at(-1), /^clock\.tempo = 132 /);
+
+    tempo.correctPhase = false;
+    tempo.nudgeUntil = 0;
+    const count = sent.length;
+    tempo.poll(5000);
+    tempo.report(120, 10.4, 5000);
+    assert.strictEqual(sent.length, count + 1, 'only the poll');
+});
+
+test('a tempo changed on the device is put back', (t) => {
+    const { tempo, sent } = sync(t, 'tap');
+    tempo.tap(0);
+    tempo.tap(500);
+
+    tempo.poll(1000);
+    tempo.report(90, 2, 1000);
+    assert.strictEqual(sent.at(-1), 'clock.tempo = 120');
+});
+
+test('the panel taps, pushes the tempo and shows the drift', async (t) => {
+    const page = await loadDruid();
+    t.after(page.close);
+
+    const serial = new FakeSerial();
+    const device = new FakeCrow();
+    device.respond(/^_c\.tell\('tempo'/, () => `^^tempo(${app.tempoSync.bpm}, 4)`);
+    serial.pick = device;
+
+    const app = new page.DruidApp({ serial });
+    t.after(() => app.tempoSync.setSource('off'));
+    await settle();
+    await app.connect();
+    await until(() => app.crow.isConnected);
+
+    app.openTempoSync();
+    app.elements.tempoSource.value = 'tap';
+    app.elements.tempoSource.dispatchEvent(new page.window.Event('change'));
+    await until(() => app.tempoSync.source === 'tap');
+    assert.notStrictEqual(app.elements.tempoTapBtn.style.display, 'none');
+
+    const tap = () => app.elements.tempoTapBtn.dispatchEvent(new page.window.MouseEvent('mousedown'));
+    tap();
+    await settle(200);
+    tap();
+    await until(() => device.received.some(line => line.startsWith('clock.tempo = ')));
+    assert.match(app.elements.tempoBtn.textContent, /^tempo \d+\.\d$/);
+    assert.strictEqual(app.elements.tempoBtn.classList.contains('active'), true);
+
+    app.tempoSync.poll();
+    await until(() => app.tempoSync.drift !== null);
+    assert.match(app.elements.tempoStatus.textContent, /crow \d+\.\d · drift [+-]?\d+ ms/);
+
+    app.elements.tempoSource.value = 'off';
+    app.elements.tempoSource.dispatchEvent(new page.window.Event('change'));
+    await until(() => app.elements.tempoBtn.textContent === 'tempo');
+});
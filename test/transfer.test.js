@@ -0,0 +1,138 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadDruid } = require('./helpers');
+const { FakeSerial, FakeCrow } = require('./fake-crow');
+
+let CrowConnection, DeviceSession, ScriptTransfer, LuaMinifier;
+let page;
+
+test.before(async () => {
+    page = await loadDruid();
+    ({ CrowConnection, DeviceSession, ScriptTransfer, LuaMinifier } = page);
+    ScriptTransfer.PING_TIMEOUT = 100;
+    ScriptTransfer.COMPILE_TIMEOUT = 100;
+});
+test.after(() => page.close());
+
+const SCRIPT = `function init()\n  output[1].volts = 3\nend\n`;
+
+// A session connected to a fresh fake crow
+async function session(options) {
+    const serial = new FakeSerial();
+    const device = new FakeCrow(options);
+    serial.pick = device;
+    const s = new DeviceSession(1, new CrowConnection(serial));
+    await s.crow.connect();
+    return { session: s, device };
+}
+
+test('run sends the script between ^^s and ^^e, pinging after each chunk', async () => {
+    const { session: s, device } = await session();
+    const progress = [];
+
+    const result = await new ScriptTransfer(s, SCRIPT, { onProgress: (p) => progress.push(p) }).run();
+
+    assert.strictEqual(device.ran, SCRIPT);
+    assert.strictEqual(device.script, null, 'running does not touch flash');
+    assert.deepEqual(device.received, ['^^s', '^^i', ...SCRIPT.trimEnd().split('\n'), '^^i', '^^e', '^^i']);
+    assert.deepEqual(result, { bytes: SCRIPT.length, verified: false });
+    assert.deepEqual([progress[0], progress.at(-1)], [0, 1]);
+    await s.crow.disconnect();
+});
+
+test('long scripts are chunked at line ends, a long line going out whole', async () => {
+    const { session: s, device } = await session();
+    const long = `x = '${'a'.repeat(ScriptTransfer.CHUNK_SIZE * 2)}'`;
+    const code = `${SCRIPT.repeat(8)}${long}\n${SCRIPT}`;
+
+    const chunks = ScriptTransfer.chunk(code);
+    assert.ok(chunks.every(chunk => chunk.endsWith('\n')));
+    assert.ok(chunks.filter(chunk => chunk.length > ScriptTransfer.CHUNK_SIZE).every(chunk => chunk === `${long}\n`));
+
+    await new ScriptTransfer(s, code).run();
+
+    assert.strictEqual(device.ran, code);
+    assert.ok(device.received.includes(long));
+    assert.ok(device.received.filter(line => line === '^^i').length > 4);
+    await s.crow.disconnect();
+});
+
+test('minified scripts keep a line per statement, so they are still chunked', async () => {
+    const { session: s, device } = await session();
+    const functions = Array.from({ length: 200 }, (_, i) => `function f${i}(value)\n  return value + ${i}\nend\n`);
+    const code = LuaMinifier.minify(functions.join(''));
+
+    await new ScriptTransfer(s, code).run();
+
+    assert.strictEqual(device.ran, `${code}\n`);
+    assert.ok(device.received.filter(line => line === '^^i').length > 3);
+    await s.crow.disconnect();
+});
+
+test('upload writes flash with ^^w and verifies it with ^^p', async () => {
+    const { session: s, device } = await session();
+
+    const result = await new ScriptTransfer(s, SCRIPT, { persist: true }).run();
+
+    assert.strictEqual(device.script, SCRIPT);
+    assert.ok(device.received.includes('^^w'));
+    assert.ok(device.received.includes('^^p'));
+    assert.strictEqual(result.verified, true);
+    await s.crow.disconnect();
+});
+
+test('a script crow fails to load rejects with crow\'s error line', async () => {
+    const { session: s, device } = await session();
+    device.loadError = `[string "userscript"]:2: unexpected symbol near '='`;
+
+    await assert.rejects(new ScriptTransfer(s, SCRIPT).run(), { message: device.loadError });
+    await s.crow.disconnect();
+});
+
+test('only crow\'s own error formats fail an upload', () => {
+    assert.strictEqual(ScriptTransfer.findError('sensor error\nretry failed\nUser script updated.'), null);
+    assert.strictEqual(ScriptTransfer.findError('booted\n!ERROR! script too long\n'), '!ERROR! script too long');
+    assert.strictEqual(ScriptTransfer.findError(`[string "userscript"]:4: attempt to call a nil value`),
+        `[string "userscript"]:4: attempt to call a nil value`);
+});
+
+test('a read-back that differs from the upload fails verification', async () => {
+    const { session: s, device } = await session();
+    device.respond(/^\^\^p$/, () => SCRIPT.replace('3', '4'));
+
+    await assert.rejects(
+        new ScriptTransfer(s, SCRIPT, { persist: true }).run(),
+        /verification failed at line 2: sent "  output\[1\]\.volts = 3", device has "  output\[1\]\.volts = 4"/
+    );
+    await s.crow.disconnect();
+});
+
+test('a device that stops answering pings fails the transfer', async () => {
+    const { session: s, device } = await session();
+    let pings = 0;
+    device.respond(/^\^\^i$/, (match, crow) => (++pings <= 1 ? `^^identity('${crow.identity}')` : null));
+
+    await assert.rejects(new ScriptTransfer(s, SCRIPT).run(), /device stopped responding after 0 of \d+ characters/);
+    await s.crow.disconnect();
+});
+
+test('readScript returns what ^^p prints, and identify names the session', async () => {
+    const { session: s } = await session({ identity: '0x00001234', script: SCRIPT });
+
+    assert.strictEqual(ScriptTransfer.normalize(await s.readScript()), SCRIPT.trim());
+
+    await s.identify();
+    await s.ping();
+    await s.ping();
+    assert.strictEqual(s.name, 'crow 1234');
+    assert.strictEqual(s.deviceType, 'crow');
+    await s.crow.disconnect();
+});
+
+test('an empty flash reads back as the no-script message', async () => {
+    const { session: s } = await session();
+
+    const text = ScriptTransfer.normalize(await s.readScript());
+    assert.ok(DeviceSession.NO_SCRIPT_PATTERN.test(text));
+    await s.crow.disconnect();
+});